@@ -8,40 +8,68 @@ import { default as pino } from 'pino';
 import { default as pinoHttp } from 'pino-http';
 import { default as cookieParser } from 'cookie-parser';
 
-import { validateDemoQueryRequest, handleDemoQueryRequest } from './DemoQueryHandler.mjs';
-
 // Controllers
 import { ConfigAPIController } from './controllers/ConfigAPIController.mjs';
 import { QueryAPIController } from './controllers/QueryAPIController.mjs';
 import { LoginController } from './controllers/LoginController.mjs';
 import { SessionController } from './controllers/SessionController.mjs';
 import { UserAPIController } from './controllers/UserAPIController.mjs';
+import { AdminAPIController } from './controllers/AdminAPIController.mjs';
+import { DeepLinkController } from './controllers/DeepLinkController.mjs';
+import { FEContractController } from './controllers/FEContractController.mjs';
+
+import { QueryStatusPoller } from './services/QueryStatusPoller.mjs';
+import { configToFilters } from './lib/ARSClient.mjs';
+import { JobScheduler } from './services/JobScheduler.mjs';
+import { PrerunQueryJob } from './services/PrerunQueryJob.mjs';
 
-export function startServer(config, services) {
+export async function startServer(config, services) {
 
-  const filters = {whitelistRx: /^ara-/}; // TODO: move to config file
+  const filters = configToFilters(config.agent_filters);
   config.filters = filters;
 
   const authService = services.authService;
   const userService = services.userService;
   const translatorService = services.translatorService;
-  const demoQueries = config.frontend.cached_queries.filter(e => e.allow_inbound);
+  const resultCache = services.resultCache;
+  const summaryPool = services.summaryPool || null;
+  const queryStatusPoller = new QueryStatusPoller(translatorService, filters,
+    config.ars_endpoint.use_ars_merging, config.query_events.poll_interval_ms, config.query_events.max_duration_sec,
+    config.query_events.max_queries);
+  const jobScheduler = new JobScheduler();
+  if (config.jobs.prerun_queries.enabled) {
+    const prerunQueryJob = new PrerunQueryJob(config, translatorService, queryStatusPoller,
+      config.jobs.prerun_queries.submit_interval_ms, services.cachedQueryStore || null);
+    // Before listening, so the cached queries are never served with the uuids of the config
+    await prerunQueryJob.restoreCachedQueries();
+    jobScheduler.register('prerun_queries', prerunQueryJob,
+      config.jobs.prerun_queries.interval_sec,
+      config.jobs.prerun_queries.run_at_start);
+  }
   const __root = path.dirname(url.fileURLToPath(import.meta.url));
   const app = express();
   const loginController = new LoginController(config, authService);
-  const queryAPIController = new QueryAPIController(config, translatorService, filters);
+  const queryAPIController = new QueryAPIController(config, translatorService, filters, resultCache,
+    queryStatusPoller, userService);
   const configAPIController = new ConfigAPIController(config);
   const userAPIController = new UserAPIController(config, userService, translatorService);
+  const adminAPIController = new AdminAPIController(config, jobScheduler, summaryPool);
   const sessionController = new SessionController(config, authService);
+  const feContractController = new FEContractController(config);
   const API_PATH_PREFIX = '/api/v1';
   const SITE_PATH_PREFIX = '';
+  const deepLinkController = new DeepLinkController(config, translatorService, SITE_PATH_PREFIX);
   app.use(pinoHttp({logger: logger}));
   app.use(express.json({ limit: config.json_payload_limit }));
   app.use(cookieParser());
 
   app.use(express.static('./build'));
 
+  // Summary workers that are left down only come back with the process
   app.get('/health', (req, res, next) => {
+    if (summaryPool !== null && !summaryPool.healthy) {
+      return res.status(503).send('Summary workers down');
+    }
     res.send('OK');
   });
 
@@ -79,11 +107,27 @@ export function startServer(config, services) {
 
   /** All routes below this point MUST use one of authenticate[Un]PrivilegedRequest() **/
 
+  // Cancelling a query: privileged, see QueryAPIController.cancelQuery
+  app.delete(`${API_PATH_PREFIX}/query/:qid`,
+    sessionController.authenticatePrivilegedRequest.bind(sessionController),
+    queryAPIController.cancelQuery.bind(queryAPIController));
+
   // Query routes: unprivileged
   app.use(`${API_PATH_PREFIX}/query`, sessionController.authenticateUnprivilegedRequest.bind(sessionController));
-  app.post(`${API_PATH_PREFIX}/query`, queryAPIController.submitQuery.bind(queryAPIController));
-  app.get(`${API_PATH_PREFIX}/query/:qid/status`, queryAPIController.getQueryStatus.bind(queryAPIController));
-  app.get(`${API_PATH_PREFIX}/query/:qid/result`, queryAPIController.getQueryResult.bind(queryAPIController));
+  app.post(`${API_PATH_PREFIX}/query`,
+    feContractController.negotiateSchemaVersion.bind(feContractController, 'submit'),
+    queryAPIController.submitQuery.bind(queryAPIController));
+  app.get(`${API_PATH_PREFIX}/query/:qid/status`,
+    feContractController.negotiateSchemaVersion.bind(feContractController, 'status'),
+    queryAPIController.getQueryStatus.bind(queryAPIController));
+  app.get(`${API_PATH_PREFIX}/query/:qid/events`, queryAPIController.getQueryEvents.bind(queryAPIController));
+  app.get(`${API_PATH_PREFIX}/query/:qid/result`,
+    feContractController.negotiateSchemaVersion.bind(feContractController, 'summary'),
+    queryAPIController.getQueryResult.bind(queryAPIController));
+  app.get(`${API_PATH_PREFIX}/query/:qid/result/export`, queryAPIController.exportQueryResult.bind(queryAPIController));
+  app.get(`${API_PATH_PREFIX}/query/:qid/graph`, queryAPIController.getQueryGraph.bind(queryAPIController));
+  app.get(`${API_PATH_PREFIX}/query/:qid/diff`, queryAPIController.getQueryDiff.bind(queryAPIController));
+  app.get(`${API_PATH_PREFIX}/query/:qid/diagnostics`, queryAPIController.getQueryDiagnostics.bind(queryAPIController));
 
   // User routes: privileged
   app.use(`${API_PATH_PREFIX}/users`, sessionController.authenticatePrivilegedRequest.bind(sessionController));
@@ -95,6 +139,9 @@ export function startServer(config, services) {
   app.get(`${API_PATH_PREFIX}/users/me/saves/:save_id`, userAPIController.getUserSaveById.bind(userAPIController));
   app.put(`${API_PATH_PREFIX}/users/me/saves/:save_id`, userAPIController.updateUserSaveById.bind(userAPIController));
   app.delete(`${API_PATH_PREFIX}/users/me/saves/:save_id`, userAPIController.deleteUserSaveById.bind(userAPIController));
+  // query history
+  app.get(`${API_PATH_PREFIX}/users/me/queries`, userAPIController.getUserQueries.bind(userAPIController));
+  app.post(`${API_PATH_PREFIX}/users/me/queries/:query_id/bookmark`, userAPIController.bookmarkUserQuery.bind(userAPIController));
   // workspaces
   app.get(`${API_PATH_PREFIX}/users/me/workspaces`, userAPIController.getUserWorkspaces.bind(userAPIController));
   app.get(`${API_PATH_PREFIX}/users/me/workspaces/:ws_id`, userAPIController.getUserWorkspaceById.bind(userAPIController));
@@ -102,6 +149,14 @@ export function startServer(config, services) {
   app.put(`${API_PATH_PREFIX}/users/me/workspaces/:ws_id`, userAPIController.updateUserWorkspace.bind(userAPIController));
   app.delete(`${API_PATH_PREFIX}/users/me/workspaces/:ws_id`, userAPIController.deleteUserWorkspace.bind(userAPIController));
 
+  // Admin routes: privileged, and only for the users listed in the admin config
+  app.use(`${API_PATH_PREFIX}/admin`, sessionController.authenticatePrivilegedRequest.bind(sessionController));
+  app.use(`${API_PATH_PREFIX}/admin`, adminAPIController.authorizeAdminRequest.bind(adminAPIController));
+  app.get(`${API_PATH_PREFIX}/admin/jobs`, adminAPIController.getJobs.bind(adminAPIController));
+  app.get(`${API_PATH_PREFIX}/admin/jobs/:job_name`, adminAPIController.getJob.bind(adminAPIController));
+  app.post(`${API_PATH_PREFIX}/admin/jobs/:job_name/run`, adminAPIController.runJob.bind(adminAPIController));
+  app.get(`${API_PATH_PREFIX}/admin/summary-workers`, adminAPIController.getSummaryWorkers.bind(adminAPIController));
+
   app.all(['/api', '/api/*'], (req, res) => {
     return res.status(403).send('API action Forbidden');
   });
@@ -109,15 +164,10 @@ export function startServer(config, services) {
   // ** ** All routes below this point MUST be unprivileged ** **
   app.use(sessionController.authenticateUnprivilegedRequest.bind(sessionController));
 
-  app.get('/demo/disease/:disease_id',
-    validateDemoQueryRequest(demoQueries, 'id', (req) => { return req.params.disease_id }),
-    handleDemoQueryRequest(SITE_PATH_PREFIX));
-  app.get('/demo/gene/:gene_id',
-    validateDemoQueryRequest(demoQueries, 'id', (req) => { return req.params.gene_id }),
-    handleDemoQueryRequest(SITE_PATH_PREFIX));
-  app.get('/demo/chemical/:chemical_id',
-    validateDemoQueryRequest(demoQueries, 'id', (req) => { return req.params.chemical_id }),
-    handleDemoQueryRequest(SITE_PATH_PREFIX));
+  // Deep links to cached queries, see DeepLinkController for how they are configured
+  deepLinkController.links().forEach(link => {
+    app.get(link.path, deepLinkController.handleDeepLink.bind(deepLinkController, link));
+  });
 
   // Redirect old /main and /demo URLs
   app.all(['/main', '/main/*', '/demo', '/demo/*'], (req, res, next) => {
@@ -134,5 +184,6 @@ export function startServer(config, services) {
   });
 
   app.listen(8386);
+  jobScheduler.start();
   logger.info("Der Anfang ist das Ende und das Ende ist der Anfang");
 }
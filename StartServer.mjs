@@ -6,10 +6,17 @@ import { bootstrapConfig } from './lib/config.mjs';
 
 import { loadBiolink } from './lib/biolink-model.mjs';
 import { loadChebi } from './lib/chebi.mjs';
+import { loadQueryTemplates } from './lib/query-templates.mjs';
+import { loadFESchemas } from './lib/fe-schemas.mjs';
 import { TranslatorService } from './services/TranslatorService.mjs';
+import { ResultCacheService } from './services/ResultCacheService.mjs';
 import { TranslatorServicexFEAdapter } from './adapters/TranslatorServicexFEAdapter.mjs';
 import { ARSClient } from './lib/ARSClient.mjs';
+import { KGAnnotationClient } from './lib/KGAnnotationClient.mjs';
+import { makeHTTPClient } from './lib/HTTPClient.mjs';
 import * as httpserver from './HTTPServer.mjs';
+import { startMockARS } from './mock/ars.mjs';
+import { startMockAnnotator } from './mock/annotator.mjs';
 import { AuthService } from './services/AuthService.mjs';
 import { UserService } from './services/UserService.mjs';
 
@@ -19,6 +26,14 @@ import { pg } from './lib/postgres_preamble.mjs';
 import { UserPreferenceStorePostgres } from './stores/UserPreferenceStorePostgres.mjs';
 import { UserSavedDataStorePostgres } from './stores/UserSavedDataStorePostgres.mjs';
 import { UserWorkspaceStorePostgres } from './stores/UserWorkspaceStorePostgres.mjs';
+import { UserQueryHistoryStorePostgres } from './stores/UserQueryHistoryStorePostgres.mjs';
+import { SummaryFragmentStoreMemory } from './stores/SummaryFragmentStoreMemory.mjs';
+import { QueryFingerprintStoreMemory } from './stores/QueryFingerprintStoreMemory.mjs';
+import { ResultCacheStoreMemory } from './stores/ResultCacheStoreMemory.mjs';
+import { ResultCacheStorePostgres } from './stores/ResultCacheStorePostgres.mjs';
+import { CachedQueryStoreMemory } from './stores/CachedQueryStoreMemory.mjs';
+import { CachedQueryStorePostgres } from './stores/CachedQueryStorePostgres.mjs';
+import { SummaryWorkerPool } from './services/SummaryWorkerPool.mjs';
 
 
 // Load the config asap as basically everything depends on it
@@ -40,6 +55,43 @@ await loadBiolink(SERVER_CONFIG.biolink.version,
                   SERVER_CONFIG.biolink.infores_catalog,
                   SERVER_CONFIG.biolink.prefix_catalog);
 await loadChebi();
+loadQueryTemplates(SERVER_CONFIG.query_templates);
+if (SERVER_CONFIG.response_validation.enabled) {
+  await loadFESchemas();
+}
+
+// Stand in for the ARS when running offline
+if (SERVER_CONFIG.mock_ars && SERVER_CONFIG.mock_ars.enabled) {
+  await startMockARS(SERVER_CONFIG.mock_ars);
+}
+
+if (SERVER_CONFIG.mock_annotator && SERVER_CONFIG.mock_annotator.enabled) {
+  await startMockAnnotator(SERVER_CONFIG.mock_annotator);
+}
+
+// Bootstrap the summary workers, which need the same config as the translator service below
+const SUMMARY_POOL = (function (config) {
+  if (!config.summary_workers.enabled) {
+    return null;
+  }
+
+  const pool = new SummaryWorkerPool(
+    config.summary_workers.workers,
+    config.summary_workers.max_queue,
+    config.summary_workers.retry_after_sec,
+    {
+      biolink: config.biolink,
+      query_templates: config.query_templates,
+      annotation_endpoint: config.annotation_endpoint,
+      http_client: config.http_client,
+      summary_fragments: config.summary_fragments
+    },
+    config.summary_workers.max_restarts,
+    config.summary_workers.restart_base_ms,
+    config.summary_workers.restart_max_ms);
+  pool.start();
+  return pool;
+})(SERVER_CONFIG);
 
 // Bootstrap the translator service.
 // All these bootstraps feel kludgy.
@@ -49,9 +101,28 @@ const TRANSLATOR_SERVICE = (function (config) {
     config.ars_endpoint.pull_uri,
     config.ars_endpoint.post_uri,
     config.ars_endpoint.retain_uri,
-    config.ars_endpoint.use_ars_merging);
-  const outputAdapter = new TranslatorServicexFEAdapter();
-  return new TranslatorService(queryClient, outputAdapter);
+    config.ars_endpoint.use_ars_merging,
+    {
+      status: makeHTTPClient(config.http_client, 'ars'),
+      results: makeHTTPClient(config.http_client, 'ars_results')
+    },
+    config.ars_endpoint.cancel_uri);
+  const annotationClient = new KGAnnotationClient(
+    `${config.annotation_endpoint.protocol}://${config.annotation_endpoint.host}`,
+    config.annotation_endpoint.pull_uri,
+    config.annotation_endpoint.fields,
+    config.annotation_endpoint.batch_size,
+    makeHTTPClient(config.http_client, 'annotator'),
+    config.annotation_endpoint.max_concurrency);
+  const outputAdapter = SUMMARY_POOL !== null
+    ? new TranslatorServicexFEAdapter(null, null, SUMMARY_POOL)
+    : new TranslatorServicexFEAdapter(
+        new SummaryFragmentStoreMemory(config.summary_fragments.max_queries),
+        annotationClient);
+  const fingerprintStore = config.query_reuse.enabled
+    ? new QueryFingerprintStoreMemory(config.query_reuse.max_entries)
+    : null;
+  return new TranslatorService(queryClient, outputAdapter, fingerprintStore, config.query_reuse.freshness_sec);
 })(SERVER_CONFIG);
 
 // Bootstrap the auth service
@@ -81,14 +152,60 @@ const USER_SERVICE = (function (config) {
     new UserStorePostgres(dbPool),
     new UserPreferenceStorePostgres(dbPool),
     new UserSavedDataStorePostgres(dbPool),
-    new UserWorkspaceStorePostgres(dbPool)
+    new UserWorkspaceStorePostgres(dbPool),
+    new UserQueryHistoryStorePostgres(dbPool)
   );
 })(SERVER_CONFIG);
 
+// Bootstrap the result cache
+const RESULT_CACHE = (function (config) {
+  const cacheConfig = config.result_cache;
+  let store = null;
+  switch (cacheConfig.backend) {
+    case 'memory':
+      store = new ResultCacheStoreMemory(cacheConfig.max_entries);
+      break;
+    case 'postgres':
+      store = new ResultCacheStorePostgres(new pg.Pool({
+        ...config.storage.pg,
+        password: config.secrets.pg.password,
+        ssl: config.db_conn.ssl
+      }));
+      break;
+    default:
+      throw new Error(`Unsupported result cache backend: ${cacheConfig.backend}`);
+  }
+  return new ResultCacheService(store, cacheConfig.ttl_sec);
+})(SERVER_CONFIG);
+
+// Bootstrap the store for the uuids of refreshed cached queries
+const CACHED_QUERY_STORE = (function (config) {
+  const jobConfig = config.jobs.prerun_queries;
+  if (!jobConfig.enabled) {
+    return null;
+  }
+
+  switch (jobConfig.backend) {
+    case 'memory':
+      return new CachedQueryStoreMemory();
+    case 'postgres':
+      return new CachedQueryStorePostgres(new pg.Pool({
+        ...config.storage.pg,
+        password: config.secrets.pg.password,
+        ssl: config.db_conn.ssl
+      }));
+    default:
+      throw new Error(`Unsupported cached query store backend: ${jobConfig.backend}`);
+  }
+})(SERVER_CONFIG);
+
 logger.info(SERVER_CONFIG, "Server configuration");
 
-httpserver.startServer(SERVER_CONFIG, {
+await httpserver.startServer(SERVER_CONFIG, {
   translatorService: TRANSLATOR_SERVICE,
   authService: AUTH_SERVICE,
-  userService: USER_SERVICE
+  userService: USER_SERVICE,
+  resultCache: RESULT_CACHE,
+  summaryPool: SUMMARY_POOL,
+  cachedQueryStore: CACHED_QUERY_STORE
 });
@@ -1,7 +1,9 @@
 'use strict';
 
 import * as arsmsg from '../lib/ARSMessages.mjs';
+import * as cmn from '../lib/common.mjs';
 import * as trapi from '../lib/trapi.mjs';
+import { summaryToDelta } from '../lib/summary-delta.mjs';
 
 /* Translate messages coming from the Translator Service into the formats that the Frontend (FE) app expects */
 /* This module should not contain logic that goes beyond message transformations */
@@ -12,12 +14,84 @@ function determineStatus(msg) {
   if (msg.queuing) {
     return "running";
   }
+  else if (msg.running.length > 0) {
+    return "running";
+  }
   else {
-    return msg.running.length > 0 ? "running" : "success";
+    return arsmsg.isErroredQuery(msg) ? "error" : "success";
   }
 }
 
+// Known ARS codes for children that did not complete
+const ARS_ERROR_CODES = {
+  400: 'Bad request',
+  422: 'Query could not be processed',
+  500: 'Internal error',
+  503: 'Service unavailable',
+  598: 'Timed out'
+};
+
+/* The state of every child of the query. In merged mode the children are the merged versions, and
+ * the parent query itself is left out. Timings are those of fetching the message of the child:
+ *   - in merged mode, its status for this very call
+ *   - in child mode, its results the last time they were fetched. They are null until then, and for
+ *     children that did not complete.
+ */
+function agentBreakdown(msg) {
+  const entry = (e, state, error=null) => {
+    const meta = cmn.jsonGet(e, 'meta', {});
+    let resultCount = cmn.jsonGet(e, 'result_count', null);
+    if (cmn.isObject(e.data) && cmn.isArray(e.data.results)) {
+      resultCount = e.data.results.length;
+    }
+
+    return {
+      agent: cmn.jsonGet(e, 'agent', null),
+      state: state,
+      code: cmn.jsonGet(e, 'code', null),
+      uuid: cmn.jsonGet(e, 'uuid', null),
+      fetch_ms: cmn.jsonGet(meta, 'fetchMs', null),
+      parse_ms: cmn.jsonGet(meta, 'parseMs', null),
+      result_count: resultCount,
+      error: error
+    };
+  };
+
+  const errorText = (e) => {
+    const code = cmn.jsonGet(e, 'code', null);
+    return cmn.jsonGet(ARS_ERROR_CODES, code, `${cmn.jsonGet(e, 'status', 'Error')} (code ${code})`);
+  };
+
+  const notParent = (e) => e.uuid !== msg.pk;
+  return [].concat(
+    msg.completed.filter(notParent).map(e => entry(e, 'completed')),
+    msg.running.filter(notParent).map(e => entry(e, 'running')),
+    msg.errored.filter(notParent).map(e => entry(e, 'errored', errorText(e))),
+    (msg.skipped || []).map(e => entry(e, 'skipped', e.reason)));
+}
+
 class TranslatorServicexFEAdapter {
+  /* fragmentStore: optional store for per-agent summary fragments. Without one every answer is
+   * summarized from scratch on every call and delta results are unavailable.
+   * annotationClient: optional KGAnnotationClient for annotating the nodes ARAs did not annotate.
+   * Without one only the annotations sent by the ARAs are used.
+   * summaryPool: optional SummaryWorkerPool to summarize on instead of the event loop. The workers
+   * keep the fragments and annotate on their own, so the other two are not used with one.
+   */
+  constructor(fragmentStore=null, annotationClient=null, summaryPool=null) {
+    this.fragmentStore = fragmentStore;
+    this.annotationClient = annotationClient;
+    this.summaryPool = summaryPool;
+  }
+
+  // Drops everything kept for the query, e.g. once it is cancelled
+  forgetQuery(qid) {
+    if (this.summaryPool !== null) {
+      this.summaryPool.forgetQuery(qid);
+    } else if (this.fragmentStore !== null) {
+      this.fragmentStore.deleteFragmentBundlesByQid(qid);
+    }
+  }
 
   querySubmitToFE(msg) {
     return {
@@ -32,34 +106,126 @@ class TranslatorServicexFEAdapter {
       data: {
         qid: msg.pk,
         aras: msg.completed.map(e => e.agent),
+        agents: agentBreakdown(msg),
+        filtered_agents: msg.filtered || [],
         timestamp: msg.meta.timestamp
       }
     };
   }
 
-  async queryResultsToFE(msg, maxHops) {
+  // maxPaths: the most paths to keep for any one result, see trapi.creativeAnswerToFragmentBundle
+  async queryResultsToFE(msg, maxHops, maxPaths = Infinity) {
+    if (this.summaryPool !== null) {
+      return this.summaryPool.queryResultsToFE(msg, maxHops, maxPaths);
+    }
+
     // Omit ARA results where the actual results array is empty
     // Need to account for the ARS returning both null and []
     const data = msg.completed.filter(e => {
       return !!e.data;
-    }).map(e => {
-      return {
-        agent: e.agent,
-        message: e.data
-      }
     });
 
-    const summary = await trapi.creativeAnswersToSummary(
-      msg.pk,
-      data,
-      maxHops);
+    const bundles = await Promise.all(data.map(e => this._answerToFragmentBundle(msg.pk, e, maxHops, maxPaths)));
+    const summary = await trapi.fragmentBundlesToSummary(msg.pk, bundles);
     summary.meta.timestamp = msg.meta.timestamp;
+    summary.meta.filtered_agents = msg.filtered || [];
+    // Let the FE know about results that are missing because they could not be fetched
+    (msg.skipped || []).forEach(e => {
+      cmn.jsonSetDefaultAndGet(summary.errors, e.agent, []).push(`Results could not be fetched: ${e.reason}`);
+    });
 
     return {
       status: determineStatus(msg),
       data: summary
     };
   }
+
+  // Accounts for what the summary leaves out of the results, see trapi.creativeAnswersToDiagnostics
+  async queryResultsToDiagnostics(msg, maxHops, maxPaths = Infinity) {
+    if (this.summaryPool !== null) {
+      return this.summaryPool.queryResultsToDiagnostics(msg, maxHops, maxPaths);
+    }
+
+    const data = msg.completed.filter(e => {
+      return !!e.data;
+    });
+
+    const bundles = await Promise.all(data.map(e => this._answerToFragmentBundle(msg.pk, e, maxHops, maxPaths)));
+    const answers = data.map(e => {
+      return { agent: e.agent, message: e.data };
+    });
+
+    return {
+      status: determineStatus(msg),
+      data: {
+        qid: msg.pk,
+        agents: await trapi.creativeAnswersToDiagnostics(msg.pk, answers, bundles)
+      }
+    };
+  }
+
+  /* feResult: the output of queryResultsToFE for the same query
+   * since: the agents whose results the FE already has
+   *
+   * Returns null if there is nothing to build the delta against.
+   */
+  async queryResultsDeltaToFE(qid, feResult, since) {
+    if (this.summaryPool !== null) {
+      return this.summaryPool.queryResultsDeltaToFE(qid, feResult, since);
+    }
+
+    if (this.fragmentStore === null) {
+      return null;
+    }
+
+    const baselineKey = [...since].sort().join(',');
+    let baseline = this.fragmentStore.retrieveBaselineSummary(qid, baselineKey);
+    if (baseline === null) {
+      const bundles = since.map(agent => this.fragmentStore.retrieveFragmentBundle(qid, agent))
+        .filter(bundle => bundle !== null);
+      baseline = await trapi.fragmentBundlesToSummary(qid, bundles);
+      this.fragmentStore.storeBaselineSummary(qid, baselineKey, baseline);
+    }
+
+    return {
+      status: feResult.status,
+      data: summaryToDelta(feResult.data, baseline, since)
+    };
+  }
+
+  /* Only answers that carry a message are worth keeping. When the ARS merges results, older
+   * merged versions are reported with empty data and summarizing them is trivial. A merged version
+   * left with the analyses of only some agents is not kept either, as it would take the place of the
+   * whole version in the store.
+   */
+  async _answerToFragmentBundle(qid, e, maxHops, maxPaths) {
+    const answer = {
+      agent: e.agent,
+      message: e.data
+    };
+
+    if (this.fragmentStore === null || !cmn.isObject(e.data) || !cmn.isArrayEmpty(e.filtered || [])) {
+      return this._summarizeAnswer(answer, maxHops, maxPaths);
+    }
+
+    let bundle = this.fragmentStore.retrieveFragmentBundle(qid, e.agent, e.uuid);
+    if (bundle === null) {
+      bundle = await this._summarizeAnswer(answer, maxHops, maxPaths);
+      this.fragmentStore.storeFragmentBundle(qid, e.agent, e.uuid, bundle);
+    }
+
+    return bundle;
+  }
+
+  // Annotating is part of summarizing, so stored bundles are never annotated twice
+  async _summarizeAnswer(answer, maxHops, maxPaths) {
+    let annotationErrors = {};
+    if (this.annotationClient !== null && cmn.isObject(answer.message)) {
+      annotationErrors = await trapi.annotateAnswerNodes(answer, this.annotationClient);
+    }
+
+    return trapi.creativeAnswerToFragmentBundle(answer, maxHops, annotationErrors, maxPaths);
+  }
 }
 
 // msg: an ARS client message w/ results
@@ -0,0 +1,53 @@
+'use strict';
+
+import * as wutil from '../lib/webutils.mjs';
+
+export { AdminAPIController };
+
+class AdminAPIController {
+  // summaryPool: the SummaryWorkerPool, or null if summarizing is done on the event loop
+  constructor(config, jobScheduler, summaryPool=null) {
+    this.config = config;
+    this.jobScheduler = jobScheduler;
+    this.summaryPool = summaryPool;
+  }
+
+  // Assumes authenticatePrivilegedRequest has run, so there is a valid user attached
+  authorizeAdminRequest(req, res, next) {
+    const email = req.sessionData.user.email;
+    if (!this.config.admin.emails.includes(email)) {
+      return wutil.sendError(res, 403, `User ${req.sessionData.user.id} is not an admin`);
+    }
+    next();
+  }
+
+  getJobs(req, res, next) {
+    return res.status(200).json(this.jobScheduler.status());
+  }
+
+  getJob(req, res, next) {
+    const status = this.jobScheduler.jobStatus(req.params.job_name);
+    if (!status) {
+      return wutil.sendError(res, 404, `No job named ${req.params.job_name}`);
+    }
+    return res.status(200).json(status);
+  }
+
+  runJob(req, res, next) {
+    const name = req.params.job_name;
+    if (!this.jobScheduler.jobStatus(name)) {
+      return wutil.sendError(res, 404, `No job named ${name}`);
+    }
+    if (!this.jobScheduler.runNow(name)) {
+      return wutil.sendError(res, 409, `Job ${name} is already running`);
+    }
+    return res.status(202).json(this.jobScheduler.jobStatus(name));
+  }
+
+  getSummaryWorkers(req, res, next) {
+    if (this.summaryPool === null) {
+      return wutil.sendError(res, 404, 'Summary workers are not enabled');
+    }
+    return res.status(200).json(this.summaryPool.metrics());
+  }
+}
@@ -0,0 +1,125 @@
+'use strict';
+
+import * as cmn from '../lib/common.mjs';
+import * as wutil from '../lib/webutils.mjs';
+import * as bl from '../lib/biolink-model.mjs';
+import * as arsmsg from '../lib/ARSMessages.mjs';
+import * as qt from '../lib/query-templates.mjs';
+import { QueryGraphValidationError } from '../lib/query-graph-validation.mjs';
+
+export { DeepLinkController };
+
+/* Redirects deep links to the FE results page of a cached query. Each kind of deep link is
+ * configured as an entry of deep_links.links:
+ *
+ * {
+ *   "path": "/demo/gene/:curie/:direction?",
+ *   "query_type": "chemical",
+ *   "validation_keys": {"curie": "id", "direction": "direction"},
+ *   "redirect": "/results?l={name}&i={id}&t=2&d={direction}&q={uuid}"
+ * }
+ *
+ * path: the Express route of the link. The /demo links are named after what their CURIE is, not
+ *   after the query type: /demo/gene/:curie is a query for chemicals that affect the gene.
+ * query_type: only cached queries of this type are considered
+ * validation_keys: maps route params to the (dotted) cached query fields they must equal. Params
+ *   left out of the URL match anything.
+ * redirect: the FE URL to redirect to, where {field} is replaced by that (dotted) field of the
+ *   cached query
+ *
+ * Only cached queries with allow_inbound set can be linked to. With deep_links.fallback_to_query
+ * set, a link to anything else submits a new query and redirects to it, otherwise it is refused.
+ */
+class DeepLinkController {
+  constructor(config, translatorService, basePath='') {
+    this.config = config;
+    this.translatorService = translatorService;
+    this.basePath = basePath;
+  }
+
+  links() {
+    return this.config.deep_links.links;
+  }
+
+  // Bind to a link to get its route handler
+  async handleDeepLink(link, req, res, next) {
+    const params = {};
+    Object.keys(link.validation_keys).forEach(param => {
+      if (req.params[param] !== undefined) {
+        params[param] = req.params[param];
+      }
+    });
+
+    let query = this._findCachedQuery(link, params);
+    if (query === null) {
+      if (!this.config.deep_links.fallback_to_query) {
+        return wutil.sendError(res, 403, `Request for ${Object.values(params).join(', ')} is not supported`);
+      }
+
+      try {
+        query = await this._submitQuery(link, params);
+      } catch (err) {
+        if (err instanceof RangeError || err instanceof ReferenceError || err instanceof QueryGraphValidationError) {
+          return wutil.sendError(res, 400, `Invalid deep link: ${err.message}`);
+        }
+        wutil.logInternalServerError(req, err);
+        return wutil.sendInternalServerError(res);
+      }
+    }
+
+    // Note: kinda tightly coupled to knowledge of FE, as is the redirect template in the config
+    res.redirect(302, `${this.basePath}${renderRedirect(link.redirect, query)}`);
+  }
+
+  // The cached queries are looked up on every request, see PrerunQueryJob
+  _findCachedQuery(link, params) {
+    const query = this.config.frontend.cached_queries.find(cachedQuery => {
+      return cachedQuery.allow_inbound && cachedQuery.type === link.query_type &&
+        Object.entries(params).every(([param, value]) => fieldValue(cachedQuery, link.validation_keys[param]) === value);
+    });
+
+    return query === undefined ? null : query;
+  }
+
+  /* Returns a stand-in for a cached query, built from the params the way the cached query would have
+   * been. Params that stand for ids have to be valid CURIEs.
+   */
+  async _submitQuery(link, params) {
+    const query = { type: link.query_type };
+    const curies = [];
+    Object.entries(params).forEach(([param, value]) => {
+      const field = link.validation_keys[param];
+      if (field === 'id' || field.endsWith('.id')) {
+        if (!bl.isValidCurie(value)) {
+          throw new RangeError(`Expected ${param} to be a CURIE, got: ${value}`);
+        }
+        curies.push(value);
+      }
+
+      const kpath = field.split('.');
+      let obj = query;
+      kpath.slice(0, -1).forEach(key => {
+        obj = cmn.jsonSetDefaultAndGet(obj, key, {});
+      });
+      obj[kpath[kpath.length - 1]] = value;
+    });
+
+    const resp = await this.translatorService.submitQuery(
+      this.translatorService.inputToQuery(qt.cachedQueryToInput(query)));
+    // There is no name to show for a query that was not cached, so show what it is about
+    query.name = curies.join(' - ');
+    query.uuid = arsmsg.msgId(resp);
+    return query;
+  }
+}
+
+function fieldValue(obj, dottedPath) {
+  return cmn.jsonGetFromKpath(obj, dottedPath.split('.'), null);
+}
+
+function renderRedirect(template, query) {
+  return template.replace(/\{([\w.]+)\}/g, (match, dottedPath) => {
+    const value = fieldValue(query, dottedPath);
+    return value === null ? '' : encodeURIComponent(value);
+  });
+}
@@ -0,0 +1,57 @@
+'use strict';
+
+import * as wutil from '../lib/webutils.mjs';
+import * as cmn from '../lib/common.mjs';
+import * as feSchemas from '../lib/fe-schemas.mjs';
+
+export { FEContractController };
+
+/* Holds the query endpoints to the FE contract, see lib/fe-schemas.mjs. The FE asks for a schema
+ * version with the Accept-Version header and the version served is sent back in Content-Version and
+ * in the schema_version of the payload.
+ *
+ * With response_validation enabled, payloads that break their schema are not sent and the FE gets a
+ * 500 with what is wrong instead, so the contract can't drift unnoticed in test and dev. The schemas
+ * have to be loaded for that, see loadFESchemas.
+ */
+class FEContractController {
+  constructor(config) {
+    this.config = config;
+  }
+
+  // payload: one of FE_PAYLOADS, bound per route
+  negotiateSchemaVersion(payload, req, res, next) {
+    res.vary('Accept-Version');
+    const version = feSchemas.negotiateSchemaVersion(req.get('Accept-Version'));
+    if (version === null) {
+      return wutil.sendError(res, 406, {
+        message: `Unsupported schema version: ${req.get('Accept-Version')}`,
+        supported_versions: feSchemas.supportedSchemaVersions()
+      });
+    }
+
+    res.set('Content-Version', version);
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      // Errors are not part of the contract
+      if (res.statusCode >= 400 || !cmn.isObject(body)) {
+        return sendJson(body);
+      }
+
+      const versioned = { ...body, schema_version: version };
+      if (this.config.response_validation.enabled) {
+        const errors = feSchemas.validateFEPayload(version, payload, versioned);
+        if (errors !== null) {
+          return wutil.sendError(res, 500, {
+            message: `Response to ${feSchemas.FE_PAYLOADS[payload]} does not match schema ${version}`,
+            errors: errors
+          });
+        }
+      }
+
+      return sendJson(versioned);
+    };
+
+    next();
+  }
+}
@@ -1,23 +1,43 @@
 'use strict';
 
+import { Readable, pipeline } from 'node:stream';
+import { validate as isUuid } from 'uuid';
 import * as cmn from '../lib/common.mjs';
+import * as trapi from '../lib/trapi.mjs';
+import * as arsmsg from '../lib/ARSMessages.mjs';
 import * as wutil from '../lib/webutils.mjs';
+import * as ranking from '../lib/ranking.mjs';
+import * as summaryExport from '../lib/summary-export.mjs';
+import * as summaryGraph from '../lib/summary-graph.mjs';
+import { summaryDiff } from '../lib/summary-diff.mjs';
+import * as summaryPage from '../lib/summary-page.mjs';
+import { QueryGraphValidationError } from '../lib/query-graph-validation.mjs';
+import * as AuthService from '../services/AuthService.mjs';
+import { SummaryPoolSaturatedError, SummaryWorkerDownError } from '../services/SummaryWorkerPool.mjs';
+import { UserQueryHistory } from '../models/UserQueryHistory.mjs';
 
 export { QueryAPIController };
 
+// The statuses of a query the ARS is done with, see determineStatus in TranslatorServicexFEAdapter.mjs
+const FINAL_QUERY_STATUSES = ['success', 'error'];
+
 class QueryAPIController {
-  constructor(config, translatorService, filters) {
+  constructor(config, translatorService, filters, resultCache, statusPoller, userService) {
     this.config = config;
     this.translatorService = translatorService;
     this.filters = filters;
+    this.resultCache = resultCache;
+    this.statusPoller = statusPoller;
+    this.userService = userService;
   }
 
   isValidQuerySubmissionRequest(body) {
     return cmn.isObject(body);
   }
 
+  // The qid ends up in the path of ARS requests, so it has to be an ARS pk
   isValidQueryResultRequest(req) {
-    return req.params.hasOwnProperty('qid') && req.params.qid;
+    return req.params.hasOwnProperty('qid') && isUuid(req.params.qid);
   }
 
   logQuerySubmissionRequest(req) {
@@ -32,10 +52,14 @@ class QueryAPIController {
     try {
       let query = this.translatorService.inputToQuery(req.body);
       req.log.info({query: query});
-      let resp = await this.translatorService.submitQuery(query);
+      let resp = await this.translatorService.submitQuery(query, cmn.jsonGet(req.body, 'force_new', false) === true);
       req.log.info({arsqueryresp: resp});
+      await this._recordQueryHistory(req, query, arsmsg.msgId(resp));
       return res.status(200).json(this.translatorService.outputAdapter.querySubmitToFE(resp));
     } catch (err) {
+      if (err instanceof QueryGraphValidationError) {
+        return wutil.sendError(res, 400, { message: 'Invalid query graph', errors: err.errors });
+      }
       wutil.logInternalServerError(req, err);
       return wutil.sendInternalServerError(res);
     }
@@ -45,30 +69,469 @@ class QueryAPIController {
     if (!this.isValidQueryResultRequest(req)) {
       return wutil.sendError(res, 400, 'Malformed Request');
     }
+    const filters = this._requestFilters(req);
     try {
       let uuid = req.params.qid;
-      let statusRes = await this.translatorService.getQueryStatus(uuid, this.filters);
-      return res.status(200).json(this.translatorService.outputAdapter.queryStatusToFE(statusRes));
+      let statusRes = await this.translatorService.getQueryStatus(uuid, filters);
+      const retval = this.translatorService.outputAdapter.queryStatusToFE(statusRes);
+      if (filters === this.filters) {
+        await this._updateQueryHistoryStatus(req, uuid, retval.status);
+      }
+      return res.status(200).json(retval);
     } catch (err) {
       wutil.logInternalServerError(req, err);
       return wutil.sendInternalServerError(res, err);
     }
   }
 
+  /* Server-Sent Events version of getQueryStatus. All subscribers to the same query share a
+   * single poller, see QueryStatusPoller for the events sent. A comment is sent every
+   * keepalive_sec in between, so proxies don't drop the connection while the query is quiet.
+   */
+  getQueryEvents(req, res, next) {
+    if (!this.isValidQueryResultRequest(req)) {
+      return wutil.sendError(res, 400, 'Malformed Request');
+    }
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const keepalive = setInterval(() => res.write(':keepalive\n\n'), this.config.query_events.keepalive_sec * 1000);
+    const lastEventId = parseInt(req.get('Last-Event-ID'));
+    const unsubscribe = this.statusPoller.subscribe(req.params.qid, {
+      write: (event) => {
+        if (event.type === 'done') {
+          this._updateQueryHistoryStatus(req, req.params.qid, event.data.status);
+        }
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+      },
+      end: () => {
+        clearInterval(keepalive);
+        res.end();
+      }
+    }, isNaN(lastEventId) ? null : lastEventId);
+    req.on('close', () => {
+      clearInterval(keepalive);
+      unsubscribe();
+    });
+  }
+
+  /* Abandons a query: the ARS is asked to cancel it, and the pollers and cached results for it
+   * are dropped. Queries that are also used by others, i.e. reused for an identical query or
+   * cached for the FE, keep running and only the requester's history is updated.
+   *
+   * Privileged: only the queries in the requester's history can be cancelled, and every
+   * cancellation is logged.
+   */
+  async cancelQuery(req, res, next) {
+    if (!this.isValidQueryResultRequest(req)) {
+      return wutil.sendError(res, 400, 'Malformed Request');
+    }
+    const uuid = req.params.qid;
+    const uid = req.sessionData.user.id;
+    try {
+      const history = await this.userService.getUserQueryHistoryByPkey(uid, uuid);
+      if (cmn.isArrayEmpty(history)) {
+        return wutil.sendError(res, 403, `Query ${uuid} is not in the query history of the user`);
+      }
+    } catch (err) {
+      wutil.logInternalServerError(req, err);
+      return wutil.sendInternalServerError(res);
+    }
+
+    const cachedQueries = this.config.frontend.cached_queries || [];
+    const shared = this.translatorService.isSharedQuery(uuid) || cachedQueries.some(e => e.uuid === uuid);
+    let arsCancelled = false;
+    if (!shared) {
+      try {
+        arsCancelled = await this.translatorService.cancelQuery(uuid);
+      } catch (err) {
+        // The query is abandoned all the same, the ARS just keeps working on it
+        req.log.error(`Error cancelling ${uuid} upstream: ${err}`);
+      }
+      this.statusPoller.stopPolling(uuid, 'cancelled');
+      await this.resultCache.evictResult(uuid);
+      this.translatorService.outputAdapter.forgetQuery(uuid);
+    }
+
+    await this._cancelQueryHistory(req, uid, uuid);
+    req.log.info(`User ${uid} cancelled ${uuid} (shared: ${shared}, cancelled upstream: ${arsCancelled})`);
+    return res.status(200).json({
+      status: 'cancelled',
+      data: {
+        qid: uuid,
+        shared: shared,
+        ars_cancelled: arsCancelled
+      }
+    });
+  }
+
   async getQueryResult(req, res, next) {
     if (!this.isValidQueryResultRequest(req)) {
       return wutil.sendError(res, 400, 'Malformed Request');
     }
+    // Results are sent in the order the ARS sent them unless the FE asks for a ranking
+    const strategy = req.query.sort || null;
+    if (strategy !== null && !ranking.isRankingStrategy(this.config.ranking, strategy)) {
+      return wutil.sendError(res, 400, `Unknown sort strategy: ${strategy}`);
+    }
+    const filters = this._requestFilters(req);
+    const [pageParams, pageError] = this._resultPageParams(req);
+    if (pageError) {
+      return wutil.sendError(res, 400, pageError);
+    }
+    if (pageParams && pageParams.criteria.minScore !== null && strategy === null) {
+      return wutil.sendError(res, 400, 'min_score needs a sort strategy to score the results with');
+    }
+    if (pageParams && req.query.since) {
+      return wutil.sendError(res, 400, 'Results can not be both filtered and sent as a delta');
+    }
+    // Deltas are built from the stored fragments of whole merged versions
+    if (filters !== this.filters && req.query.since && this.config.ars_endpoint.use_ars_merging) {
+      return wutil.sendError(res, 400, 'Results of some agents can not be sent as a delta when the ARS merges results');
+    }
     try {
       let uuid = req.params.qid;
-      let svcRes = await this.translatorService.getResults(uuid, this.filters);
-      let retval = await this.translatorService.outputAdapter.queryResultsToFE(
-        svcRes, this.config.max_hops, this.config.ara_to_infores_map);
+      let retval = await this._fetchQueryResult(uuid, filters);
+      if (filters === this.filters) {
+        await this._updateQueryHistoryStatus(req, uuid, retval.status);
+      }
+      // Rank against every result even when only sending a delta, so scores are comparable between calls
+      const rankings = strategy === null ? null : ranking.rankResults(retval.data, strategy, this.config.ranking);
+      const facets = summaryPage.resultFacets(retval.data.results);
+      // With ?since=<agent list> only send what changed since the FE had results for those agents
+      if (req.query.since) {
+        const since = req.query.since.split(',').filter(e => e !== '');
+        const delta = await this.translatorService.outputAdapter.queryResultsDeltaToFE(uuid, retval, since);
+        if (delta) {
+          retval = delta;
+        }
+      }
+      // The result may be cached, so rank a copy
+      let data = Object.assign({}, retval.data, { facets: facets });
+      if (rankings !== null) {
+        data.results = ranking.applyRanking(retval.data.results, rankings);
+      }
+      // With filtering or paging params only send the matching results and what they refer to
+      if (pageParams) {
+        const matching = summaryPage.filterResults(data.results, data.nodes, pageParams.criteria);
+        const end = pageParams.limit === null ? matching.length : pageParams.offset + pageParams.limit;
+        data = Object.assign(summaryPage.summaryPage(data, matching.slice(pageParams.offset, end)), {
+          page: {
+            offset: pageParams.offset,
+            limit: pageParams.limit,
+            total: matching.length,
+            next_offset: end < matching.length ? end : null
+          }
+        });
+      }
+      retval = Object.assign({}, retval, { data: data });
       return res.status(200).json(retval);
     } catch (err) {
-      wutil.logInternalServerError(req, err);
-      return wutil.sendInternalServerError(res, err);
+      return this._sendResultError(req, res, err);
+    }
+  }
+
+  // Streams the summary as a table, one row per result
+  async exportQueryResult(req, res, next) {
+    if (!this.isValidQueryResultRequest(req)) {
+      return wutil.sendError(res, 400, 'Malformed Request');
+    }
+    const format = req.query.format || 'csv';
+    const exportFormat = cmn.jsonGet(summaryExport.EXPORT_FORMATS, format, false);
+    if (!exportFormat) {
+      return wutil.sendError(res, 400, `Unsupported export format: ${format}`);
+    }
+    const filters = this._requestFilters(req);
+    let result = null;
+    try {
+      result = await this._fetchQueryResult(req.params.qid, filters);
+    } catch (err) {
+      return this._sendResultError(req, res, err);
+    }
+
+    const filename = `${req.params.qid.replace(/[^\w-]/g, '')}.${exportFormat.extension}`;
+    res.status(200).set({
+      'Content-Type': exportFormat.contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    pipeline(Readable.from(summaryExport.summaryToExportLines(result.data, format)), res, (err) => {
+      if (err) {
+        req.log.error(`Error streaming export of ${req.params.qid}: ${err}`);
+      }
+    });
+  }
+
+  /* The graph of one result (?result_id=) or of every result. The TRAPI format is cut down from the
+   * ARA answers themselves, so it needs them fetched again.
+   */
+  async getQueryGraph(req, res, next) {
+    if (!this.isValidQueryResultRequest(req)) {
+      return wutil.sendError(res, 400, 'Malformed Request');
+    }
+    const format = req.query.format || 'graphml';
+    const graphFormat = cmn.jsonGet(summaryGraph.GRAPH_FORMATS, format, false);
+    if (!graphFormat) {
+      return wutil.sendError(res, 400, `Unsupported graph format: ${format}`);
+    }
+    const filters = this._requestFilters(req);
+    try {
+      const uuid = req.params.qid;
+      const result = await this._fetchQueryResult(uuid, filters);
+      const resultId = req.query.result_id || null;
+      const subgraph = summaryGraph.summaryToSubgraph(result.data, resultId);
+      if (subgraph === null) {
+        return wutil.sendError(res, 404, `No result ${resultId} for query ${uuid}`);
+      }
+
+      let body = null;
+      if (format === 'graphml') {
+        body = summaryGraph.subgraphToGraphML(result.data, subgraph);
+      } else if (format === 'cytoscape') {
+        body = JSON.stringify(summaryGraph.subgraphToCytoscape(result.data, subgraph));
+      } else {
+        const svcRes = await this.translatorService.getResults(uuid, filters);
+        const messages = svcRes.completed.filter(e => cmn.isObject(e.data)).map(e => e.data);
+        body = JSON.stringify(summaryGraph.subgraphToTrapi(messages, subgraph));
+      }
+
+      const filename = [uuid, resultId].filter(e => e !== null).join('-').replace(/[^\w-]/g, '');
+      return res.status(200).set({
+        'Content-Type': graphFormat.contentType,
+        'Content-Disposition': `attachment; filename="${filename}.${graphFormat.extension}"`
+      }).send(body);
+    } catch (err) {
+      return this._sendResultError(req, res, err);
     }
   }
 
+  /* Counts of what the summary leaves out of the results of every agent, for ARA developers to find out
+   * why their answers don't show up. Always built from scratch, so never cached.
+   */
+  async getQueryDiagnostics(req, res, next) {
+    if (!this.isValidQueryResultRequest(req)) {
+      return wutil.sendError(res, 400, 'Malformed Request');
+    }
+    const filters = this._requestFilters(req);
+    try {
+      const svcRes = await this.translatorService.getResults(req.params.qid, filters);
+      const retval = await this.translatorService.outputAdapter.queryResultsToDiagnostics(
+        svcRes, this.config.max_hops, this.config.max_paths);
+      return res.status(200).json(retval);
+    } catch (err) {
+      return this._sendResultError(req, res, err);
+    }
+  }
+
+  /* Compares the results of the query with those of another query, given by ?to=<qid>, or compares two
+   * merged versions of the query, given by ?from_version=<uuid> and ?to_version=<uuid>. Without a
+   * version the most recent results of a query are used. See summaryDiff for what is sent.
+   */
+  async getQueryDiff(req, res, next) {
+    if (!this.isValidQueryResultRequest(req)) {
+      return wutil.sendError(res, 400, 'Malformed Request');
+    }
+    const strategy = req.query.sort || this.config.ranking.default_strategy;
+    if (!ranking.isRankingStrategy(this.config.ranking, strategy)) {
+      return wutil.sendError(res, 400, `Unknown sort strategy: ${strategy}`);
+    }
+    const from = { qid: req.params.qid, version: req.query.from_version || null };
+    const to = { qid: req.query.to || req.params.qid, version: req.query.to_version || null };
+    if (![to.qid, from.version, to.version].every(id => id === null || isUuid(id))) {
+      return wutil.sendError(res, 400, 'Malformed Request');
+    }
+    if (from.qid === to.qid && from.version === to.version) {
+      return wutil.sendError(res, 400, 'Nothing to compare, give another query or a version to compare with');
+    }
+    if ((from.version || to.version) && !this.config.ars_endpoint.use_ars_merging) {
+      return wutil.sendError(res, 400, 'Merged versions are only available when the ARS merges results');
+    }
+    try {
+      const [fromResult, toResult] = await Promise.all([
+        this._fetchQueryVersionResult(from.qid, from.version),
+        this._fetchQueryVersionResult(to.qid, to.version)]);
+      const missing = [[from, fromResult], [to, toResult]].find(([side, result]) => result === null);
+      if (missing) {
+        return wutil.sendError(res, 404, `No completed version ${missing[0].version} of ${missing[0].qid}`);
+      }
+      return res.status(200).json({
+        status: toResult.status,
+        data: Object.assign({
+          from: Object.assign({ status: fromResult.status, timestamp: fromResult.data.meta.timestamp }, from),
+          to: Object.assign({ status: toResult.status, timestamp: toResult.data.meta.timestamp }, to)
+        }, summaryDiff(fromResult.data, toResult.data, strategy, this.config.ranking))
+      });
+    } catch (err) {
+      return this._sendResultError(req, res, err);
+    }
+  }
+
+  /* The configured agent filters, narrowed down by the optional agents and exclude_agents params,
+   * both comma separated lists of agents. When the ARS merges results the agents are those of the
+   * analyses, e.g. infores:aragorn, see configToFilters.
+   */
+  _requestFilters(req) {
+    const splitAgents = (param) => param ? `${param}`.split(',').map(e => e.trim()).filter(e => e !== '') : [];
+    const agents = splitAgents(req.query.agents);
+    const excludeAgents = splitAgents(req.query.exclude_agents);
+    if (cmn.isArrayEmpty(agents) && cmn.isArrayEmpty(excludeAgents)) {
+      return this.filters;
+    }
+
+    const filters = Object.assign({}, this.filters);
+    if (!cmn.isArrayEmpty(agents)) {
+      filters.agents = filters.agents ? filters.agents.filter(e => agents.includes(e)) : agents;
+    }
+    if (!cmn.isArrayEmpty(excludeAgents)) {
+      filters.blacklist = (filters.blacklist || []).concat(excludeAgents);
+    }
+    return filters;
+  }
+
+  /* The params for sending only some of the results, see summary-page.mjs:
+   *   include_tags, exclude_tags: comma separated lists of tags
+   *   q: text to look for in the names of results
+   *   min_score: the lowest ranking score to keep, from 0 to 1. Only with sort.
+   *   limit, offset: which of the matching results to send, all of them by default
+   * Returns [params, error], where params is null if none are given and error is null if the params
+   * are fine.
+   */
+  _resultPageParams(req) {
+    const names = ['include_tags', 'exclude_tags', 'q', 'min_score', 'limit', 'offset'];
+    if (!names.some(name => req.query[name] !== undefined)) {
+      return [null, null];
+    }
+
+    const splitTags = (param) => param ? `${param}`.split(',').map(e => e.trim()).filter(e => e !== '') : [];
+    const toInt = (param) => /^\d+$/.test(`${param}`) ? parseInt(param) : NaN;
+    const params = {
+      criteria: {
+        includeTags: splitTags(req.query.include_tags),
+        excludeTags: splitTags(req.query.exclude_tags),
+        text: req.query.q ? `${req.query.q}` : null,
+        minScore: req.query.min_score !== undefined ? Number(req.query.min_score) : null
+      },
+      limit: req.query.limit !== undefined ? toInt(req.query.limit) : null,
+      offset: req.query.offset !== undefined ? toInt(req.query.offset) : 0
+    };
+
+    if (params.criteria.minScore !== null && isNaN(params.criteria.minScore)) {
+      return [null, `Invalid min_score: ${req.query.min_score}`];
+    }
+    if (params.limit !== null && !(params.limit > 0)) {
+      return [null, `Invalid limit: ${req.query.limit}`];
+    }
+    if (isNaN(params.offset)) {
+      return [null, `Invalid offset: ${req.query.offset}`];
+    }
+    return [params, null];
+  }
+
+  /* Summarizing can be refused when the summary workers are busy or restarting, which is worth
+   * retrying later
+   */
+  _sendResultError(req, res, err) {
+    if (err instanceof SummaryPoolSaturatedError) {
+      res.set('Retry-After', `${err.retryAfterSec}`);
+      return wutil.sendError(res, 503, err.message);
+    }
+
+    if (err instanceof SummaryWorkerDownError) {
+      if (err.retryAfterSec !== null) {
+        res.set('Retry-After', `${err.retryAfterSec}`);
+      }
+      return wutil.sendError(res, 503, err.message);
+    }
+
+    wutil.logInternalServerError(req, err);
+    return wutil.sendInternalServerError(res, err);
+  }
+
+  /* Checking the status is much cheaper than fetching every child message, so do that first
+   * and only fetch and summarize the results if the set of children has changed since the last
+   * time the summary was built.
+   */
+  async _fetchQueryResult(uuid, filters=this.filters) {
+    const statusRes = await this.translatorService.getQueryStatus(uuid, filters);
+    const filterKey = this.resultCache.makeFilterKey(filters);
+    let retval = await this.resultCache.getResult(uuid, this.resultCache.makeKey(statusRes), filterKey);
+    if (retval) {
+      return retval;
+    }
+
+    const svcRes = await this.translatorService.getResults(uuid, filters);
+    retval = await this.translatorService.outputAdapter.queryResultsToFE(
+      svcRes, this.config.max_hops, this.config.max_paths);
+    await this.resultCache.putResult(uuid, this.resultCache.makeKey(svcRes), retval, filterKey);
+    return retval;
+  }
+
+  /* Merged versions other than the most recent one never change once completed, and are only
+   * compared once in a while, so their results are not cached. Resolves to null if the version is
+   * not a completed merged version of the query.
+   */
+  async _fetchQueryVersionResult(uuid, version) {
+    if (version === null) {
+      return this._fetchQueryResult(uuid);
+    }
+
+    const svcRes = await this.translatorService.getMergedVersionResults(uuid, version);
+    if (svcRes === null) {
+      return null;
+    }
+
+    return this.translatorService.outputAdapter.queryResultsToFE(
+      svcRes, this.config.max_hops, this.config.max_paths);
+  }
+
+  /* Only logged in users have a history. Failing to record the query is not worth failing the
+   * submission over, so errors are only logged.
+   */
+  async _recordQueryHistory(req, query, pk) {
+    const sessionData = req.sessionData;
+    if (!sessionData || sessionData.status !== AuthService.SESSION_VALID || !sessionData.user) {
+      return;
+    }
+
+    try {
+      await this.userService.recordUserQuery(new UserQueryHistory({
+        user_id: sessionData.user.id,
+        ars_pkey: pk,
+        query_type: cmn.jsonGet(req.body, 'mode', null) === 'advanced' ? 'advanced' : cmn.jsonGet(req.body, 'type', null),
+        curies: trapi.queryCuries(query),
+        input: req.body,
+        query: query
+      }));
+    } catch (err) {
+      req.log.error(`Error recording query history for ${pk}: ${err}`);
+    }
+  }
+
+  async _cancelQueryHistory(req, uid, uuid) {
+    try {
+      await this.userService.cancelUserQuery(uid, uuid);
+    } catch (err) {
+      req.log.error(`Error marking ${uuid} cancelled in query history: ${err}`);
+    }
+  }
+
+  /* The history of every user that submitted the query is updated, not only that of the requester.
+   * Only the final status of the query at the ARS is recorded, as only a running query can be updated.
+   * A poller giving up or being stopped says nothing about how the query ends, so 'timeout' and
+   * 'cancelled' are left out; users cancel through _cancelQueryHistory.
+   */
+  async _updateQueryHistoryStatus(req, uuid, status) {
+    if (!FINAL_QUERY_STATUSES.includes(status)) {
+      return;
+    }
+
+    try {
+      await this.userService.updateUserQueryStatus(uuid, status);
+    } catch (err) {
+      req.log.error(`Error updating query history status for ${uuid}: ${err}`);
+    }
+  }
 }
@@ -7,6 +7,14 @@ import { UserWorkspace } from '../models/UserWorkspace.mjs';
 
 export { UserAPIController };
 
+const QUERY_HISTORY_PAGE_SIZE = 20;
+const QUERY_HISTORY_MAX_PAGE_SIZE = 100;
+
+// Ids in the path are database ids, so anything but a positive integer would only fail in the database
+function parseId(param) {
+  return /^[1-9]\d*$/.test(param) ? parseInt(param, 10) : null;
+}
+
 class UserAPIController {
   constructor(config, userService, translatorService) {
     this.config = config;
@@ -109,7 +117,10 @@ class UserAPIController {
   }
 
   async getUserSaveById(req, res, next) {
-    let save_id = parseInt(req.params.save_id, 10);
+    let save_id = parseId(req.params.save_id);
+    if (save_id === null) {
+      return wutil.sendError(res, 400, `Invalid save id: ${req.params.save_id}`);
+    }
     let user_id = req.sessionData.user.id;
     let includeDeleted = req.query.include_deleted === 'true';
     try {
@@ -129,7 +140,10 @@ class UserAPIController {
    * and we out here accepting partial fields. What. evah.
    */
   async updateUserSaveById(req, res, next) {
-    let save_id = parseInt(req.params.save_id, 10);
+    let save_id = parseId(req.params.save_id);
+    if (save_id === null) {
+      return wutil.sendError(res, 400, `Invalid save id: ${req.params.save_id}`);
+    }
     let user_id = req.sessionData.user.id;
     let includeDeleted = req.query.include_deleted === 'true';
     try {
@@ -151,7 +165,10 @@ class UserAPIController {
   }
 
   async deleteUserSaveById(req, res, next) {
-    let save_id = parseInt(req.params.save_id, 10);
+    let save_id = parseId(req.params.save_id);
+    if (save_id === null) {
+      return wutil.sendError(res, 400, `Invalid save id: ${req.params.save_id}`);
+    }
     let user_id = req.sessionData.user.id;
     try {
       let exists = await this.userService.getUserSavesBy(user_id, {id: save_id});
@@ -171,6 +188,68 @@ class UserAPIController {
     }
   }
 
+  // Query history
+  async getUserQueries(req, res, next) {
+    let user_id = req.sessionData.user.id;
+    let limit = req.query.limit ? parseInt(req.query.limit, 10) : QUERY_HISTORY_PAGE_SIZE;
+    let offset = req.query.offset ? parseInt(req.query.offset, 10) : 0;
+    if (isNaN(limit) || limit < 1 || limit > QUERY_HISTORY_MAX_PAGE_SIZE) {
+      return wutil.sendError(res, 400, `limit must be between 1 and ${QUERY_HISTORY_MAX_PAGE_SIZE}`);
+    }
+    if (isNaN(offset) || offset < 0) {
+      return wutil.sendError(res, 400, `offset must be a non-negative integer`);
+    }
+    try {
+      let result = await this.userService.getUserQueryHistory(user_id, {
+        queryType: req.query.type ? req.query.type : null,
+        curie: req.query.curie ? req.query.curie : null,
+        limit: limit,
+        offset: offset
+      });
+      return res.status(200).json({limit: limit, offset: offset, queries: result});
+    } catch (err) {
+      wutil.logInternalServerError(req, err);
+      return wutil.sendInternalServerError(res);
+    }
+  }
+
+  /* Bookmarks a query from the history. The label and notes of the bookmark can be given in the
+   * body, and the original UI input is saved as the bookmark data.
+   */
+  async bookmarkUserQuery(req, res, next) {
+    let query_id = parseId(req.params.query_id);
+    if (query_id === null) {
+      return wutil.sendError(res, 400, `Invalid query id: ${req.params.query_id}`);
+    }
+    let user_id = req.sessionData.user.id;
+    try {
+      let history = await this.userService.getUserQueryHistoryById(user_id, query_id);
+      if (!history) {
+        return wutil.sendError(res, 404, `No query history found for id ${query_id}`);
+      }
+      req.log.info(`Retaining ${history.ars_pkey}`);
+      await this.translatorService.retainQuery(history.ars_pkey);
+
+      let body = req.body ? req.body : {};
+      let result = await this.userService.saveUserData(new UserSavedData({
+        user_id: user_id,
+        save_type: 'bookmark',
+        label: body.label ? body.label : null,
+        notes: body.notes ? body.notes : null,
+        ars_pkey: history.ars_pkey,
+        data: {query: history.input}
+      }));
+      if (!result) {
+        return wutil.sendError(res, 400, `Error saving user data`);
+      } else {
+        return res.status(200).json(result);
+      }
+    } catch (err) {
+      wutil.logInternalServerError(req, err);
+      return wutil.sendInternalServerError(res);
+    }
+  }
+
   async getUserWorkspaces(req, res, next) {
     let user_id = req.sessionData.user.id;
     let includeData = req.query.include_data === 'true';
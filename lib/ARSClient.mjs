@@ -2,7 +2,8 @@
 
 import { logger } from "./logger.mjs";
 import * as cmn from "./common.mjs";
-export { ARSClient };
+import { HTTPClient, CircuitOpenError } from "./HTTPClient.mjs";
+export { ARSClient, configToFilters };
 
 /* Data format:
 {
@@ -13,7 +14,11 @@ export { ARSClient };
       uuid: '004867d5-d2c6-47d6-9dea-2d9ccbbe6d69',
       status: 'Done',
       code: 200,
-      data: [Object] // Optional, only present if fetchCompleted=true
+      result_count: 12, // As reported by the ARS, null if it does not say
+      data: [Object], // Optional, only present if fetchCompleted=true
+      meta: { fetchMs, parseMs, ... } // Optional, present for whatever message of the child was fetched.
+                                      // Statuses in child mode fetch none, and carry the timings of the
+                                      // last time the results of the child were fetched, if any.
     },
     {
       agent: 'kp-cam',
@@ -25,10 +30,50 @@ export { ARSClient };
   ],
   running: [ {...}, {...} ],
   errored: [ {...}, {...} ], // Object in this array may differ in format from what is described above
+  skipped: [
+    {
+      agent: 'ara-aragorn',
+      uuid: '5b2d9e0f-5a4e-4c0e-9f0a-1e8b3b7d6c11',
+      reason: 'Circuit open for ars.transltr.io until 2024-01-01T00:00:00.000Z'
+    }
+  ], // Children that are done but whose results or status could not be fetched this time
+  filtered: [ 'kp-cam', ... ] // Agents of children left out by the filters
 }
 
+In merged mode the filters are applied to the analyses of the merged results, see configToFilters.
+The completed version they were applied to has filtered: [ 'infores:arax', ... ], and so does the
+message. Statuses carry no results to filter, so their filtered lists are always empty.
+
+
 */
 
+/* Agent filters, as given to getQueryStatus and getQueryResults:
+ * whitelist, whitelistRx: keep only agents in the list or matching the regex (either will do)
+ * blacklist, blacklistRx: then drop agents in the list or matching the regex
+ * agents: then keep only agents in the list
+ *
+ * The config holds the same filters with snake_case keys, and regexes as strings.
+ *
+ * When the ARS merges results, the agents are the ARAs that made the analyses of the merged results,
+ * by resource_id, e.g. infores:aragorn, rather than the children of the query.
+ */
+function configToFilters(filterConfig) {
+  const filters = {};
+  const keys = {
+    whitelist: 'whitelist',
+    whitelist_rx: 'whitelistRx',
+    blacklist: 'blacklist',
+    blacklist_rx: 'blacklistRx',
+    agents: 'agents'
+  };
+  Object.entries(keys).forEach(([configKey, key]) => {
+    if (filterConfig.hasOwnProperty(configKey)) {
+      filters[key] = key.endsWith('Rx') ? new RegExp(filterConfig[configKey]) : [...filterConfig[configKey]];
+    }
+  });
+  return filters;
+}
+
 class ARSError extends Error {
   constructor(message, upstreamError) {
     super(message);
@@ -36,27 +81,53 @@ class ARSError extends Error {
   }
 }
 
+// How many children to remember the results fetch timings of
+const MAX_FETCH_TIMINGS = 1000;
+
 class ARSClient {
-  constructor(origin, getPath, postPath, retainPath, useARSMerging, completeCodes=[200,206,444], runningCodes=[202]) {
+  /* httpClients: {
+   *   status: HTTPClient for submitting queries and checking their status,
+   *   results: HTTPClient for fetching results, which can take much longer
+   * }
+   * cancelPath: where to POST to cancel a query, or null if the ARS can't cancel queries
+   */
+  constructor(origin, getPath, postPath, retainPath, useARSMerging, httpClients={}, cancelPath=null, completeCodes=[200,206,444], runningCodes=[202]) {
     this.origin = origin;
     this.getURL = `${origin}${getPath}`;
     this.postURL = `${origin}${postPath}`;
     this.retainURL = `${origin}${retainPath}`;
+    this.cancelURL = cancelPath ? `${origin}${cancelPath}` : null;
     this.completeCodes = completeCodes;
     this.runningCodes = runningCodes;
     this.useARSMerging = useARSMerging;
+    this.httpClient = httpClients.status || new HTTPClient();
+    this.resultsHttpClient = httpClients.results || this.httpClient;
+    // Child uuid -> { fetchMs, parseMs } of the last fetch of its results, oldest first
+    this.fetchTimings = new Map();
   }
 
   async postQuery(query) {
-    return cmn.sendRecvJSON2(this.postURL, 'POST', {}, query)
+    return this.httpClient.sendRecvJSON(this.postURL, 'POST', {}, query)
   }
 
   async retainQuery(pkey) {
-    return cmn.sendRecvHTTP2(`${this.retainURL}/${pkey}`, 'POST', {},
-        null, 'application/json', {
-      encode: JSON.stringify,
-      decode: cmn.identity // TODO: change this when the ARS sends back valid JSON
+    return this.httpClient.request(`${this.retainURL}/${pkey}`, 'POST', {}, null, {
+      retry: true,
+      decode: (body) => body.toString('utf8') // TODO: change this when the ARS sends back valid JSON
+    });
+  }
+
+  // Resolves to false if the ARS can't cancel queries
+  async cancelQuery(pkey) {
+    if (this.cancelURL === null) {
+      return false;
+    }
+
+    await this.httpClient.request(`${this.cancelURL}/${pkey}`, 'POST', {}, null, {
+      retry: true,
+      decode: (body) => body.toString('utf8')
     });
+    return true;
   }
 
   async getQueryStatus(pkey, filters) {
@@ -69,13 +140,25 @@ class ARSClient {
 
   async getQueryResults(pkey, filters) {
     if (this.useARSMerging) {
-      return await this._collectMergedResults(pkey);
+      return await this._collectMergedResults(pkey, false, null, filters);
     }
 
     return await this._collectChildResults(pkey, filters, true);
   }
 
-  async _fetchMessage(uuid, doTrace=false, compress=false) {
+  /* Same as getQueryResults, but with the results of the given merged version of the query instead
+   * of the most recent one. Resolves to null if the version is not a completed merged version of
+   * the query.
+   */
+  async getMergedVersionResults(pkey, version) {
+    if (!this.useARSMerging) {
+      throw new ARSError('Merged versions are only available when the ARS merges results', null);
+    }
+
+    return await this._collectMergedResults(pkey, false, version);
+  }
+
+  async _fetchMessage(uuid, doTrace=false, compress=false, httpClient=this.httpClient) {
     let url = `${this.getURL}/${uuid}`;
     if (doTrace && compress) {
       throw new ARSError('Cannot specify both trace and compress', null);
@@ -89,7 +172,30 @@ class ARSClient {
       headers['Accept-Encoding'] = 'gzip';
     }
 
-    return cmn.sendRecvJSON2(url, 'GET', headers, null, compress);
+    return httpClient.sendRecvJSON(url, 'GET', headers);
+  }
+
+  _skippedChild(agent, uuid, err) {
+    const reason = `${err}`;
+    if (err instanceof CircuitOpenError) {
+      logger.warn(`Skipped ${agent} (${uuid}): ${reason}`);
+    } else {
+      logger.error(`Failed to fetch ${agent} (${uuid}): ${reason}`);
+    }
+
+    return {
+      agent: agent,
+      uuid: uuid,
+      reason: reason
+    };
+  }
+
+  _recordFetchTimings(uuid, meta) {
+    this.fetchTimings.delete(uuid);
+    this.fetchTimings.set(uuid, { fetchMs: meta.fetchMs, parseMs: meta.parseMs });
+    while (this.fetchTimings.size > MAX_FETCH_TIMINGS) {
+      this.fetchTimings.delete(this.fetchTimings.keys().next().value);
+    }
   }
 
   _isComplete(code) {
@@ -134,9 +240,34 @@ class ARSClient {
     if (filters.hasOwnProperty('blacklistRx')) {
       retval = retval.filter(e => !filters.blacklistRx.test(e));
     }
+    if (filters.hasOwnProperty('agents')) {
+      retval = retval.filter(e => filters.agents.includes(e));
+    }
     return retval;
   }
 
+  /* Drops the analyses of the agents left out by the filters from a merged TRAPI message, and the
+   * results left without any. Returns the agents left out.
+   */
+  _filterAnalyses(message, filters) {
+    const results = cmn.jsonGet(message, 'results', null) || [];
+    const agents = new Set();
+    results.forEach(result => {
+      cmn.jsonGet(result, 'analyses', []).forEach(analysis => agents.add(analysis.resource_id));
+    });
+
+    const keptAgents = this._applyFilters([...agents], filters);
+    if (keptAgents.length === agents.size) {
+      return [];
+    }
+
+    message.results = results.map(result => {
+      const analyses = cmn.jsonGet(result, 'analyses', []).filter(e => keptAgents.includes(e.resource_id));
+      return Object.assign({}, result, { analyses: analyses });
+    }).filter(result => result.analyses.length > 0);
+    return [...agents].filter(e => !keptAgents.includes(e));
+  }
+
   /*
    * pkey: must be the UUID received upon submitting a query
    * fetchCompleted: if true, will fetch data for ARAs that have completed
@@ -170,7 +301,8 @@ class ARSClient {
         agent: childMsg.actor.agent,
         uuid: childMsg.message,
         status: childMsg.status,
-        code: childMsg.code
+        code: childMsg.code,
+        result_count: cmn.jsonGet(childMsg, 'result_count', null)
       }
     }
 
@@ -192,13 +324,16 @@ class ARSClient {
         queuing: true,
         completed: [],
         running: [],
-        errored: []
+        errored: [],
+        skipped: [],
+        filtered: []
       };
     }
 
     let allChildrenAgents = baseResult.children.map(e => e.actor.agent);
     let filteredChildrenAgents = this._applyFilters(allChildrenAgents, filters);
     let filteredChildren = baseResult.children.filter(e => filteredChildrenAgents.includes(e.actor.agent));
+    let filteredOutAgents = [...new Set(allChildrenAgents.filter(e => !filteredChildrenAgents.includes(e)))];
     // use a hash vs an array for completed results to make it easier to correlate fetched data
     let completed = {};
     let running = [];
@@ -220,11 +355,18 @@ class ARSClient {
     }
 
     if (!fetchCompleted) {
+      Object.values(completed).forEach(e => {
+        if (this.fetchTimings.has(e.uuid)) {
+          e.meta = this.fetchTimings.get(e.uuid);
+        }
+      });
       retval = {
         pk: pkey,
         completed: Object.values(completed),
         running: running,
-        errored: errored
+        errored: errored,
+        skipped: [],
+        filtered: filteredOutAgents
       };
     } else {
       let agents = Object.keys(completed);
@@ -233,12 +375,13 @@ class ARSClient {
       let start = new Date();
       const promises = toFetch.map(async (e) => {
         logger.info(`kicking off fetch for ${e}`);
-        return this._fetchMessage(e);
+        return this._fetchMessage(e, false, false, this.resultsHttpClient);
       });
       let finalCompleted = [];
+      let skipped = [];
       // https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/allSettled#parameters
       await Promise.allSettled(promises).then(results => {
-        results.forEach(item => {
+        results.forEach((item, i) => {
           if (item.status === 'fulfilled') {
             let itemData = item.value[1];
             let agent = itemData.fields.name;
@@ -249,12 +392,12 @@ class ARSClient {
             }
 
             elem.meta = item.value[0];
+            this._recordFetchTimings(elem.uuid, elem.meta);
             finalCompleted.push(elem);
             logger.info(`settled ${agent}`);
           } else {
-            //
-            logger.error('Unexpected case of being unable to fetch a result for an agent that reported code=200');
-            errored.push(item.value); // No idea what might be in this object
+            // Leave the child out this time around, it is still done and will be fetched again next time
+            skipped.push(this._skippedChild(agents[i], toFetch[i], item.reason));
           }
         });
         logger.info('done settling promises');
@@ -262,7 +405,9 @@ class ARSClient {
           pk: pkey,
           completed: finalCompleted,
           running: running,
-          errored: errored
+          errored: errored,
+          skipped: skipped,
+          filtered: filteredOutAgents
         };
       });
       meta.childrenProcessingMs = new Date() - start;
@@ -272,7 +417,10 @@ class ARSClient {
     return retval;
   }
 
-  async _collectMergedResults(pkey, statusCheck = false) {
+  /* version: the merged version to fetch the results of, null for the most recent completed one
+   * filters: see configToFilters, applied to the results of that version
+   */
+  async _collectMergedResults(pkey, statusCheck = false, version = null, filters = {}) {
     // Get the top level message from the ARS. This contains the list of currently
     // merged PKs.
     const [meta, arsSummary] = await this._fetchMessage(pkey);
@@ -281,6 +429,8 @@ class ARSClient {
     let completed = [];
     let running = [];
     let errored = [];
+    let skipped = [];
+    let filtered = [];
     if (cmn.isArray(mergedVersionList) && mergedVersionList.length > 0) {
       // Fetch all the merged version statuses to get the most recent version
       // that is also complete.
@@ -292,15 +442,20 @@ class ARSClient {
       });
 
       await Promise.allSettled(statusPromises).then((promises) => {
-        let i = 0;
-        for (const promise of promises) {
-          if (promise.status !== 'fulfilled') continue;
+        promises.forEach((promise, i) => {
+          if (promise.status !== 'fulfilled') {
+            const [uuid, agent] = mergedVersionList[i];
+            skipped.push(this._skippedChild(agent, uuid, promise.reason));
+            return;
+          }
 
-          const message = promise.value[1]; // We do not care about status metadata
+          const message = promise.value[1];
           const status = {
             agent: mergedVersionList[i][1],
             uuid: message.message,
-            status: message.status
+            status: message.status,
+            result_count: cmn.jsonGet(message, 'result_count', null),
+            meta: promise.value[0]
           };
 
           // We have to inject the status codes because we expect them but the ARS does not
@@ -316,33 +471,44 @@ class ARSClient {
             status.code = 500;
             errored.push(status);
           }
-          i++;
-        }
+        });
       });
 
-      const mostRecentCompleted = completed[0] || null;
-      const pastCompleted = completed.slice(1,);
-      if (!statusCheck && mostRecentCompleted !== null) {
-        // Finally get the actual result of the most recent complete merged version
-        const [meta, results] = await this._fetchMessage(mostRecentCompleted.uuid, false, true);
-        mostRecentCompleted.data = results.message;
-        mostRecentCompleted.meta = meta;
+      const selectedIndex = version === null ? 0 : completed.findIndex(e => e.uuid === version);
+      const selectedCompleted = completed[selectedIndex] || null;
+      const otherCompleted = completed.filter((e, i) => i !== selectedIndex);
+      if (!statusCheck && selectedCompleted !== null) {
+        // Finally get the actual result of the selected complete merged version
+        const [meta, results] = await this._fetchMessage(selectedCompleted.uuid, false, true, this.resultsHttpClient);
+        selectedCompleted.data = results.message;
+        selectedCompleted.meta = meta;
+        if (cmn.isObject(results.message)) {
+          filtered = this._filterAnalyses(results.message, filters);
+          selectedCompleted.filtered = filtered;
+        }
       }
 
       // Bookkeeping so the FE can keep track of which ARAs have completed
-      completed = pastCompleted.map((versionStatus) => {
+      completed = otherCompleted.map((versionStatus) => {
         return {
           uuid: versionStatus.uuid,
           agent: versionStatus.agent,
+          code: versionStatus.code,
+          result_count: versionStatus.result_count,
+          meta: versionStatus.meta,
           data: []
         };
       });
 
-      if (mostRecentCompleted !== null) {
-        completed.unshift(mostRecentCompleted);
+      if (selectedCompleted !== null) {
+        completed.unshift(selectedCompleted);
       }
     }
 
+    if (version !== null && !completed.some(e => e.uuid === version)) {
+      return null;
+    }
+
     const parentStatus = arsSummary.fields.status;
     const message = {
       uuid: pkey,
@@ -363,6 +529,8 @@ class ARSClient {
       completed: completed,
       running: running,
       errored: errored,
+      skipped: skipped,
+      filtered: filtered,
       meta: meta
     };
   }
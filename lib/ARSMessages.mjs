@@ -1,6 +1,8 @@
 'use strict';
 
-export { isAcceptedQuery, msgId, parentQueryRunning,parentQueryDone }
+import * as cmn from './common.mjs';
+
+export { isAcceptedQuery, msgId, parentQueryRunning,parentQueryDone, isErroredQuery }
 
 function isAcceptedQuery(msg)
 {
@@ -31,3 +33,18 @@ function parentQueryDone(msg)
 {
   msg.status === 'Done';
 }
+
+/* msg: ARS client message
+ * A query has errored if the ARS says so (merged mode), or if it is over and every one of its
+ * children has errored.
+ */
+function isErroredQuery(msg)
+{
+  if (msg.errored.some(e => e.uuid === msg.pk))
+  {
+    return true;
+  }
+
+  return !msg.queuing && cmn.isArrayEmpty(msg.completed) && cmn.isArrayEmpty(msg.running) &&
+    !cmn.isArrayEmpty(msg.errored);
+}
@@ -0,0 +1,306 @@
+'use strict'
+
+import { default as http } from 'node:http';
+import { default as https } from 'node:https';
+import { default as zlib } from 'node:zlib';
+import * as cmn from './common.mjs';
+import { logger } from './logger.mjs';
+
+export { HTTPClient, HTTPError, HTTPTimeoutError, CircuitOpenError, makeHTTPClient };
+
+/* Every outbound HTTP call goes through an HTTPClient. A client is made for each endpoint from the
+ * http_client config:
+ *
+ * "http_client": {
+ *   "retry_base_ms": 250,
+ *   "retry_max_ms": 4000,
+ *   "circuit_breaker": {"failure_threshold": 5, "reset_ms": 30000},
+ *   "endpoints": {
+ *     "ars": {"timeout_ms": 30000, "retries": 2}
+ *   }
+ * }
+ *
+ * timeout_ms: how long a single attempt may take, from sending the request to reading the whole body
+ * retries: how many times to retry an attempt that failed with a network error, a timeout or a 5xx.
+ *   Only idempotent methods are retried unless the caller says otherwise. Retries back off
+ *   exponentially from retry_base_ms up to retry_max_ms, with full jitter.
+ * circuit_breaker: after failure_threshold failures in a row to the same host, calls to that host
+ *   fail fast with a CircuitOpenError for reset_ms. After that a single call is let through to
+ *   probe the host, and its outcome decides whether to close the circuit again.
+ *
+ * Connections are kept alive and shared by all clients. Circuit breakers are shared by the clients
+ * calling the same host with the same circuit_breaker settings.
+ */
+
+const DEFAULT_SETTINGS = {
+  timeout_ms: 30000,
+  retries: 0,
+  retry_base_ms: 250,
+  retry_max_ms: 4000,
+  circuit_breaker: {
+    failure_threshold: 5,
+    reset_ms: 30000
+  }
+};
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+
+const AGENTS = {
+  'http:': new http.Agent({ keepAlive: true }),
+  'https:': new https.Agent({ keepAlive: true })
+};
+
+const CIRCUIT_BREAKERS = new Map();
+
+class HTTPError extends Error {
+  constructor(message, httpData) {
+    super(message);
+    this.name = 'HTTPError';
+    this.status = httpData.status;
+    this.method = httpData.method;
+    this.url = httpData.url;
+    this.headers = httpData.headers;
+    this.body = httpData.body;
+  }
+}
+
+class HTTPTimeoutError extends Error {
+  constructor(method, url, timeoutMs) {
+    super(`Timed out after ${timeoutMs} ms: ${method} ${url}`);
+    this.name = 'HTTPTimeoutError';
+    this.method = method;
+    this.url = url;
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+class CircuitOpenError extends Error {
+  constructor(host, retryAt) {
+    super(`Circuit open for ${host} until ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.host = host;
+    this.retryAt = retryAt;
+  }
+}
+
+class CircuitBreaker {
+  constructor(host, failureThreshold, resetMs) {
+    this.host = host;
+    this.failureThreshold = failureThreshold;
+    this.resetMs = resetMs;
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+  }
+
+  // Throws a CircuitOpenError if the call should not be made
+  check() {
+    if (!this.isOpen()) {
+      return;
+    }
+
+    const retryAt = this.openedAt + this.resetMs;
+    if (Date.now() < retryAt || this.probing) {
+      throw new CircuitOpenError(this.host, retryAt);
+    }
+
+    this.probing = true;
+  }
+
+  isOpen() {
+    return this.openedAt !== null;
+  }
+
+  recordSuccess() {
+    if (this.isOpen()) {
+      logger.info(`Circuit closed for ${this.host}`);
+    }
+
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+  }
+
+  recordFailure() {
+    this.failures += 1;
+    if (this.probing || (!this.isOpen() && this.failures >= this.failureThreshold)) {
+      logger.warn(`Circuit opened for ${this.host} after ${this.failures} failures`);
+      this.openedAt = Date.now();
+      this.probing = false;
+    }
+  }
+}
+
+class HTTPClient {
+  // settings: the http_client config merged with that of one endpoint, see makeHTTPClient
+  constructor(settings = {}) {
+    const merged = Object.assign({}, DEFAULT_SETTINGS, settings);
+    this.timeoutMs = merged.timeout_ms;
+    this.retries = merged.retries;
+    this.retryBaseMs = merged.retry_base_ms;
+    this.retryMaxMs = merged.retry_max_ms;
+    this.circuitBreaker = Object.assign({}, DEFAULT_SETTINGS.circuit_breaker, merged.circuit_breaker);
+  }
+
+  /* Returns [meta, body], where meta is { fetchMs, parseMs, status, headers }.
+   *
+   * options:
+   *   contentType: of the request body
+   *   encode: serializes the request body
+   *   decode: deserializes the response body from a Buffer
+   *   retry: whether failed attempts may be retried, defaults to whether the method is idempotent
+   *   timeoutMs: overrides the timeout of the client
+   */
+  async request(url, method = 'GET', headers = {}, body = null, options = {}) {
+    const parsedURL = new URL(url);
+    const breaker = this._circuitBreaker(parsedURL.host);
+    const retry = cmn.jsonGet(options, 'retry', IDEMPOTENT_METHODS.includes(method));
+    const maxAttempts = retry ? this.retries + 1 : 1;
+    const encode = options.encode || JSON.stringify;
+    const decode = options.decode || decodeJSON;
+    const requestHeaders = Object.assign({}, headers);
+    let payload = null;
+    if (body !== null && body !== undefined) {
+      payload = Buffer.from(encode(body));
+      requestHeaders['Content-Type'] = options.contentType || 'application/json';
+      requestHeaders['Content-Length'] = payload.length;
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      breaker.check();
+      const startTime = Date.now();
+      let response = null;
+      try {
+        response = await sendOnce(parsedURL, method, requestHeaders, payload, options.timeoutMs || this.timeoutMs);
+      } catch (err) {
+        breaker.recordFailure();
+        // Retrying is pointless once the circuit is open
+        if (attempt >= maxAttempts || breaker.isOpen()) {
+          throw err;
+        }
+
+        await this._backoff(method, url, attempt, err);
+        continue;
+      }
+
+      const fetchMs = Date.now() - startTime;
+      if (response.status >= 500) {
+        breaker.recordFailure();
+      } else {
+        breaker.recordSuccess();
+      }
+
+      if (response.status >= 400) {
+        const err = new HTTPError(`HTTP Error ${response.status}: ${method} ${url}`, {
+          method: method,
+          headers: response.headers,
+          url: url,
+          status: response.status,
+          body: response.body.toString('utf8')
+        });
+
+        if (response.status < 500 || attempt >= maxAttempts || breaker.isOpen()) {
+          throw err;
+        }
+
+        await this._backoff(method, url, attempt, err);
+        continue;
+      }
+
+      const parseStart = Date.now();
+      const data = await decode(response.body, response.headers);
+      return [{
+        fetchMs: fetchMs,
+        parseMs: Date.now() - parseStart,
+        status: response.status,
+        headers: response.headers
+      }, data];
+    }
+  }
+
+  async sendRecvJSON(url, method = 'GET', headers = {}, body = null, options = {}) {
+    return this.request(url, method, headers, body, options);
+  }
+
+  async sendRecvFormEncoded(url, method = 'GET', headers = {}, body = null, options = {}) {
+    return this.request(url, method, headers, body, Object.assign({
+      contentType: 'application/x-www-form-urlencoded',
+      encode: (data) => new URLSearchParams(data).toString()
+    }, options));
+  }
+
+  // Clients with other settings for the same host get a breaker of their own rather than someone else's
+  _circuitBreaker(host) {
+    const { failure_threshold: failureThreshold, reset_ms: resetMs } = this.circuitBreaker;
+    const key = `${host} ${failureThreshold} ${resetMs}`;
+    let breaker = CIRCUIT_BREAKERS.get(key);
+    if (breaker === undefined) {
+      breaker = new CircuitBreaker(host, failureThreshold, resetMs);
+      CIRCUIT_BREAKERS.set(key, breaker);
+    }
+
+    return breaker;
+  }
+
+  async _backoff(method, url, attempt, err) {
+    const ceilingMs = Math.min(this.retryMaxMs, this.retryBaseMs * 2 ** (attempt - 1));
+    const delayMs = Math.floor(Math.random() * ceilingMs);
+    logger.warn(`Retrying ${method} ${url} in ${delayMs} ms after attempt ${attempt} failed: '${err}'`);
+    await cmn.sleep(delayMs);
+  }
+}
+
+function makeHTTPClient(httpConfig, endpoint) {
+  return new HTTPClient(Object.assign({}, httpConfig, cmn.jsonGet(httpConfig.endpoints, endpoint)));
+}
+
+function sendOnce(url, method, headers, payload, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const transport = url.protocol === 'https:' ? https : http;
+    const req = transport.request(url, { method: method, headers: headers, agent: AGENTS[url.protocol] }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        clearTimeout(timer);
+        resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) });
+      });
+      res.on('error', (err) => {
+        clearTimeout(timer);
+        reject(err);
+      });
+    });
+
+    const timer = setTimeout(() => {
+      req.destroy(new HTTPTimeoutError(method, url.href, timeoutMs));
+    }, timeoutMs);
+
+    req.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+
+    if (payload !== null) {
+      req.write(payload);
+    }
+
+    req.end();
+  });
+}
+
+// The ARS sends gzipped data without saying so, so fall back to gunzipping anything that is not JSON
+function decodeJSON(body, headers) {
+  if (headers['content-encoding'] === 'gzip') {
+    return JSON.parse(zlib.gunzipSync(body));
+  }
+
+  try {
+    return JSON.parse(body.toString('utf8'));
+  } catch (err) {
+    // Some servers gzip their responses without saying so. Anything else is just not JSON.
+    if (body.length >= 2 && body[0] === 0x1f && body[1] === 0x8b) {
+      return JSON.parse(zlib.gunzipSync(body));
+    }
+
+    throw err;
+  }
+}
@@ -1,26 +1,27 @@
 'use strict';
 
-import { SendRecvJSON, withTimeout } from "./common.mjs";
+import { HTTPClient } from "./HTTPClient.mjs";
 
 export { KGAnnotationClient };
 
 class KGAnnotationClient
 {
-  constructor(origin, queryPath, searchFields, defaultTimeout)
+  constructor(origin, queryPath, searchFields, batchSize, httpClient=new HTTPClient(), maxConcurrency=2)
   {
     this.origin = origin;
     this.queryPath = queryPath;
     this.queryURL = `${origin}${queryPath}/?fields=${searchFields.join(',')}`;
-    this.defaultTimeout = defaultTimeout
+    // The most nodes to send the annotator at once
+    this.batchSize = batchSize;
+    this.httpClient = httpClient;
+    // The most batches to have the annotator work on at once
+    this.maxConcurrency = maxConcurrency;
   }
 
-  async annotateGraph(kg, timeout=this.defaultTimeout)
+  async annotateGraph(kg)
   {
-    const res = withTimeout(async () =>
-      {
-        return SendRecvJSON(this.queryURL, 'POST', {}, kg);
-      }, timeout);
-
+    // Annotating is read-only, so it is safe to retry even though it is a POST
+    const [meta, res] = await this.httpClient.sendRecvJSON(this.queryURL, 'POST', {}, kg, { retry: true });
     return res;
   }
 }
@@ -1,20 +1,21 @@
 'use strict';
 import { logger } from './logger.mjs';
 import jwt from 'jsonwebtoken';
-import { SendRecvJSON, SendRecvFormEncoded } from '../lib/common.mjs';
+import { makeHTTPClient } from './HTTPClient.mjs';
 export { handleSSORedirect };
 
 async function handleSSORedirect(provider, authcode, config, codeVerifier=null) {
+  const httpClient = makeHTTPClient(config.http_client, 'social_sign_on');
   let retval = null;
   switch (provider) {
-    case 'google': retval = await googleHandler(authcode, {
+    case 'google': retval = await googleHandler(httpClient, authcode, {
         client_id: config.auth.social_providers.google.client_id,
         client_secret: config.secrets.auth.social_providers.google.client_secret,
         redirect_uri: config.auth.social_providers.google.redirect_uri,
         token_uri: config.auth.social_providers.google.token_uri
       });
       break;
-    case 'facebook': retval = await facebookHandler(authcode, {
+    case 'facebook': retval = await facebookHandler(httpClient, authcode, {
         client_id: config.auth.social_providers.facebook.client_id,
         client_secret: config.secrets.auth.social_providers.facebook.client_secret,
         redirect_uri: config.auth.social_providers.facebook.redirect_uri,
@@ -22,7 +23,7 @@ async function handleSSORedirect(provider, authcode, config, codeVerifier=null)
         user_data_uri: config.auth.social_providers.facebook.user_data_uri
       });
       break;
-    case 'una': retval = await unaHandler(authcode, codeVerifier, {
+    case 'una': retval = await unaHandler(httpClient, authcode, codeVerifier, {
         client_id: config.auth.social_providers.una.client_id,
         client_secret: config.secrets.auth.social_providers.una.client_secret,
         redirect_uri: config.auth.social_providers.una.redirect_uri,
@@ -34,7 +35,7 @@ async function handleSSORedirect(provider, authcode, config, codeVerifier=null)
   return retval;
 }
 
-async function unaHandler(auth_code, code_verifier, client_config) {
+async function unaHandler(httpClient, auth_code, code_verifier, client_config) {
   const body = {
     client_id: client_config.client_id,
     client_secret: client_config.client_secret,
@@ -44,7 +45,7 @@ async function unaHandler(auth_code, code_verifier, client_config) {
     code_verifier: code_verifier
   };
 
-  let data = await SendRecvFormEncoded(client_config.token_uri, 'POST', {}, body);
+  let [meta, data] = await httpClient.sendRecvFormEncoded(client_config.token_uri, 'POST', {}, body);
   data.id_token = parseJWT(data.id_token);
   return {
     provider: 'una',
@@ -59,7 +60,7 @@ async function unaHandler(auth_code, code_verifier, client_config) {
   };
 }
 
-async function facebookHandler(auth_code, client_config) {
+async function facebookHandler(httpClient, auth_code, client_config) {
   const params = new URLSearchParams({
     client_id: client_config.client_id,
     client_secret: client_config.client_secret,
@@ -67,12 +68,13 @@ async function facebookHandler(auth_code, client_config) {
     code: auth_code,
   }).toString();
   let url = client_config.token_uri + '?' + params;
-  let token = await SendRecvJSON(url, 'GET');
+  // Authorization codes can only be used once, so a retry after a timeout would only fail
+  let [tokenMeta, token] = await httpClient.sendRecvJSON(url, 'GET', {}, null, { retry: false });
   const access_token = token.access_token;
   url = client_config.user_data_uri + '?'
     + 'access_token=' + encodeURIComponent(access_token)
     + '&fields=' + ['id', 'email', 'name', 'picture'].join(',');
-  let data = await SendRecvJSON(url, 'GET');
+  let [dataMeta, data] = await httpClient.sendRecvJSON(url, 'GET');
   return {
     provider: 'facebook',
     email: data.email,
@@ -89,7 +91,7 @@ async function facebookHandler(auth_code, client_config) {
   };
 }
 
-async function googleHandler(auth_code, client_config) {
+async function googleHandler(httpClient, auth_code, client_config) {
   const body = {
     client_id: client_config.client_id,
     client_secret: client_config.client_secret,
@@ -97,7 +99,7 @@ async function googleHandler(auth_code, client_config) {
     grant_type: 'authorization_code',
     code: auth_code
   };
-  let data = await SendRecvJSON(client_config.token_uri, 'POST', {}, body);
+  let [meta, data] = await httpClient.sendRecvJSON(client_config.token_uri, 'POST', {}, body);
   data.id_token = parseJWT(data.id_token);
   return {
     provider: 'google',
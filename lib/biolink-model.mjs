@@ -5,6 +5,7 @@ import * as cmn from './common.mjs';
 
 let BIOLINK_PREDICATES = null;
 let BIOLINK_CLASSES = null;
+let BIOLINK_QUALIFIERS = null;
 let INFORES_CATALOG = null;
 let DEPRECATED_TO_QUALIFIED_PREDICATE_MAP = null;
 let PREFIX_CATALOG = null;
@@ -16,6 +17,7 @@ export async function loadBiolink(biolinkVersion, supportDeprecatedPredicates, i
   const classes = cmn.jsonGet(biolinkModel, 'classes');
   BIOLINK_PREDICATES = makeBlPredicates(slots);
   BIOLINK_CLASSES = makeBlClasses(classes);
+  BIOLINK_QUALIFIERS = makeBlQualifiers(slots);
   INFORES_CATALOG = await cmn.readJson(`./assets/biolink-model/common/${inforesCatalog}`);
   PREFIX_CATALOG = await cmn.readJson(`./assets/biolink-model/common/${prefixCatalog.path}`);
   PREFIX_EXCLUDE_LIST = prefixCatalog.exclude;
@@ -39,6 +41,14 @@ export function isBiolinkPredicate(s) {
          isDeprecatedPredicate(sanitizedPredicate);
 }
 
+export function isBiolinkQualifier(s) {
+  return BIOLINK_QUALIFIERS.has(sanitizeBiolinkItem(s));
+}
+
+export function isBiolinkClass(s) {
+  return BIOLINK_CLASSES[biolinkifyPredicate(s)] !== undefined;
+}
+
 export function sanitizeBiolinkItem(pred) {
   return pred.replaceAll('_', ' ').replaceAll('biolink:', '');
 }
@@ -274,6 +284,20 @@ export function classRank(target, classes) {
   }
 }
 
+// The qualifier slots, i.e. every slot that is a qualifier, by the same names as predicates
+function makeBlQualifiers(slots) {
+  function isQualifier(name) {
+    if (name === 'qualifier') {
+      return true;
+    }
+
+    const parent = cmn.jsonGetFromKpath(slots, [name, 'is_a'], null);
+    return parent !== null && isQualifier(parent);
+  }
+
+  return new Set(Object.keys(slots).filter(isQualifier));
+}
+
 function makeBlClass(classData) {
   let retval = {};
   retval.is_a = cmn.jsonGet(classData, 'is_a', null);
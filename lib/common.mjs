@@ -1,7 +1,6 @@
 'use strict'
 
 import * as fs from 'fs';
-import * as zlib from 'zlib';
 import { validate as isUuid } from 'uuid';
 import { randomInt, randomBytes, createHash } from 'crypto';
 import { join } from 'path';
@@ -279,120 +278,36 @@ export function jsonUpdate(obj, key, update)
   return jsonSet(obj, key, update(jsonGet(obj, key)));
 }
 
-export class ServerError extends Error
-{
-  constructor(message, httpCode) {
-    super(message);
-    this.name = this.constructor.name;
-    this.msg = message;
-    this.httpCode = httpCode;
-  }
-}
-
-export class HTTPError extends Error {
-  constructor(message, httpData) {
-    super(message);
-    this.status = httpData.status;
-    this.method = httpData.method;
-    this.url = httpData.url;
-    this.headers = httpData.headers;
-    this.body = httpData.body;
-  }
+// Usage: await sleep(250);
+export async function sleep(ms) {
+  return new Promise((resolve) =>
+    setTimeout(() => resolve(), ms)
+  );
 }
 
-export async function sendRecvJSON2(url, method='GET', headers={}, body=null, compressed=false) {
-  const codec = {
-    encode: JSON.stringify,
-    decode: async (resp) => {
-      // No headers are sent to tell us this is compressed
-      let data = await resp.arrayBuffer();
+/* Like Promise.allSettled(tasks.map(task => task())), but with at most limit tasks running at once.
+ * tasks: async functions without arguments
+ */
+export async function allSettledWithLimit(tasks, limit)
+{
+  const results = new Array(tasks.length);
+  let next = 0;
+  async function runTasks() {
+    while (next < tasks.length) {
+      const i = next++;
       try {
-        const enc = new TextDecoder("utf-8");
-        return JSON.parse(enc.decode(data));
-      } catch (e) {
-        return JSON.parse(zlib.gunzipSync(new Uint8Array(data)));
+        results[i] = { status: 'fulfilled', value: await tasks[i]() };
+      } catch (err) {
+        results[i] = { status: 'rejected', reason: err };
       }
     }
-  };
-
-  return sendRecvHTTP2(url, method, headers, body, 'application/json', codec)
-}
-
-
-export async function sendRecvHTTP2(url, method='GET', headers={}, body=null,
-  contentType, codec) {
-    let options = {
-      method: method,
-      headers: {...headers}
-  };
-  options.headers['Content-type'] = contentType;
-
-  if (body) {
-    options.body = codec.encode(body);
   }
 
-  let startTime = new Date();
-  let resp = await fetch(url, options);
-  const fetchMs = new Date() - startTime;
-  let parseMs = 0;
-  if (resp.ok) {
-    startTime = new Date();
-    body = await codec.decode(resp);
-    parseMs = new Date() - startTime;
-    return [{
-        fetchMs: fetchMs,
-        parseMs: parseMs,
-        status: resp.status,
-        headers: resp.headers
-      }, body];
-  } else {
-    throw new HTTPError(
-      `HTTP Error ${resp.status}: ${method} ${url}`, {
-        method: method,
-        headers: resp.headers,
-        url: url,
-        status: resp.status,
-        body: await resp.text()
-      });
-  }
-}
-
-async function sendRecvHTTP(url, method='GET', headers={}, body=null, contentType, bodySerializer) {
-  let options = {
-      method: method,
-      headers: {...headers}
-  };
-  options.headers['Content-type'] = contentType;
-
-  if (body && typeof body === 'object') {
-      options.body = bodySerializer(body);
-  }
-
-  let resp = await fetch(url, options);
-  if (resp.ok) {
-      return resp.json();
-  } else {
-      throw new ServerError(resp.statusText, resp.status);
-  }
-}
-
-export function SendRecvJSON(url, method='GET', headers={}, body=null) {
-  return sendRecvHTTP(url, method, headers, body, 'application/json', JSON.stringify);
-}
-
-export function SendRecvFormEncoded(url, method='GET', headers={}, body=null) {
-  return sendRecvHTTP(url, method, headers, body, 'application/x-www-form-urlencoded',
-    (data) => new URLSearchParams(data).toString());
-}
-
-// Usage: await sleep(250);
-export async function sleep(ms) {
-  return new Promise((resolve) =>
-    setTimeout(() => resolve(), ms)
-  );
+  await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, runTasks));
+  return results;
 }
 
-// Usage: await withTimeout(async () => sendRecvJSON(...), 1000);
+// Usage: await withTimeout(async () => fetchSomething(...), 1000);
 // fun must be an asynch function.
 export async function withTimeout(fun, ms)
 {
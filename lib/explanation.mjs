@@ -0,0 +1,172 @@
+'use strict'
+
+import * as cmn from './common.mjs';
+import * as bl from './biolink-model.mjs';
+
+export { predicateToPhrase, explainPath, explainResult };
+
+/* Plain-English explanations of summary paths, e.g.
+ *
+ *   Metformin decreases activity of PRKAA1, which is associated with type 2 diabetes mellitus
+ *
+ * A path is explained one edge at a time, each edge as a phrase that reads from the node before it
+ * in the path to the node after it. Phrases are built from the TRAPI predicate and qualifiers of
+ * the edge, see predicateToPhrase, because the qualified predicate strings in the summary read
+ * like labels rather than sentences.
+ *
+ * A phrase is { aspect, verb }:
+ *   aspect: what about the node before the edge the statement is about, e.g. 'increased abundance',
+ *     or null if it is about the node itself
+ *   verb: the rest of the statement up to the node after the edge, e.g. 'decreases activity of'
+ */
+
+// Directions of change that read as verbs, e.g. 'decreased' -> 'decreases'
+const DIRECTION_VERBS = ['increased', 'decreased', 'upregulated', 'downregulated'];
+// Predicates that read as the direction verb when the object has a direction qualifier
+const DIRECTED_PREDICATES = ['affects', 'causes', 'regulates'];
+// How many supporting paths to spell out in a result explanation
+const MAX_SUPPORT_EXPLANATIONS = 3;
+
+/* predicate: sanitized biolink predicate, e.g. 'affects'
+ * qualifiers: sanitized qualifiers, e.g. {'object aspect qualifier': 'activity'}, or false
+ * invert: build the phrase for reading the edge from object to subject
+ */
+function predicateToPhrase(predicate, qualifiers, invert=false) {
+  if (!qualifiers) {
+    qualifiers = {};
+  }
+
+  const qualifiedPredicate = cmn.jsonGet(qualifiers, 'qualified predicate', predicate);
+  const objDirection = cmn.jsonGet(qualifiers, 'object direction qualifier', null);
+  const directed = DIRECTED_PREDICATES.includes(qualifiedPredicate) && DIRECTION_VERBS.includes(objDirection);
+  // When the direction is read as the verb it can't be part of what the object qualifiers describe
+  const subjectNoun = qualifiersToNoun('subject', qualifiers, true);
+  const objectNoun = qualifiersToNoun('object', qualifiers, !directed);
+  if (invert) {
+    if (directed) {
+      return makePhrase(objectNoun, `is ${objDirection} by`, subjectNoun);
+    }
+
+    return makePhrase(objectNoun, predicateToVerb(invertPredicate(qualifiedPredicate)), subjectNoun);
+  }
+
+  if (directed) {
+    return makePhrase(subjectNoun, objDirection.replace(/d$/, 's'), objectNoun);
+  }
+
+  return makePhrase(subjectNoun, predicateToVerb(qualifiedPredicate), objectNoun);
+}
+
+/* subgraph: the subgraph of a summary path
+ * nodes: the summary nodes
+ * phrases: the phrase for every summary edge in the subgraph, by edge id
+ */
+function explainPath(subgraph, nodes, phrases) {
+  let explanation = '';
+  for (let i = 1; i < subgraph.length; i += 2) {
+    const phrase = phrases[subgraph[i]];
+    const nextName = nodeName(nodes, subgraph[i+1]);
+    if (i === 1) {
+      const name = nodeName(nodes, subgraph[0]);
+      // Node names are left as they are, even at the start of the sentence
+      const subject = phrase.aspect ? `${cmn.capitalizeFirstLetter(phrase.aspect)} of ${name}` : name;
+      explanation = `${subject} ${phrase.verb} ${nextName}`;
+    } else if (phrase.aspect) {
+      explanation += `, whose ${phrase.aspect} ${phrase.verb} ${nextName}`;
+    } else {
+      explanation += `, which ${phrase.verb} ${nextName}`;
+    }
+  }
+
+  return explanation;
+}
+
+/* Explains a summary result by its root paths. Root paths made of inferred edges are followed by
+ * the paths supporting them.
+ */
+function explainResult(result, paths, edges) {
+  const rootExplanations = cmn.distinctArray(result.paths.map(pid => paths[pid].explanation));
+  const supportPids = [];
+  result.paths.forEach(pid => {
+    const subgraph = paths[pid].subgraph;
+    for (let i = 1; i < subgraph.length; i += 2) {
+      supportPids.push(...edges[subgraph[i]].support.filter(spid => paths[spid] !== undefined));
+    }
+  });
+
+  let explanation = rootExplanations.map(e => `${e}.`).join(' ');
+  const supportExplanations = cmn.distinctArray(supportPids.map(pid => paths[pid].explanation));
+  if (supportExplanations.length > 0) {
+    const shown = supportExplanations.slice(0, MAX_SUPPORT_EXPLANATIONS);
+    const more = supportExplanations.length - shown.length;
+    explanation += ` This is inferred from: ${shown.join('; ')}`;
+    explanation += more > 0 ? `; and ${more} more.` : '.';
+  }
+
+  return explanation;
+}
+
+function makePhrase(aspect, verb, objectNoun) {
+  return {
+    aspect: aspect,
+    verb: objectNoun ? `${verb} ${objectNoun} of` : verb
+  };
+}
+
+/* What the subject or object qualifiers of an edge say about that node, e.g. 'increased abundance',
+ * or null if there are none. The ordering is the same as in edgeToQualifiedPredicate.
+ */
+function qualifiersToNoun(type, qualifiers, withDirection) {
+  const words = [];
+  const formOrVariant = cmn.jsonGet(qualifiers, `${type} form or variant qualifier`, null);
+  const direction = withDirection ? cmn.jsonGet(qualifiers, `${type} direction qualifier`, null) : null;
+  const aspect = cmn.jsonGet(qualifiers, `${type} aspect qualifier`, null);
+  const part = cmn.jsonGet(qualifiers, `${type} part qualifier`, null);
+  const derivative = cmn.jsonGet(qualifiers, `${type} derivative qualifier`, null);
+  if (formOrVariant) words.push(`a ${formOrVariant} of the`);
+  if (direction) words.push(direction);
+  if (aspect) words.push(aspect);
+  if (part) words.push(`of the ${part}`);
+  if (derivative) words.push(derivative);
+  if (words.length === 0) {
+    return null;
+  }
+
+  return words.join(' ').replace(/ of the$/, '');
+}
+
+function invertPredicate(predicate) {
+  try {
+    const inverse = bl.invertBiolinkPredicate(predicate);
+    if (inverse) {
+      return inverse;
+    }
+  } catch (err) {
+    // Not a biolink predicate, so there is no inverse to look up
+  }
+
+  return 'related to';
+}
+
+/* Biolink predicates are either verb phrases ('treats', 'physically interacts with', 'has phenotype')
+ * or read as one after 'is' ('related to', 'in clinical trials for'). The ones that name the classes
+ * they connect, like 'gene associated with condition', only say 'associated with'.
+ */
+function predicateToVerb(predicate) {
+  const words = predicate.split(' ');
+  if (words.length === 4 && words[1] === 'associated' && words[2] === 'with' && !words[0].endsWith('ly')) {
+    return 'is associated with';
+  }
+
+  const verb = words.find(word => !word.endsWith('ly')) || '';
+  if (['is', 'has', 'can', 'may'].includes(verb) || (verb.endsWith('s') && !verb.endsWith('ss'))) {
+    return predicate;
+  }
+
+  return `is ${predicate}`;
+}
+
+function nodeName(nodes, nid) {
+  const names = cmn.jsonGetFromKpath(nodes, [nid, 'names'], []);
+  return cmn.isArrayEmpty(names) ? nid : names[0];
+}
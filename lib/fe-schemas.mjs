@@ -0,0 +1,85 @@
+'use strict';
+
+import Ajv from 'ajv';
+import * as cmn from './common.mjs';
+
+export { FE_PAYLOADS, supportedSchemaVersions, negotiateSchemaVersion, validateFEPayload };
+
+/* The contract between the FE and the BE for the query endpoints, as JSON Schemas in
+ * ./assets/fe-schemas/v<major>/<payload>.json. Every payload the FE gets carries the version of its
+ * schema in schema_version, as '<major>.<minor>'.
+ *
+ * Minor versions only add to the schemas, so a FE built against 1.0 can read 1.3. Anything else,
+ * like renaming or removing a field, needs a new major version, which is served side by side with
+ * the old ones so that the FE and the BE can be deployed on their own.
+ */
+
+// The payloads with a schema, by the endpoint they are sent from
+const FE_PAYLOADS = {
+  submit: 'POST /query',
+  status: 'GET /query/:qid/status',
+  summary: 'GET /query/:qid/result'
+};
+
+// Major version -> the version served for it
+const SCHEMA_VERSIONS = {
+  '1': '1.0'
+};
+
+// Major version -> payload -> compiled schema, see loadFESchemas
+let FE_VALIDATORS = null;
+
+export async function loadFESchemas() {
+  const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+  FE_VALIDATORS = {};
+  for (const major of Object.keys(SCHEMA_VERSIONS)) {
+    FE_VALIDATORS[major] = {};
+    for (const payload of Object.keys(FE_PAYLOADS)) {
+      const schema = await cmn.readJson(`./assets/fe-schemas/v${major}/${payload}.json`);
+      FE_VALIDATORS[major][payload] = ajv.compile(schema);
+    }
+  }
+}
+
+function supportedSchemaVersions() {
+  return Object.values(SCHEMA_VERSIONS);
+}
+
+/* acceptVersion: the Accept-Version header of the request, e.g. '1', '1.0' or 'v1', or undefined
+ *
+ * Returns the version to serve, the latest one if none is asked for, or null if the version asked
+ * for is not served.
+ */
+function negotiateSchemaVersion(acceptVersion) {
+  if (acceptVersion === undefined || acceptVersion.trim() === '') {
+    const latest = Math.max(...Object.keys(SCHEMA_VERSIONS).map(Number));
+    return SCHEMA_VERSIONS[latest];
+  }
+
+  const match = acceptVersion.trim().match(/^v?(\d+)(?:\.(\d+))?$/i);
+  if (match === null) {
+    return null;
+  }
+
+  const [, major, minor] = match;
+  const served = cmn.jsonGet(SCHEMA_VERSIONS, Number(major).toString(), null);
+  if (served === null || (minor !== undefined && Number(minor) > Number(served.split('.')[1]))) {
+    return null;
+  }
+
+  return served;
+}
+
+// Returns the ways the body breaks the schema of the payload, or null if it doesn't
+function validateFEPayload(version, payload, body) {
+  if (FE_VALIDATORS === null) {
+    throw new Error('FE schemas have not been loaded');
+  }
+
+  const validate = FE_VALIDATORS[version.split('.')[0]][payload];
+  if (validate(body)) {
+    return null;
+  }
+
+  return validate.errors.map(e => `${e.instancePath || '/'} ${e.message}`);
+}
@@ -0,0 +1,133 @@
+'use strict'
+
+import * as cmn from './common.mjs';
+import * as bl from './biolink-model.mjs';
+
+export { QueryGraphValidationError, validateQueryGraph };
+
+const KNOWLEDGE_TYPES = ['inferred', 'lookup'];
+
+class QueryGraphValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid query graph: ${errors.map(e => `${e.path}: ${e.message}`).join('; ')}`);
+    this.name = 'QueryGraphValidationError';
+    this.errors = errors;
+  }
+}
+
+/* Checks a TRAPI query graph submitted as is against the loaded Biolink model and prefix catalog.
+ * Only what the ARS and the summarizer rely on is checked, anything else in the graph is passed along.
+ *
+ * Returns a list of { path, message } errors, which is empty if the query graph is valid.
+ */
+function validateQueryGraph(qgraph) {
+  const errors = [];
+  function error(path, message) {
+    errors.push({ path: path, message: message });
+  }
+
+  if (!cmn.isObject(qgraph)) {
+    error('query_graph', 'Expected an object');
+    return errors;
+  }
+
+  const nodes = qgraph.nodes;
+  const edges = qgraph.edges;
+  if (!cmn.isObject(nodes) || cmn.isObjectEmpty(nodes)) {
+    error('query_graph.nodes', 'Expected a non-empty object');
+  }
+
+  if (!cmn.isObject(edges) || cmn.isObjectEmpty(edges)) {
+    error('query_graph.edges', 'Expected a non-empty object');
+  }
+
+  if (!cmn.isArrayEmpty(errors)) {
+    return errors;
+  }
+
+  let pinnedNodes = 0;
+  for (const [key, node] of Object.entries(nodes)) {
+    const path = `query_graph.nodes.${key}`;
+    if (!cmn.isObject(node)) {
+      error(path, 'Expected an object');
+      continue;
+    }
+
+    validateList(node, 'categories', path, error, (category, itemPath) => {
+      if (!isBiolinkItem(category) || !bl.isBiolinkClass(category)) {
+        error(itemPath, `${category} is not a Biolink class`);
+      }
+    });
+
+    validateList(node, 'ids', path, error, (curie, itemPath) => {
+      if (!cmn.isString(curie) || !bl.isValidCurie(curie)) {
+        error(itemPath, `${curie} is not a CURIE with a known prefix`);
+      }
+    });
+
+    if (cmn.isArray(node.ids) && node.ids.length > 0) {
+      pinnedNodes += 1;
+    }
+  }
+
+  if (pinnedNodes === 0) {
+    error('query_graph.nodes', 'Expected at least one node with ids');
+  }
+
+  for (const [key, edge] of Object.entries(edges)) {
+    const path = `query_graph.edges.${key}`;
+    if (!cmn.isObject(edge)) {
+      error(path, 'Expected an object');
+      continue;
+    }
+
+    for (const endpoint of ['subject', 'object']) {
+      if (nodes[edge[endpoint]] === undefined) {
+        error(`${path}.${endpoint}`, `${edge[endpoint]} is not a node in the query graph`);
+      }
+    }
+
+    validateList(edge, 'predicates', path, error, (predicate, itemPath) => {
+      if (!isBiolinkItem(predicate) || !bl.isBiolinkPredicate(predicate)) {
+        error(itemPath, `${predicate} is not a Biolink predicate`);
+      }
+    });
+
+    if (edge.knowledge_type !== undefined && !KNOWLEDGE_TYPES.includes(edge.knowledge_type)) {
+      error(`${path}.knowledge_type`, `Expected one of [${KNOWLEDGE_TYPES.join(', ')}]`);
+    }
+
+    validateList(edge, 'qualifier_constraints', path, error, (constraint, itemPath) => {
+      validateList(constraint, 'qualifier_set', itemPath, error, (qualifier, qualifierPath) => {
+        if (!cmn.isObject(qualifier) ||
+            !cmn.isString(qualifier.qualifier_type_id) ||
+            !cmn.isString(qualifier.qualifier_value)) {
+          error(qualifierPath, 'Expected a qualifier_type_id and a qualifier_value');
+        } else if (!isBiolinkItem(qualifier.qualifier_type_id) || !bl.isBiolinkQualifier(qualifier.qualifier_type_id)) {
+          error(`${qualifierPath}.qualifier_type_id`, `${qualifier.qualifier_type_id} is not a Biolink qualifier`);
+        }
+      });
+    });
+  }
+
+  return errors;
+}
+
+// A missing or null list is fine, anything else must be an array
+function validateList(obj, key, path, error, validateItem) {
+  const list = cmn.isObject(obj) ? obj[key] : undefined;
+  if (list === undefined || list === null) {
+    return;
+  }
+
+  if (!cmn.isArray(list)) {
+    error(`${path}.${key}`, 'Expected an array');
+    return;
+  }
+
+  list.forEach((item, i) => validateItem(item, `${path}.${key}[${i}]`));
+}
+
+function isBiolinkItem(s) {
+  return cmn.isString(s) && s.startsWith('biolink:');
+}
@@ -0,0 +1,311 @@
+'use strict'
+
+import * as cmn from './common.mjs';
+import * as bl from './biolink-model.mjs';
+
+/* A query template describes one kind of query the FE can submit, both to build the TRAPI query
+ * graph from the FE query and to recognize an answer to that kind of query again when summarizing.
+ * Templates are keyed by the query type sent by the FE:
+ *
+ * "drug": {
+ *   "nodes": {
+ *     "sn": {"categories": ["ChemicalEntity"]},
+ *     "on": {"categories": ["Disease"], "binds": "curie"}
+ *   },
+ *   "edges": {
+ *     "t_edge": {"subject": "sn", "object": "on", "predicates": ["treats"]}
+ *   },
+ *   "path": ["sn", "on"],
+ *   "result_key": "node",
+ *   "answer_tags": true,
+ *   "chebi_roles": true,
+ *   "indications": true
+ * }
+ *
+ * nodes:
+ *   categories: Biolink classes of the node
+ *   binds: dotted path into the FE query of the CURIE the node is pinned to
+ *   categories_from: dotted path into the FE query of a category that overrides the above, if present
+ * edges:
+ *   predicates: Biolink predicates of the edge
+ *   knowledge_type: defaults to 'inferred'
+ *   qualifier_constraints: TRAPI qualifier constraints. A qualifier can use qualifier_value_from (a dotted
+ *     path into the FE query) instead of qualifier_value. Constraints with a qualifier whose value is
+ *     missing from the FE query are left out of the query graph.
+ * path: the nodes that results start and end at
+ * result_key: 'node' to group results by their start node, 'metapath' to group them by the categories
+ *   of the nodes along the path
+ * answer_tags: whether to tag results as drugs, clinical trial phases, etc.
+ * chebi_roles: whether to tag results with their ChEBI roles
+ * indications: whether to tag results as indicated for the end node
+ * max_hops: optional, the longest path to look for in answers, instead of the max_hops config
+ * max_paths: optional, the most paths to keep for a result, instead of the max_paths config
+ */
+
+let QUERY_TEMPLATES = null;
+const GENERIC_TEMPLATE_NAME = 'generic';
+
+export function loadQueryTemplates(templates) {
+  const loaded = {};
+  Object.keys(templates).forEach(name => {
+    if (name === GENERIC_TEMPLATE_NAME) {
+      throw new RangeError(`Query template name ${name} is reserved`);
+    }
+
+    loaded[name] = normalizeTemplate(name, templates[name]);
+  });
+
+  QUERY_TEMPLATES = loaded;
+}
+
+export function getQueryTemplate(name) {
+  return cmn.jsonGet(QUERY_TEMPLATES, name, false);
+}
+
+export function queryTemplateNames() {
+  return Object.keys(QUERY_TEMPLATES);
+}
+
+export function queryToQgraph(template, query) {
+  const nodes = {};
+  Object.keys(template.nodes).forEach(key => {
+    const nodeSpec = template.nodes[key];
+    const qgNode = {};
+    let categories = nodeSpec.categories;
+    if (nodeSpec.categories_from) {
+      const category = queryValue(query, nodeSpec.categories_from);
+      if (category) {
+        categories = [bl.tagBiolink(category)];
+      }
+    }
+
+    if (!cmn.isArrayEmpty(categories)) {
+      qgNode['categories'] = categories;
+    }
+
+    if (nodeSpec.binds) {
+      const curie = queryValue(query, nodeSpec.binds);
+      if (curie === undefined) {
+        throw new ReferenceError(`Query of type ${template.name} is missing '${nodeSpec.binds}'`);
+      }
+
+      qgNode['ids'] = [curie];
+    }
+
+    nodes[key] = qgNode;
+  });
+
+  const edges = {};
+  Object.keys(template.edges).forEach(key => {
+    const edgeSpec = template.edges[key];
+    const qgEdge = {
+      'subject': edgeSpec.subject,
+      'object': edgeSpec.object,
+      'predicates': edgeSpec.predicates,
+      'knowledge_type': edgeSpec.knowledge_type
+    };
+
+    const constraints = edgeSpec.qualifier_constraints
+      .map(constraint => qualifierConstraintToQgraph(constraint, query))
+      .filter(constraint => constraint !== null);
+    if (!cmn.isArrayEmpty(constraints)) {
+      qgEdge['qualifier_constraints'] = constraints;
+    }
+
+    edges[key] = qgEdge;
+  });
+
+  return {
+    'nodes': nodes,
+    'edges': edges
+  };
+}
+
+/* Find the template a query graph was built from. The query graph must have the same nodes and
+ * edges as the template, with matching categories and predicates, and exactly the template's bound
+ * nodes pinned to CURIEs (this is what tells apart templates that only differ in direction).
+ *
+ * Returns false if no template matches.
+ */
+export function qgraphToQueryTemplate(qgraph) {
+  if (!cmn.isObject(qgraph)) {
+    return false;
+  }
+
+  for (const template of Object.values(QUERY_TEMPLATES)) {
+    if (isQgraphForTemplate(qgraph, template)) {
+      return template;
+    }
+  }
+
+  return false;
+}
+
+/* The input to queryToCreativeQuery for a cached query from the frontend config. Cached queries
+ * call the CURIE they bind id rather than curie, and carry a few fields of their own.
+ */
+export function cachedQueryToInput(cachedQuery) {
+  const input = Object.assign({}, cachedQuery, { curie: cachedQuery.id });
+  ['id', 'name', 'uuid', 'allow_inbound', 'allow_outbound'].forEach(key => delete input[key]);
+  return input;
+}
+
+/* The template for query graphs that were not built from any template, e.g. ones submitted as is
+ * by power users. Results start at the first node not pinned to a CURIE and end at the first pinned
+ * node, and are only tagged with what applies to any kind of node.
+ */
+export function genericQueryTemplate(qgraph) {
+  const nodes = cmn.jsonGet(qgraph, 'nodes', {});
+  const keys = Object.keys(nodes);
+  const start = keys.find(key => !isPinnedNode(nodes[key])) || keys[0];
+  const others = keys.filter(key => key !== start);
+  const end = others.find(key => isPinnedNode(nodes[key])) || others[0] || start;
+  return {
+    name: GENERIC_TEMPLATE_NAME,
+    nodes: {},
+    edges: {},
+    path: [start, end],
+    result_key: 'node',
+    answer_tags: false,
+    chebi_roles: true,
+    indications: false,
+    max_hops: null,
+    max_paths: null
+  };
+}
+
+function isQgraphForTemplate(qgraph, template) {
+  const qgNodes = cmn.jsonGet(qgraph, 'nodes', {});
+  const qgEdges = cmn.jsonGet(qgraph, 'edges', {});
+  if (!sameKeys(qgNodes, template.nodes) || !sameKeys(qgEdges, template.edges)) {
+    return false;
+  }
+
+  for (const key of Object.keys(template.nodes)) {
+    const nodeSpec = template.nodes[key];
+    if (isPinnedNode(qgNodes[key]) !== !!nodeSpec.binds) {
+      return false;
+    }
+
+    // Categories that can be overridden by the FE query can be anything
+    if (!nodeSpec.categories_from && !cmn.isArrayEmpty(nodeSpec.categories)) {
+      const categories = qgNodes[key].categories || [];
+      if (categories[0] !== nodeSpec.categories[0]) {
+        return false;
+      }
+    }
+  }
+
+  for (const key of Object.keys(template.edges)) {
+    const edgeSpec = template.edges[key];
+    const qgEdge = qgEdges[key];
+    if (qgEdge.subject !== edgeSpec.subject || qgEdge.object !== edgeSpec.object) {
+      return false;
+    }
+
+    const predicates = (qgEdge.predicates || []).map(bl.tagBiolink);
+    if (!edgeSpec.predicates.some(predicate => predicates.includes(predicate))) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+function normalizeTemplate(name, template) {
+  const nodes = cmn.jsonGet(template, 'nodes');
+  const edges = cmn.jsonGet(template, 'edges');
+  const path = cmn.jsonGet(template, 'path');
+  if (path.length !== 2 || !path.every(key => nodes[key] !== undefined)) {
+    throw new RangeError(`Query template ${name} has an invalid path: ${JSON.stringify(path)}`);
+  }
+
+  const normalizedNodes = {};
+  Object.keys(nodes).forEach(key => {
+    normalizedNodes[key] = {
+      categories: cmn.jsonGet(nodes[key], 'categories', []).map(bl.tagBiolink),
+      binds: cmn.jsonGet(nodes[key], 'binds', false),
+      categories_from: cmn.jsonGet(nodes[key], 'categories_from', false)
+    };
+  });
+
+  const normalizedEdges = {};
+  Object.keys(edges).forEach(key => {
+    const edge = edges[key];
+    const subject = cmn.jsonGet(edge, 'subject');
+    const object = cmn.jsonGet(edge, 'object');
+    if (nodes[subject] === undefined || nodes[object] === undefined) {
+      throw new RangeError(`Query template ${name} has an edge ${key} with an unknown node`);
+    }
+
+    normalizedEdges[key] = {
+      subject: subject,
+      object: object,
+      predicates: cmn.jsonGet(edge, 'predicates').map(bl.tagBiolink),
+      knowledge_type: cmn.jsonGet(edge, 'knowledge_type', 'inferred'),
+      qualifier_constraints: cmn.jsonGet(edge, 'qualifier_constraints', [])
+    };
+  });
+
+  const resultKey = cmn.jsonGet(template, 'result_key', 'node');
+  if (!['node', 'metapath'].includes(resultKey)) {
+    throw new RangeError(`Query template ${name} has an invalid result_key: ${resultKey}`);
+  }
+
+  ['max_hops', 'max_paths'].forEach(key => {
+    const limit = cmn.jsonGet(template, key, null);
+    if (limit !== null && !(Number.isInteger(limit) && limit > 0)) {
+      throw new RangeError(`Query template ${name} has an invalid ${key}: ${limit}`);
+    }
+  });
+
+  return {
+    name: name,
+    nodes: normalizedNodes,
+    edges: normalizedEdges,
+    path: path,
+    result_key: resultKey,
+    answer_tags: cmn.jsonGet(template, 'answer_tags', false),
+    chebi_roles: cmn.jsonGet(template, 'chebi_roles', false),
+    indications: cmn.jsonGet(template, 'indications', false),
+    max_hops: cmn.jsonGet(template, 'max_hops', null),
+    max_paths: cmn.jsonGet(template, 'max_paths', null)
+  };
+}
+
+function qualifierConstraintToQgraph(constraint, query) {
+  const qualifierSet = [];
+  for (const qualifier of cmn.jsonGet(constraint, 'qualifier_set')) {
+    let value = qualifier.qualifier_value;
+    if (qualifier.qualifier_value_from) {
+      value = queryValue(query, qualifier.qualifier_value_from);
+    }
+
+    if (!value) {
+      return null;
+    }
+
+    qualifierSet.push({
+      'qualifier_type_id': qualifier.qualifier_type_id,
+      'qualifier_value': value
+    });
+  }
+
+  return {
+    'qualifier_set': qualifierSet
+  };
+}
+
+function queryValue(query, dottedPath) {
+  return cmn.jsonGetFromKpath(query, dottedPath.split('.'), false) || undefined;
+}
+
+function isPinnedNode(qgNode) {
+  return cmn.isArray(qgNode.ids) && qgNode.ids.length > 0;
+}
+
+function sameKeys(obj1, obj2) {
+  const keys1 = Object.keys(obj1);
+  const keys2 = Object.keys(obj2);
+  return keys1.length === keys2.length && keys1.every(key => obj2[key] !== undefined);
+}
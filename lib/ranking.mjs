@@ -0,0 +1,148 @@
+'use strict'
+
+import * as cmn from './common.mjs';
+import * as trapi from './trapi.mjs';
+
+export { isRankingStrategy, rankResults, applyRanking };
+
+/* Ranks summary results by a weighted combination of score components. Strategies are configured
+ * as component weights, e.g.:
+ *
+ * "ranking": {
+ *   "default_strategy": "combined",
+ *   "strategies": {
+ *     "combined": {"ara_score": 0.4, "ara_count": 0.2, "publications": 0.2, "path_length": 0.1, "fda_phase": 0.1}
+ *   },
+ *   "knowledge_level_weights": {"trusted": 1, "inferred": 0.5, "ml": 0.25, "unknown": 0.1}
+ * }
+ *
+ * Components:
+ *   ara_score: the best normalized_score any ARA gave the result
+ *   ara_count: the number of distinct ARAs that found the result
+ *   publications: the number of distinct publications supporting the result, weighted by knowledge level
+ *   path_length: how short the shortest path of the result is
+ *   fda_phase: how far the result got in FDA approval
+ *
+ * Every component is scaled to [0, 1] relative to the highest value for it in the summary, so weights
+ * can be compared across components.
+ *
+ * Results are only ranked for the FE when it asks for a strategy. The default strategy is for what
+ * needs some ranking either way, like comparing the ranks of results between summaries.
+ */
+const COMPONENTS = {
+  ara_score: araScore,
+  ara_count: araCount,
+  publications: publicationCount,
+  path_length: pathLength,
+  fda_phase: fdaPhase
+};
+
+function isRankingStrategy(rankingConfig, strategy) {
+  return cmn.jsonGet(rankingConfig.strategies, strategy, false) !== false;
+}
+
+/* Returns the ranking of every result in the summary, keyed by result id:
+ *   { strategy, score, components: { <component>: <scaled value> } }
+ */
+function rankResults(summary, strategy, rankingConfig) {
+  const weights = cmn.jsonGet(rankingConfig.strategies, strategy);
+  const context = {
+    summary: summary,
+    knowledgeLevelWeights: cmn.jsonGet(rankingConfig, 'knowledge_level_weights', {})
+  };
+
+  const componentNames = Object.keys(weights);
+  componentNames.forEach(name => {
+    if (COMPONENTS[name] === undefined) {
+      throw new RangeError(`Unknown ranking component ${name} in strategy ${strategy}`);
+    }
+  });
+
+  const rawValues = summary.results.map(result => {
+    const values = {};
+    componentNames.forEach(name => {
+      values[name] = COMPONENTS[name](result, context);
+    });
+
+    return values;
+  });
+
+  const maxValues = {};
+  componentNames.forEach(name => {
+    maxValues[name] = Math.max(0, ...rawValues.map(values => values[name]));
+  });
+
+  const totalWeight = componentNames.reduce((total, name) => total + weights[name], 0);
+  const rankings = {};
+  summary.results.forEach((result, i) => {
+    const components = {};
+    let score = 0;
+    componentNames.forEach(name => {
+      const scaled = maxValues[name] > 0 ? rawValues[i][name] / maxValues[name] : 0;
+      components[name] = scaled;
+      score += weights[name] * scaled;
+    });
+
+    rankings[result.id] = {
+      strategy: strategy,
+      score: totalWeight > 0 ? score / totalWeight : 0,
+      components: components
+    };
+  });
+
+  return rankings;
+}
+
+/* Returns copies of the results with their ranking attached, from best to worst. Results with the
+ * same score keep their order.
+ */
+function applyRanking(results, rankings) {
+  return results
+    .map(result => Object.assign({}, result, { ranking: rankings[result.id] }))
+    .sort((r1, r2) => r2.ranking.score - r1.ranking.score);
+}
+
+function araScore(result, context) {
+  const scores = cmn.isArray(result.scores) ? result.scores : [];
+  return Math.max(0, ...scores.map(score => cmn.jsonGet(score, 'normalized_score', 0)));
+}
+
+function araCount(result, context) {
+  const aras = new Set();
+  result.paths.forEach(pid => {
+    context.summary.paths[pid].aras.forEach(ara => aras.add(ara));
+  });
+
+  return aras.size;
+}
+
+function publicationCount(result, context) {
+  const edges = context.summary.edges;
+  const publications = {};
+  trapi.getResultEdgeIds(result, context.summary.paths, edges).forEach(eid => {
+    const edgePublications = edges[eid].publications;
+    Object.keys(edgePublications).forEach(level => {
+      edgePublications[level].forEach(publication => {
+        // A publication counts at the best knowledge level it is reported at
+        const weight = cmn.jsonGet(context.knowledgeLevelWeights, level, 0);
+        publications[publication.id] = Math.max(cmn.jsonGet(publications, publication.id, 0), weight);
+      });
+    });
+  });
+
+  return Object.values(publications).reduce((total, weight) => total + weight, 0);
+}
+
+function pathLength(result, context) {
+  const lengths = result.paths.map(pid => (context.summary.paths[pid].subgraph.length - 1) / 2);
+  return lengths.length > 0 ? 1 / Math.min(...lengths) : 0;
+}
+
+function fdaPhase(result, context) {
+  const node = context.summary.nodes[result.subject];
+  const tags = node ? Object.keys(node.tags) : [];
+  const phases = tags
+    .filter(tag => tag.startsWith('r/fda/'))
+    .map(tag => parseInt(tag.split('/')[2]));
+  return Math.max(0, ...phases) / 4;
+}
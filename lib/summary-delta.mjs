@@ -0,0 +1,45 @@
+'use strict';
+
+import { default as hash } from 'hash-sum';
+
+export { summaryToDelta };
+
+/* Build the changes needed to bring a client holding `baseline` up to date with `summary`.
+ * Every keyed section contains only the entries that are new or whose content changed, so a client
+ * can apply the delta by replacing entries by key. Results are replaced by id, and results that no
+ * longer exist are listed in `removed_results`.
+ */
+function summaryToDelta(summary, baseline, since) {
+  function changedEntries(current, previous) {
+    const retval = {};
+    Object.keys(current).forEach((k) => {
+      if (previous[k] === undefined || hash(previous[k]) !== hash(current[k])) {
+        retval[k] = current[k];
+      }
+    });
+
+    return retval;
+  }
+
+  const baselineResults = {};
+  baseline.results.forEach((result) => {
+    baselineResults[result.id] = result;
+  });
+
+  const currentResultIds = new Set(summary.results.map(result => result.id));
+  return {
+    'meta': summary.meta,
+    'since': since,
+    'results': summary.results.filter((result) => {
+      const previous = baselineResults[result.id];
+      return previous === undefined || hash(previous) !== hash(result);
+    }),
+    'removed_results': Object.keys(baselineResults).filter(id => !currentResultIds.has(id)),
+    'paths': changedEntries(summary.paths, baseline.paths),
+    'nodes': changedEntries(summary.nodes, baseline.nodes),
+    'edges': changedEntries(summary.edges, baseline.edges),
+    'publications': changedEntries(summary.publications, baseline.publications),
+    'tags': changedEntries(summary.tags, baseline.tags),
+    'errors': summary.errors
+  };
+}
@@ -0,0 +1,123 @@
+'use strict';
+
+import * as cmn from './common.mjs';
+import * as ranking from './ranking.mjs';
+import * as trapi from './trapi.mjs';
+
+export { summaryDiff };
+
+/* What changed from one summary to another, e.g. for the same query before and after a KP update.
+ * Results are matched by id, which only depends on the nodes of the result, so summaries of
+ * different queries can be compared too.
+ *
+ * Results are ranked with the given strategy, see ranking.mjs, and a rank is the 1-based position
+ * of the result in that order.
+ *
+ * {
+ *   strategy: <ranking strategy>,
+ *   added: [ <result> ],   // Results only in `to`
+ *   removed: [ <result> ], // Results only in `from`
+ *   changed: [ <result> ], // Results in both that differ, from best to worst in `to`
+ *   unchanged: <number of results in both that don't differ>
+ * }
+ *
+ * <result>: {
+ *   id, subject, drug_name,
+ *   rank: { from, to }, score: { from, to }, // null on the side the result is missing from
+ *   paths: { added: [ <path> ], removed: [ <path> ] },
+ *   tags: { added: [ <tag> ], removed: [ <tag> ] }
+ * }
+ *
+ * <path>: { id, explanation }, for every path of the result including the ones supporting it
+ * <tag>: { id, name }, e.g. { id: 'r/fda/4', name: 'FDA Approved' }, for the tags of the result and
+ *   of the node it is about
+ */
+function summaryDiff(from, to, strategy, rankingConfig) {
+  const fromResults = rankedResults(from, strategy, rankingConfig);
+  const toResults = rankedResults(to, strategy, rankingConfig);
+  const diff = {
+    strategy: strategy,
+    added: [],
+    removed: [],
+    changed: [],
+    unchanged: 0
+  };
+
+  toResults.forEach((ranked, id) => {
+    const previous = fromResults.get(id);
+    const resultDiff = makeResultDiff(previous || null, ranked, from, to);
+    if (previous === undefined) {
+      diff.added.push(resultDiff);
+    } else if (isResultChanged(resultDiff)) {
+      diff.changed.push(resultDiff);
+    } else {
+      diff.unchanged += 1;
+    }
+  });
+
+  fromResults.forEach((ranked, id) => {
+    if (!toResults.has(id)) {
+      diff.removed.push(makeResultDiff(ranked, null, from, to));
+    }
+  });
+
+  return diff;
+}
+
+// Result id -> { result, rank, score }, from best to worst
+function rankedResults(summary, strategy, rankingConfig) {
+  const rankings = ranking.rankResults(summary, strategy, rankingConfig);
+  const retval = new Map();
+  ranking.applyRanking(summary.results, rankings).forEach((result, i) => {
+    retval.set(result.id, { result: result, rank: i + 1, score: result.ranking.score });
+  });
+
+  return retval;
+}
+
+function makeResultDiff(from, to, fromSummary, toSummary) {
+  const result = (to || from).result;
+  const fromPaths = new Set(from ? trapi.getResultPathIds(from.result, fromSummary.paths, fromSummary.edges) : []);
+  const toPaths = new Set(to ? trapi.getResultPathIds(to.result, toSummary.paths, toSummary.edges) : []);
+  const fromTags = from ? resultTagIds(from.result, fromSummary) : new Set();
+  const toTags = to ? resultTagIds(to.result, toSummary) : new Set();
+  return {
+    id: result.id,
+    subject: result.subject,
+    drug_name: result.drug_name,
+    rank: { from: from ? from.rank : null, to: to ? to.rank : null },
+    score: { from: from ? from.score : null, to: to ? to.score : null },
+    paths: {
+      added: [...toPaths].filter(pid => !fromPaths.has(pid)).map(pid => pathDiff(pid, toSummary)),
+      removed: [...fromPaths].filter(pid => !toPaths.has(pid)).map(pid => pathDiff(pid, fromSummary))
+    },
+    tags: {
+      added: [...toTags].filter(tag => !fromTags.has(tag)).map(tag => tagDiff(tag, result, toSummary)),
+      removed: [...fromTags].filter(tag => !toTags.has(tag)).map(tag => tagDiff(tag, result, fromSummary))
+    }
+  };
+}
+
+function isResultChanged(resultDiff) {
+  return resultDiff.rank.from !== resultDiff.rank.to ||
+         resultDiff.score.from !== resultDiff.score.to ||
+         !cmn.isArrayEmpty(resultDiff.paths.added) ||
+         !cmn.isArrayEmpty(resultDiff.paths.removed) ||
+         !cmn.isArrayEmpty(resultDiff.tags.added) ||
+         !cmn.isArrayEmpty(resultDiff.tags.removed);
+}
+
+// Some tags, like the FDA approval ones, are only on the node the result is about
+function resultTagIds(result, summary) {
+  const nodeTags = cmn.jsonGetFromKpath(summary.nodes, [result.subject, 'tags'], {});
+  return new Set([...Object.keys(result.tags), ...Object.keys(nodeTags)]);
+}
+
+function pathDiff(pid, summary) {
+  return { id: pid, explanation: cmn.jsonGet(summary.paths[pid], 'explanation', null) };
+}
+
+function tagDiff(tag, result, summary) {
+  const nodeTagName = cmn.jsonGetFromKpath(summary.nodes, [result.subject, 'tags', tag, 'name'], tag);
+  return { id: tag, name: cmn.jsonGetFromKpath(summary.tags, [tag, 'name'], nodeTagName) };
+}
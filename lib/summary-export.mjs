@@ -0,0 +1,120 @@
+'use strict'
+
+import * as cmn from './common.mjs';
+import * as trapi from './trapi.mjs';
+
+export { EXPORT_FORMATS, summaryToExportLines };
+
+/* Flattens a summary into one row per result for analysts to load into a spreadsheet.
+ * Columns holding several values separate them with '; '.
+ */
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  tsv: { contentType: 'text/tab-separated-values; charset=utf-8', extension: 'tsv' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' }
+};
+
+const KNOWLEDGE_LEVELS = ['trusted', 'inferred', 'ml', 'unknown'];
+
+const COLUMNS = [
+  'name',
+  'curie',
+  'aras',
+  'scores',
+  'fda_phase',
+  'chebi_roles',
+  'otc_status',
+  'metapaths',
+  ...KNOWLEDGE_LEVELS.map(level => `publications_${level}`)
+];
+
+/* Yields the export one line at a time, so large summaries can be streamed out without building
+ * the whole export in memory.
+ */
+function* summaryToExportLines(summary, format) {
+  if (format === 'csv') {
+    // Excel only reads a CSV as UTF-8 if it starts with a byte order mark
+    yield '\uFEFF' + COLUMNS.map(csvField).join(',') + '\r\n';
+  } else if (format === 'tsv') {
+    yield COLUMNS.map(tsvField).join('\t') + '\n';
+  }
+
+  for (const result of summary.results) {
+    const row = resultToRow(result, summary);
+    if (format === 'jsonl') {
+      yield JSON.stringify(row) + '\n';
+    } else if (format === 'csv') {
+      yield COLUMNS.map(column => csvField(joinValues(row[column]))).join(',') + '\r\n';
+    } else {
+      yield COLUMNS.map(column => tsvField(joinValues(row[column]))).join('\t') + '\n';
+    }
+  }
+}
+
+function resultToRow(result, summary) {
+  const { paths, nodes, edges, tags } = summary;
+  const tagName = (tag) => cmn.jsonGetFromKpath(tags, [tag, 'name'], tag);
+  const resultTags = Object.keys(result.tags);
+  const node = nodes[result.subject];
+  const nodeTags = node ? Object.keys(node.tags) : [];
+
+  const aras = new Set();
+  result.paths.forEach(pid => paths[pid].aras.forEach(ara => aras.add(ara)));
+
+  const publications = {};
+  KNOWLEDGE_LEVELS.forEach(level => publications[level] = new Set());
+  trapi.getResultEdgeIds(result, paths, edges).forEach(eid => {
+    const edgePublications = edges[eid].publications;
+    Object.keys(edgePublications).forEach(level => {
+      const levelPublications = cmn.jsonSetDefaultAndGet(publications, level, new Set());
+      edgePublications[level].forEach(publication => levelPublications.add(publication.id));
+    });
+  });
+
+  const row = {
+    name: result.drug_name,
+    curie: result.subject,
+    aras: [...aras],
+    scores: (result.scores || []).map(score => cmn.jsonGet(score, 'normalized_score', null)),
+    // The FDA tags are only on the node, the other result tags are copied to the result
+    fda_phase: nodeTags.filter(tag => tag.startsWith('r/fda/')).map(tag => node.tags[tag].name),
+    chebi_roles: resultTags.filter(tag => tag.startsWith('r/role/')).map(tagName),
+    otc_status: resultTags.filter(tag => tag.startsWith('r/otc/')).map(tagName),
+    metapaths: result.paths.map(pid => trapi.genMetaPath(paths[pid].subgraph, nodes).join(' -> '))
+  };
+
+  KNOWLEDGE_LEVELS.forEach(level => {
+    row[`publications_${level}`] = [...publications[level]];
+  });
+
+  return row;
+}
+
+function joinValues(value) {
+  if (cmn.isArray(value)) {
+    return value.join('; ');
+  }
+
+  return value === null || value === undefined ? '' : `${value}`;
+}
+
+/* Spreadsheets run fields that start like a formula, and names come from upstream KPs, so those
+ * fields are made text by prefixing them with a quote
+ */
+function formulaSafeField(value) {
+  return /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+function csvField(value) {
+  value = formulaSafeField(value);
+  if (/[",\r\n]/.test(value)) {
+    return `"${value.replaceAll('"', '""')}"`;
+  }
+
+  return value;
+}
+
+// TSV has no quoting, so the separators cannot appear in a field
+function tsvField(value) {
+  return formulaSafeField(value).replace(/[\t\r\n]+/g, ' ');
+}
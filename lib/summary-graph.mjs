@@ -0,0 +1,163 @@
+'use strict'
+
+import * as cmn from './common.mjs';
+import * as trapi from './trapi.mjs';
+
+export { GRAPH_FORMATS, summaryToSubgraph, subgraphToGraphML, subgraphToCytoscape, subgraphToTrapi };
+
+/* Serializes the graph formed by the paths of a summary, for loading into Cytoscape and other
+ * Translator tools. The graph is either that of a single result or that of every result.
+ */
+const GRAPH_FORMATS = {
+  graphml: { contentType: 'application/graphml+xml; charset=utf-8', extension: 'graphml' },
+  cytoscape: { contentType: 'application/json; charset=utf-8', extension: 'cyjs' },
+  trapi: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+const NODE_ATTRIBUTES = ['name', 'category', 'curies'];
+const EDGE_ATTRIBUTES = ['predicate', 'knowledge_level', 'aras', 'sources', 'publications'];
+
+/* Returns the node and edge ids of the result with resultId, including the paths supporting its
+ * edges, or of every result if resultId is null. Returns null if there is no such result.
+ */
+function summaryToSubgraph(summary, resultId = null) {
+  let results = summary.results;
+  if (resultId !== null) {
+    results = results.filter(result => result.id === resultId);
+    if (cmn.isArrayEmpty(results)) {
+      return null;
+    }
+  }
+
+  const nodeIds = new Set();
+  const edgeIds = new Set();
+  results.forEach(result => {
+    trapi.getResultEdgeIds(result, summary.paths, summary.edges).forEach(eid => {
+      const edge = summary.edges[eid];
+      edgeIds.add(eid);
+      nodeIds.add(edge.subject);
+      nodeIds.add(edge.object);
+    });
+  });
+
+  return { nodes: [...nodeIds], edges: [...edgeIds] };
+}
+
+function subgraphToGraphML(summary, subgraph) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">'
+  ];
+
+  NODE_ATTRIBUTES.forEach(attr => {
+    lines.push(`  <key id="${attr}" for="node" attr.name="${attr}" attr.type="string"/>`);
+  });
+  EDGE_ATTRIBUTES.forEach(attr => {
+    lines.push(`  <key id="${attr}" for="edge" attr.name="${attr}" attr.type="string"/>`);
+  });
+
+  lines.push(`  <graph id="${xmlEscape(summary.meta.qid)}" edgedefault="directed">`);
+  subgraph.nodes.forEach(nid => {
+    lines.push(`    <node id="${xmlEscape(nid)}">`);
+    lines.push(...graphMLData(nodeAttributes(summary, nid), NODE_ATTRIBUTES));
+    lines.push('    </node>');
+  });
+  subgraph.edges.forEach(eid => {
+    const edge = summary.edges[eid];
+    lines.push(`    <edge id="${xmlEscape(eid)}" source="${xmlEscape(edge.subject)}" target="${xmlEscape(edge.object)}">`);
+    lines.push(...graphMLData(edgeAttributes(summary, eid), EDGE_ATTRIBUTES));
+    lines.push('    </edge>');
+  });
+  lines.push('  </graph>');
+  lines.push('</graphml>');
+  return lines.join('\n') + '\n';
+}
+
+// The Cytoscape.js elements JSON, which the Cytoscape desktop app imports as well
+function subgraphToCytoscape(summary, subgraph) {
+  return {
+    data: { name: summary.meta.qid },
+    elements: {
+      nodes: subgraph.nodes.map(nid => ({
+        data: Object.assign({ id: nid }, nodeAttributes(summary, nid))
+      })),
+      edges: subgraph.edges.map(eid => {
+        const edge = summary.edges[eid];
+        return {
+          data: Object.assign({ id: eid, source: edge.subject, target: edge.object }, edgeAttributes(summary, eid))
+        };
+      })
+    }
+  };
+}
+
+/* messages: the TRAPI messages the summary was built from
+ *
+ * The messages are merged into one, which assumes knowledge graph and auxiliary graph ids are unique
+ * across them as they are in ARS merged results.
+ */
+function subgraphToTrapi(messages, subgraph) {
+  const trapiMessage = {
+    query_graph: {},
+    knowledge_graph: { nodes: {}, edges: {} },
+    auxiliary_graphs: {},
+    results: []
+  };
+
+  messages.forEach(message => {
+    const kept = trapi.trapiMessageForSummaryEdges(message, subgraph.edges);
+    if (cmn.isObjectEmpty(trapiMessage.query_graph)) {
+      trapiMessage.query_graph = kept.query_graph;
+    }
+    Object.assign(trapiMessage.knowledge_graph.nodes, kept.knowledge_graph.nodes);
+    Object.assign(trapiMessage.knowledge_graph.edges, kept.knowledge_graph.edges);
+    Object.assign(trapiMessage.auxiliary_graphs, kept.auxiliary_graphs);
+    trapiMessage.results.push(...kept.results);
+  });
+
+  return { message: trapiMessage };
+}
+
+function nodeAttributes(summary, nid) {
+  const node = cmn.jsonGet(summary.nodes, nid, {});
+  return {
+    name: cmn.jsonGet(node, 'names', [nid])[0] || nid,
+    category: cmn.jsonGet(node, 'types', [null])[0] || null,
+    curies: cmn.jsonGet(node, 'curies', [])
+  };
+}
+
+function edgeAttributes(summary, eid) {
+  const edge = summary.edges[eid];
+  const publications = [];
+  Object.values(cmn.jsonGet(edge, 'publications', {})).forEach(levelPublications => {
+    levelPublications.forEach(publication => publications.push(publication.id));
+  });
+
+  return {
+    predicate: edge.predicate,
+    knowledge_level: cmn.jsonGet(edge, 'knowledge_level', null),
+    aras: cmn.jsonGet(edge, 'aras', []),
+    sources: cmn.jsonGet(edge, 'provenance', []).map(source => source.name),
+    publications: [...new Set(publications)]
+  };
+}
+
+// GraphML data values are strings, so lists are joined like in the table exports
+function graphMLData(attributes, keys) {
+  return keys
+    .filter(key => attributes[key] !== null && attributes[key] !== undefined)
+    .map(key => {
+      const value = cmn.isArray(attributes[key]) ? attributes[key].join('; ') : `${attributes[key]}`;
+      return `      <data key="${key}">${xmlEscape(value)}</data>`;
+    });
+}
+
+function xmlEscape(s) {
+  return `${s}`
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&apos;');
+}
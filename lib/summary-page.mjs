@@ -0,0 +1,113 @@
+'use strict';
+
+import * as cmn from './common.mjs';
+import * as trapi from './trapi.mjs';
+
+export { resultFacets, filterResults, summaryPage };
+
+/* Server side versions of the result filters of the FE, so it doesn't have to get every result to
+ * show some of them. Results are filtered on the tags in result.tags, e.g. 'r/cc/drug',
+ * 'r/ara/infores:aragorn' or 'p/pc/Gene', grouped by family, i.e. 'cc', 'ara' or 'pc'.
+ */
+
+// The number of results with every tag, by family: { <family>: { <tag>: <count> } }
+function resultFacets(results) {
+  const facets = {};
+  results.forEach(result => {
+    Object.keys(result.tags).forEach(tag => {
+      const familyCounts = cmn.jsonSetDefaultAndGet(facets, trapi.getTagFamily(tag), {});
+      familyCounts[tag] = cmn.jsonGet(familyCounts, tag, 0) + 1;
+    });
+  });
+
+  return facets;
+}
+
+/* Keeps the order of the results. Filtering on minScore needs the ranking attached to the results,
+ * see ranking.applyRanking.
+ *
+ * criteria: {
+ *   includeTags: tags to keep results with, at least one of every family in the list
+ *   excludeTags: tags to drop results with any of
+ *   text: text a name of the result has to contain, ignoring case, or null
+ *   minScore: the lowest ranking score to keep, or null
+ * }
+ */
+function filterResults(results, nodes, criteria) {
+  const includeFamilies = {};
+  criteria.includeTags.forEach(tag => {
+    cmn.jsonSetDefaultAndGet(includeFamilies, trapi.getTagFamily(tag), []).push(tag);
+  });
+
+  const text = criteria.text === null ? null : criteria.text.toLowerCase();
+  return results.filter(result => {
+    const hasTag = (tag) => cmn.jsonHasKey(result.tags, tag);
+    if (criteria.excludeTags.some(hasTag)) {
+      return false;
+    }
+
+    if (!Object.values(includeFamilies).every(familyTags => familyTags.some(hasTag))) {
+      return false;
+    }
+
+    if (criteria.minScore !== null && result.ranking.score < criteria.minScore) {
+      return false;
+    }
+
+    if (text !== null && !resultNames(result, nodes).some(name => name.toLowerCase().includes(text))) {
+      return false;
+    }
+
+    return true;
+  });
+}
+
+// The summary with only the given results, and the paths, nodes, edges and publications they refer to
+function summaryPage(summary, results) {
+  const paths = {};
+  const nodes = {};
+  const edges = {};
+  const publications = {};
+  const addNode = (nid) => {
+    if (summary.nodes[nid] !== undefined) {
+      nodes[nid] = summary.nodes[nid];
+    }
+  };
+
+  results.forEach(result => {
+    addNode(result.subject);
+    addNode(result.object);
+    trapi.getResultPathIds(result, summary.paths, summary.edges).forEach(pid => {
+      const path = summary.paths[pid];
+      paths[pid] = path;
+      path.subgraph.forEach((id, i) => {
+        if (i % 2 === 0) {
+          addNode(id);
+        } else {
+          edges[id] = summary.edges[id];
+        }
+      });
+    });
+  });
+
+  Object.values(edges).forEach(edge => {
+    Object.values(edge.publications).flat().forEach(publication => {
+      if (summary.publications[publication.id] !== undefined) {
+        publications[publication.id] = summary.publications[publication.id];
+      }
+    });
+  });
+
+  return Object.assign({}, summary, {
+    results: results,
+    paths: paths,
+    nodes: nodes,
+    edges: edges,
+    publications: publications
+  });
+}
+
+function resultNames(result, nodes) {
+  const names = cmn.jsonGetFromKpath(nodes, [result.subject, 'names'], []);
+  return [result.drug_name, ...names].filter(name => typeof name === 'string');
+}
@@ -5,11 +5,11 @@ import * as cmn from './common.mjs';
 import * as ev from './evidence.mjs';
 import * as bl from './biolink-model.mjs';
 import * as bta from './biothings-annotation.mjs';
+import * as qt from './query-templates.mjs';
+import * as qgv from './query-graph-validation.mjs';
+import * as expl from './explanation.mjs';
 import { logger } from './logger.mjs';
 
-const subjectKey = 'sn';
-const objectKey = 'on';
-
 export function makeMetadataObject(qid, agents) {
   if (qid === undefined || !cmn.isString(qid)) {
     throw new TypeError(`Expected argument qid to be of type string, got: ${qid}`);
@@ -26,152 +26,242 @@ export function makeMetadataObject(qid, agents) {
 }
 
 export function queryToCreativeQuery(query) {
-  function buildCreativeQgraph(subject, object, predicate, direction) {
-    function nodeToQgNode(node) {
-      const qgNode = {};
-      qgNode['categories'] = [bl.tagBiolink(node.category)];
-      if (node.id) {
-        qgNode['ids'] = [node.id];
-      }
+  if (!cmn.isObject(query)) {
+    throw new TypeError(`Expected query to be type object, got: ${query}`);
+  }
 
-      return qgNode;
+  // Power users can skip the templates and submit a query graph as is
+  if (cmn.jsonGet(query, 'mode', false) === 'advanced') {
+    const qg = cmn.jsonGet(query, 'query_graph', null);
+    const errors = qgv.validateQueryGraph(qg);
+    if (!cmn.isArrayEmpty(errors)) {
+      throw new qgv.QueryGraphValidationError(errors);
     }
 
-    const qgNodes = {};
-    qgNodes[subjectKey] = nodeToQgNode(subject);
-    qgNodes[objectKey] = nodeToQgNode(object);
-
-    const qgEdge = {
-      'subject': subjectKey,
-      'object': objectKey,
-      'predicates': [bl.tagBiolink(predicate)],
-      'knowledge_type': 'inferred',
+    return {
+      'message': {
+        'query_graph': qg
+      }
     };
+  }
 
-    if (direction) {
-      qgEdge['qualifier_constraints'] = [
-        {
-          'qualifier_set': [
-            {
-              'qualifier_type_id': 'biolink:qualified_predicate',
-              'qualifier_value': bl.tagBiolink('causes')
-            },
-            {
-              'qualifier_type_id': 'biolink:object_aspect_qualifier',
-              'qualifier_value': 'activity_or_abundance'
-            },
-            {
-              'qualifier_type_id': 'biolink:object_direction_qualifier',
-              'qualifier_value': direction
-            }
-          ]
-        }
-      ]
-    }
+  const queryType = cmn.jsonGet(query, 'type');
+  const template = qt.getQueryTemplate(queryType);
+  if (!template) {
+    throw new RangeError(`Expected query type to be one of [${qt.queryTemplateNames().join(', ')}], got: ${queryType}`);
+  }
 
-    return {
-      'nodes': qgNodes,
-      'edges': {'t_edge': qgEdge}
+  return {
+    'message': {
+      'query_graph': qt.queryToQgraph(template, query)
     }
-  }
+  };
+}
 
-  function diseaseToTrapiQgraph(disease) {
-    return buildCreativeQgraph(
-      {'category': 'ChemicalEntity'},
-      {'category': 'Disease', 'id': disease},
-      'treats',
-      null);
-  }
+// The CURIEs pinned in the query graph of a TRAPI query
+export function queryCuries(query) {
+  const nodes = cmn.jsonGetFromKpath(query, ['message', 'query_graph', 'nodes'], {});
+  const curies = new Set();
+  Object.values(nodes).forEach(node => {
+    cmn.jsonGet(node, 'ids', []).forEach(curie => curies.add(curie));
+  });
 
-  function geneToTrapiQgraph(gene, direction) {
-    return buildCreativeQgraph(
-      {'category': 'ChemicalEntity'},
-      {'category': 'Gene', 'id': gene},
-      'affects',
-      direction);
-  }
+  return [...curies];
+}
 
-  function chemicalToTrapiQgraph(chemical, direction) {
-    return buildCreativeQgraph(
-      {'category': 'ChemicalEntity', 'id': chemical},
-      {'category': 'Gene'},
-      'affects',
-      direction);
+/* Identifies a TRAPI query by its query graph. The order of keys never matters to hash-sum, and
+ * the order of the ids, categories and predicates lists does not matter to the ARAs, so those are
+ * sorted first.
+ */
+export function queryFingerprint(query) {
+  const qg = cmn.jsonGetFromKpath(query, ['message', 'query_graph'], {});
+  const sortedLists = (obj, keys) => {
+    const retval = Object.assign({}, obj);
+    keys.filter(key => cmn.isArray(retval[key])).forEach(key => {
+      retval[key] = [...retval[key]].sort();
+    });
+    return retval;
+  };
+
+  const nodes = {};
+  Object.entries(cmn.jsonGet(qg, 'nodes', {})).forEach(([key, node]) => {
+    nodes[key] = sortedLists(node, ['ids', 'categories']);
+  });
+  const edges = {};
+  Object.entries(cmn.jsonGet(qg, 'edges', {})).forEach(([key, edge]) => {
+    edges[key] = sortedLists(edge, ['predicates']);
+  });
+
+  return hash({ nodes: nodes, edges: edges });
+}
+
+export function creativeAnswersToSummary (qid, answers, maxHops, maxPaths = Infinity) {
+  const bundles = answers.map(answer => creativeAnswerToFragmentBundle(answer, maxHops, {}, maxPaths));
+  return fragmentBundlesToSummary(qid, bundles);
+}
+
+/* A fragment bundle holds everything taken from a single ARA answer that is needed to merge that
+ * answer into a summary. Bundles can be kept around and merged again with bundles for answers that
+ * complete later, so an answer never has to be summarized twice.
+ *
+ * annotationErrors: the errors from annotating the answer, see annotateAnswerNodes
+ * maxPaths: the most paths to keep for any one result
+ */
+export function creativeAnswerToFragmentBundle(answer, maxHops, annotationErrors = {}, maxPaths = Infinity) {
+  const [nodeRules, edgeRules] = makeCreativeSummaryRules();
+  const [sfs, errors] = creativeAnswersToSummaryFragments([answer], nodeRules, edgeRules, maxHops, maxPaths);
+  mergeFragmentObjects(errors, annotationErrors);
+  return {
+    agent: answer.agent,
+    fragments: sfs,
+    kgraph: answerToKGraph(answer),
+    queryType: answerToQueryType(answer),
+    errors: errors
+  };
+}
+
+/* The knowledge graph and query type of the first bundle are used for the entire summary. Bundles
+ * are never changed, so the same bundles can be merged again, even while another merge is going on.
+ *
+ * dropped: optional { edges, paths } to record why summary edges and paths were left out, by id
+ */
+export async function fragmentBundlesToSummary(qid, bundles, dropped = null) {
+  const errors = {};
+  bundles.forEach(bundle => mergeFragmentObjects(errors, bundle.errors));
+  const firstBundle = bundles[0];
+  const summary = await summaryFragmentsToSummary(
+    qid,
+    bundles.map(bundle => bundle.fragments).flat(),
+    firstBundle ? firstBundle.kgraph : {},
+    firstBundle ? firstBundle.queryType : false,
+    agentToName,
+    errors,
+    dropped);
+
+  return summary;
+}
+
+/* Accounts for what the summary leaves out of the answers, to help find out why the results of an
+ * agent are missing. For every agent:
+ *   results, analyses: the number of TRAPI results and analyses in its answer
+ *   failed_analyses: the number of analyses no rgraph could be built for, by reason
+ *   missing_aux_graphs: the aux graphs referred to that are not in the answer
+ *   rgraph_edges: the number of knowledge graph edges in the rgraphs
+ *   dropped_kgraph_edges: the number of knowledge graph edges left out of the rgraphs, by reason
+ *   dropped_summary_edges: the number of summary edges built from the rgraphs but left out of the
+ *     summary, by reason. A summary edge can stand for several knowledge graph edges, so the two
+ *     counts don't add up.
+ *   truncated_results: the number of results with more paths than were kept, see findRgraphPaths
+ *   paths, final_paths: the number of paths found in the rgraphs, and of those kept in the summary
+ *   dropped_paths: the number of paths found that were left out, by reason
+ *
+ * bundles: the fragment bundles of the answers, see creativeAnswerToFragmentBundle
+ */
+export async function creativeAnswersToDiagnostics(qid, answers, bundles) {
+  function addCount(counts, reason, n = 1) {
+    counts[reason] = (counts[reason] || 0) + n;
+  }
+
+  const diagnostics = {};
+  function agentDiagnostics(agent) {
+    return cmn.jsonSetDefaultAndGet(diagnostics, agent, {
+      results: 0,
+      analyses: 0,
+      failed_analyses: {},
+      missing_aux_graphs: [],
+      rgraph_edges: 0,
+      dropped_kgraph_edges: {},
+      dropped_summary_edges: {},
+      truncated_results: 0,
+      paths: 0,
+      final_paths: 0,
+      dropped_paths: {}
+    });
   }
 
-  function genPathfinderQgraph(subject, object, constraint) {
-    function makeQNode(curie, category) {
-      const node = {};
-      if (curie) {
-        node['ids'] = [curie];
-      }
-      if (category) {
-        node['categories'] = [category];
-      }
-      return node;
+  answers.forEach(answer => {
+    const ad = agentDiagnostics(answer.agent);
+    const trapiMessage = answer.message;
+    if (!cmn.isObject(trapiMessage)) {
+      return;
     }
 
-    function makeQEdge(subjectId, objectId) {
-      const edge = {};
-      edge['subject'] = subjectId;
-      edge['object'] = objectId;
-      edge['predicates'] = [bl.tagBiolink('related_to')];
-      edge['knowledge_type'] = 'inferred';
-      return edge;
-    }
+    const trapiResults = cmn.jsonGet(trapiMessage, 'results', false) || [];
+    const kgraph = cmn.jsonGet(trapiMessage, 'knowledge_graph', {nodes: {}, edges: {}});
+    const auxGraphs = cmn.jsonGet(trapiMessage, 'auxiliary_graphs', {});
+    const rgraphEdges = new Set();
+    const nonBiolinkEdges = new Set();
+    const missingAuxGraphs = new Set();
+    ad.results += trapiResults.length;
+    trapiResults.forEach(trapiResult => {
+      const analyses = cmn.jsonGet(trapiResult, 'analyses', null) || [];
+      ad.analyses += analyses.length;
+      analyses.forEach(analysis => {
+        try {
+          const rgraph = analysisToRgraph(analysis, kgraph, auxGraphs, nonBiolinkEdges);
+          if (!rgraph) {
+            addCount(ad.failed_analyses, 'missing_kgraph_node');
+            return;
+          }
 
-    const interKey = 'un';
-    const nodes = {};
-    nodes[subjectKey] = makeQNode(subject.id, subject.category);
-    nodes[objectKey] = makeQNode(object.id, object.category);
-    if (!constraint) {
-      constraint = bl.tagBiolink('NamedThing');
+          rgraph.edges.forEach(redge => rgraphEdges.add(redge));
+        } catch (err) {
+          if (err instanceof AuxGraphNotFoundError) {
+            missingAuxGraphs.add(err.auxGraph);
+            addCount(ad.failed_analyses, 'missing_aux_graph');
+          } else if (err instanceof EdgeBindingNotFoundError) {
+            addCount(ad.failed_analyses, 'missing_kgraph_edge');
+          } else {
+            addCount(ad.failed_analyses, 'other');
+          }
+        }
+      });
+    });
+
+    ad.rgraph_edges += rgraphEdges.size;
+    ad.missing_aux_graphs.push(...missingAuxGraphs);
+    if (nonBiolinkEdges.size > 0) {
+      addCount(ad.dropped_kgraph_edges, 'non_biolink_predicate', nonBiolinkEdges.size);
     }
-    nodes[interKey] = makeQNode(false, constraint);
-    const edges = {};
-    edges['e0'] = makeQEdge(subjectKey, interKey);
-    edges['e1'] = makeQEdge(interKey, objectKey);
-    edges['e2'] = makeQEdge(subjectKey, objectKey);
-    return {
-      'nodes': nodes,
-      'edges': edges
-    };
-  }
+  });
 
-  if (!cmn.isObject(query)) {
-    throw new TypeError(`Expected query to be type object, got: ${query}`);
-  }
+  // Everything else is left out while building the summary
+  const dropped = { edges: {}, paths: {} };
+  const summary = await fragmentBundlesToSummary(qid, bundles, dropped);
+  bundles.forEach(bundle => {
+    const ad = agentDiagnostics(bundle.agent);
+    const pids = new Set();
+    const edgeKeys = new Set();
+    const truncatedStarts = new Set();
+    bundle.fragments.forEach(fragment => {
+      condensedSummaryPaths(fragment).forEach(path => pids.add(pathToKey(path)));
+      const fragmentEdges = condensedSummaryEdges(fragment);
+      Object.keys(fragmentEdges.base).forEach(ek => edgeKeys.add(ek));
+      fragmentEdges.updates.forEach(update => edgeKeys.add(update.key));
+      Object.keys(condensedSummaryTruncated(fragment)).forEach(start => truncatedStarts.add(start));
+    });
 
-  let qg = null;
-  const queryType = cmn.jsonGet(query, 'type');
-  switch (queryType) {
-    case 'drug':
-      qg = diseaseToTrapiQgraph(cmn.jsonGet(query, 'curie'));
-      break;
-    case 'gene':
-      qg = chemicalToTrapiQgraph(cmn.jsonGet(query, 'curie'), cmn.jsonGet(query, 'direction'));
-      break;
-    case 'chemical':
-      qg = geneToTrapiQgraph(cmn.jsonGet(query, 'curie'), cmn.jsonGet(query, 'direction'));
-      break;
-    case 'pathfinder':
-      const subject = cmn.jsonGet(query, 'subject');
-      const object = cmn.jsonGet(query, 'object');
-      const constraint = cmn.jsonGet(query, 'constraint', false);
-      qg = genPathfinderQgraph(subject, object, constraint);
-      break;
-    default:
-      throw new RangeError(`Expected query type to be one of [drug, gene, chemical], got: ${queryType}`);
-  }
+    edgeKeys.forEach(ek => {
+      if (summary.edges[ek] === undefined) {
+        addCount(ad.dropped_summary_edges, dropped.edges[ek] || 'unknown');
+      }
+    });
 
-  return {
-    'message': {
-      'query_graph': qg
-    }
-  };
+    ad.truncated_results += truncatedStarts.size;
+    ad.paths += pids.size;
+    pids.forEach(pid => {
+      if (summary.paths[pid] !== undefined) {
+        ad.final_paths += 1;
+      } else {
+        addCount(ad.dropped_paths, dropped.paths[pid] || 'unknown');
+      }
+    });
+  });
+
+  return diagnostics;
 }
 
-export function creativeAnswersToSummary (qid, answers, maxHops) {
+function makeCreativeSummaryRules() {
   const nodeRules = makeSummarizeRules(
     [
       aggregateProperty('name', ['names']),
@@ -191,20 +281,11 @@ export function creativeAnswersToSummary (qid, answers, maxHops) {
       getSupportingText()
     ]);
 
-  const queryType = answerToQueryType(answers[0]);
-  function agentToName(agent) {
-    return bl.inforesToProvenance(agent).name;
-  }
-
-  const [sfs, errors] = creativeAnswersToSummaryFragments(answers, nodeRules, edgeRules, maxHops);
+  return [nodeRules, edgeRules];
+}
 
-  return summaryFragmentsToSummary(
-    qid,
-    sfs,
-    answerToKGraph(answers[0]),
-    queryType,
-    agentToName,
-    errors);
+function agentToName(agent) {
+  return bl.inforesToProvenance(agent).name;
 }
 
 // Create a minimal TRAPI message for the annotator
@@ -228,31 +309,81 @@ function createKGFromNodeIds(nodeIds) {
   return retval;
 }
 
-const QUERY_TYPE = {
-  CHEMICAL_GENE: 0,
-  CHEMICAL_DISEASE: 1,
-  GENE_CHEMICAL: 2,
-  PATHFINDER: 3
+/* Annotate the nodes in the knowledge graph of an answer that the ARA did not annotate itself. The
+ * annotations are added to the nodes in place, the same way ARAs attach them, so the summarizer
+ * does not need to know where they came from. Nodes are sent to the annotator in batches of the
+ * client's batch size, no more than the client's max concurrency of them at once, so a large
+ * knowledge graph does not flood the annotator and trip its circuit breaker.
+ *
+ * Returns any errors in the same form as the errors of a fragment bundle.
+ */
+export async function annotateAnswerNodes(answer, annotationClient) {
+  const batchSize = annotationClient.batchSize;
+  const knodes = cmn.jsonGet(answerToKGraph(answer), 'nodes', {});
+  const unannotated = Object.keys(knodes).filter(nid => !hasBiothingsAnnotations(knodes[nid]));
+  const batches = [];
+  for (let i = 0; i < unannotated.length; i += batchSize) {
+    batches.push(unannotated.slice(i, i + batchSize));
+  }
+
+  const responses = await cmn.allSettledWithLimit(batches.map(batch => {
+    return () => annotationClient.annotateGraph(createKGFromNodeIds(batch));
+  }), annotationClient.maxConcurrency);
+
+  const errors = [];
+  responses.forEach((response, i) => {
+    if (response.status === 'rejected') {
+      errors.push(`Failed to annotate ${batches[i].length} nodes: ${response.reason}`);
+      return;
+    }
+
+    const annotatedNodes = annotationResponseToNodes(response.value);
+    Object.keys(annotatedNodes).forEach(nid => {
+      const knode = knodes[nid];
+      const annotations = (cmn.jsonGet(annotatedNodes[nid], 'attributes', null) || [])
+        .filter(attr => attrId(attr) === 'biothings_annotations');
+      if (knode === undefined || cmn.isArrayEmpty(annotations)) {
+        return;
+      }
+
+      knode.attributes = (cmn.jsonGet(knode, 'attributes', null) || []).concat(annotations);
+    });
+  });
+
+  return cmn.isArrayEmpty(errors) ? {} : { 'biothings-annotator': errors };
+}
+
+function hasBiothingsAnnotations(knode) {
+  const attributes = cmn.jsonGet(knode, 'attributes', null);
+  return !areNoAttributes(attributes) && attributes.some(attr => attrId(attr) === 'biothings_annotations');
 }
 
-function isChemicalGeneQuery(queryType) {
-  return queryType === QUERY_TYPE.CHEMICAL_GENE;
+// The annotator answers with the annotated message, but accept just its nodes as well
+function annotationResponseToNodes(response) {
+  const nodes = cmn.jsonGetFromKpath(response, ['message', 'knowledge_graph', 'nodes'], false);
+  if (nodes) {
+    return nodes;
+  }
+
+  return cmn.isObject(response) ? response : {};
 }
 
-function isChemicalDiseaseQuery(queryType) {
-  return queryType === QUERY_TYPE.CHEMICAL_DISEASE;
+// The query type is the query template the answer was built from, or false if there is none
+function hasMetaPathResults(queryType) {
+  return !!queryType && queryType.result_key === 'metapath';
 }
 
-function isGeneChemicalQuery(queryType) {
-  return queryType === QUERY_TYPE.GENE_CHEMICAL;
+function hasAnswerTags(queryType) {
+  return !!queryType && queryType.answer_tags;
 }
 
-function isPathfinderQuery(queryType) {
-  return queryType === QUERY_TYPE.PATHFINDER;
+// Without a query graph there is no telling what the results are, so keep tagging them with roles
+function hasChebiRoles(queryType) {
+  return !queryType || queryType.chebi_roles;
 }
 
-function isValidQuery(queryType) {
-  return Object.values(QUERY_TYPE).includes(queryType);
+function hasIndications(queryType) {
+  return !!queryType && queryType.indications;
 }
 
 function answerToKGraph(answer) {
@@ -268,37 +399,20 @@ function answerToQueryType(answer) {
     return false;
   }
 
-  const [subjectKey, objectKey] = getPathDirection(qg);
-  if (isPathfinderQGraph(qg)) {
-    return QUERY_TYPE.PATHFINDER;
-  }
-
-  const subCategory = cmn.jsonGetFromKpath(qg, ['nodes', subjectKey, 'categories'], false)[0];
-  const objCategory = cmn.jsonGetFromKpath(qg, ['nodes', objectKey, 'categories'], false)[0];
-  if (subCategory === bl.tagBiolink('ChemicalEntity') &&
-      objCategory === bl.tagBiolink('Gene')) {
-    return QUERY_TYPE.CHEMICAL_GENE;
-  }
-  else if (subCategory === bl.tagBiolink('ChemicalEntity') &&
-           objCategory === bl.tagBiolink('Disease')) {
-    return QUERY_TYPE.CHEMICAL_DISEASE;
-  }
-  else if (subCategory === bl.tagBiolink('Gene') &&
-           objCategory === bl.tagBiolink('ChemicalEntity')) {
-    return QUERY_TYPE.GENE_CHEMICAL;
-  }
-
-  return false;
+  return qgraphToQueryType(qg);
 }
 
+/* The mapping is applied long after it is made, when fragments are merged into a summary, so it
+ * reports into the errors of that merge when given them rather than into those of the context.
+ */
 function makeMapping(key, transform, update, fallback) {
   return (obj, context) => {
-    return (acc) => {
+    return (acc, errors = context.errors) => {
       try {
         const v = transform(obj, key, context);
         return update(v, acc);
       } catch (e) {
-        const agentErrors = cmn.jsonSetDefaultAndGet(context.errors, context.agent, []);
+        const agentErrors = cmn.jsonSetDefaultAndGet(errors, context.agent, []);
         agentErrors.push(e.message);
         return update(fallback, acc);
       }
@@ -840,6 +954,17 @@ function edgeToQualifiedPredicate(kedge, invert = false) {
                                     objectQualifierStr);
 }
 
+// The phrase explaining the edge in a path, see explanation.mjs
+function edgeToExplanationPhrase(kedge, invert = false) {
+  let predicate = bl.sanitizeBiolinkItem(kedgePredicate(kedge));
+  let qualifiers = kedgeToQualifiers(kedge);
+  if (!qualifiers && bl.isDeprecatedPredicate(predicate)) {
+    [predicate, qualifiers] = bl.deprecatedPredicateToPredicateAndQualifiers(predicate);
+  }
+
+  return expl.predicateToPhrase(predicate, qualifiers, invert);
+}
+
 function makeTag(tag, name, description = '') {
   return {
     'tag': tag,
@@ -854,7 +979,7 @@ function makeTagDescription(name, description = '') {
   };
 }
 
-function getTagFamily(tag) {
+export function getTagFamily(tag) {
   return tag.split('/')[1];
 }
 
@@ -881,7 +1006,7 @@ function determineAnswerTag(type, answerTags, queryType) {
     return fdaLevel > 0 && fdaLevel < 4;
   }
 
-  if (!isValidQuery(queryType) || isGeneChemicalQuery(queryType)) {
+  if (!hasAnswerTags(queryType)) {
     return [false, false];
   }
 
@@ -900,7 +1025,8 @@ function determineAnswerTag(type, answerTags, queryType) {
   return [`r/cc/other`, `Other`];
 }
 
-function makeRgraph(rnodes, redges, edgeMappings, kgraph) {
+// droppedEdges: optional Set to add the edges left out of the rgraph to
+function makeRgraph(rnodes, redges, edgeMappings, kgraph, droppedEdges = null) {
   if (!redges) {
     return false;
   }
@@ -916,7 +1042,12 @@ function makeRgraph(rnodes, redges, edgeMappings, kgraph) {
   rgraph.nodes = rnodes;
   rgraph.edges = redges.filter(redge => {
     const kedge = redgeToTrapiKedge(redge, kgraph);
-    return bl.isBiolinkPredicate(kedgePredicate(kedge));
+    const isBiolink = bl.isBiolinkPredicate(kedgePredicate(kedge));
+    if (!isBiolink && droppedEdges !== null) {
+      droppedEdges.add(redge);
+    }
+
+    return isBiolink;
   });
   rgraph.edgeMappings = edgeMappings;
 
@@ -928,7 +1059,7 @@ function isRedgeInverted(redge, subject, kgraph) {
   return subject === kedgeObject(kedge);
 }
 
-function analysisToRgraph(analysis, kgraph, auxGraphs) {
+function analysisToRgraph(analysis, kgraph, auxGraphs, droppedEdges = null) {
   const edgeBindingData = new Map();
   let unprocessedEdgeBindings = flattenBindings(cmn.jsonGet(analysis, 'edge_bindings', [])).map((eb) => {
     edgeBindingData[eb] = { partOf: ['root'] };
@@ -1002,7 +1133,7 @@ function analysisToRgraph(analysis, kgraph, auxGraphs) {
     }
   }
 
-  return makeRgraph([...nodeBindings], [...Object.keys(edgeBindingData)], edgeBindingData, kgraph);
+  return makeRgraph([...nodeBindings], [...Object.keys(edgeBindingData)], edgeBindingData, kgraph, droppedEdges);
 }
 
 function rnodeToKey(rnode, kgraph) {
@@ -1084,19 +1215,85 @@ function makeRnodeToOutEdges(rgraph, kgraph) {
   return (rnode) => { return cmn.jsonGet(rnodeToOutEdges, rnode, []); };
 }
 
-function rgraphFold(proc, init, acc) {
-  let objLeft = init;
-  let res = acc;
-  while (!cmn.isArrayEmpty(objLeft)) {
-    const paths = proc(objLeft.pop());
-    objLeft.push(...paths.first);
-    res.push(...paths.second);
+/* The hop distance from every rnode to the nearest of ends, for the rnodes that are at most maxHops
+ * away from one.
+ */
+function rgraphHopDistances(rnodeToOutEdges, ends, maxHops) {
+  const distances = new Map();
+  let frontier = [...new Set(ends)];
+  frontier.forEach(rnode => distances.set(rnode, 0));
+  for (let hops = 1; hops <= maxHops && !cmn.isArrayEmpty(frontier); hops++) {
+    const next = [];
+    frontier.forEach((rnode) => {
+      rnodeToOutEdges(rnode).forEach((edge) => {
+        if (!distances.has(edge.target)) {
+          distances.set(edge.target, hops);
+          next.push(edge.target);
+        }
+      });
+    });
+
+    frontier = next;
+  }
+
+  return distances;
+}
+
+/* Every path of at most maxHops edges from start to one of ends that does not visit an rnode twice,
+ * in the order of a depth first search. A path is only extended to rnodes that can still reach an
+ * end in the hops left, so the search does not wander off into the parts of the graph that lead
+ * nowhere, which is where an exhaustive search of a large support graph spends most of its time.
+ *
+ * The paths onward from an rnode depend on the rnodes already on the path, so they are not memoized:
+ * the distances are what is worked out once and shared by every path.
+ *
+ * Stops after maxPaths paths. Returns [paths, truncated], where truncated tells whether there were
+ * more paths than that.
+ */
+export function findRgraphPaths(rnodeToOutEdges, start, ends, maxHops, maxPaths) {
+  const distances = rgraphHopDistances(rnodeToOutEdges, ends, maxHops);
+  const isEnd = new Set(ends);
+  const path = [start];
+  const onPath = new Set([start]);
+  const paths = [];
+  let truncated = false;
+
+  function extend(rnode, hops) {
+    if (isEnd.has(rnode)) {
+      if (paths.length >= maxPaths) {
+        truncated = true;
+        return;
+      }
+
+      paths.push([...path]);
+    }
+
+    // Visit the out edges last to first, which is the order the paths were found in when the
+    // search kept a stack of paths
+    const outEdges = rnodeToOutEdges(rnode);
+    for (let i = outEdges.length - 1; i >= 0 && !truncated; i--) {
+      const target = outEdges[i].target;
+      if (onPath.has(target) || !distances.has(target) || hops + 1 + distances.get(target) > maxHops) {
+        continue;
+      }
+
+      path.push(outEdges[i].redge, target);
+      onPath.add(target);
+      extend(target, hops + 1);
+      onPath.delete(target);
+      path.length -= 2;
+    }
+  }
+
+  if (distances.has(start)) {
+    extend(start, 0);
   }
 
-  return res;
+  return [paths, truncated];
 }
 
-function makeSummaryFragment(agents, paths, nodes, edges, scores, errors) {
+// truncated: the agents, by result start node, that found more paths for the result than were kept
+function makeSummaryFragment(agents, paths, nodes, edges, scores, errors, truncated = {}) {
   const summaryFragment = {};
   summaryFragment.agents = agents;
   summaryFragment.paths = paths;
@@ -1104,6 +1301,7 @@ function makeSummaryFragment(agents, paths, nodes, edges, scores, errors) {
   summaryFragment.edges = edges;
   summaryFragment.scores = scores;
   summaryFragment.errors = errors;
+  summaryFragment.truncated = truncated;
   return summaryFragment;
 }
 
@@ -1114,7 +1312,8 @@ function emptySummaryFragment() {
     [], // nodes
     {base: {}, updates: []}, //edges
     {}, // scores
-    {}  // errors
+    {}, // errors
+    {}  // truncated
   );
 }
 
@@ -1156,6 +1355,10 @@ function condensedSummaryErrors(condensedSummary) {
   return condensedSummary.errors;
 }
 
+function condensedSummaryTruncated(condensedSummary) {
+  return condensedSummary.truncated;
+}
+
 function makeEdgeBase() {
   return {
     aras: [],
@@ -1200,6 +1403,15 @@ function reasonsForEdgeErrors(edge) {
   return reasons;
 }
 
+// The reason reasonsForEdgeErrors found for leaving the edge out, in short
+function edgeErrorDropReason(edge) {
+  if (!edge.subject || !edge.object || !edge.predicate) {
+    return 'invalid_edge';
+  }
+
+  return 'missing_provenance';
+}
+
 function pathToKey(path) {
   return hash(path);
 }
@@ -1222,37 +1434,33 @@ function mergeSummaryFragments(f1, f2) {
   });
   mergeFragmentObjects(f1.scores, f2.scores);
   mergeFragmentObjects(f1.errors, f2.errors);
+  mergeFragmentObjects(f1.truncated, f2.truncated);
   return f1;
 }
 
-function isPathfinderQGraph(qg) {
-  const nodeBindings = cmn.jsonGet(qg, 'nodes', false);
-  const edgeBindings = cmn.jsonGet(qg, 'edges', false);
-  return !!nodeBindings &&
-         !!edgeBindings &&
-         Object.keys(nodeBindings).length === 3 &&
-         Object.keys(edgeBindings).length === 3;
+function qgraphToQueryType(qgraph) {
+  return qt.qgraphToQueryTemplate(qgraph) || qt.genericQueryTemplate(qgraph);
 }
 
-function getPathDirection(qgraph) {
-  if (isPathfinderQGraph(qgraph)) {
-    return [subjectKey, objectKey];
-  }
-
-  const startIsObject = cmn.jsonGetFromKpath(qgraph, ['nodes', subjectKey, 'ids'], false);
-  if (startIsObject) {
-    return [objectKey, subjectKey];
-  }
-
-  return [subjectKey, objectKey];
-}
-
-function creativeAnswersToSummaryFragments(answers, nodeRules, edgeRules, maxHops) {
-  function trapiResultToSummaryFragment(trapiResult, kgraph, auxGraphs, startKey, endKey, errors) {
-    function analysisToSummaryFragment(analysis, kgraph, auxGraphs, start, ends) {
+/* maxHops, maxPaths: the longest path to look for and the most paths to keep for a result, unless
+ * the query template of an answer sets its own
+ */
+function creativeAnswersToSummaryFragments(answers, nodeRules, edgeRules, maxHops, maxPaths) {
+  function trapiResultToSummaryFragment(trapiResult, kgraph, auxGraphs, startKey, endKey, limits, errors) {
+    function analysisToSummaryFragment(analysis, kgraph, auxGraphs, start, ends, limits) {
       function finalizePaths(rgraphPaths, edgeMappings, kgraph) {
         function N(n) { return rnodeToKey(n, kgraph); }
-        function E(e, o) { return redgeToKey(e, kgraph, isRedgeInverted(e, o, kgraph)); }
+        // Edges are shared by many paths and their keys are costly to build, so build each one once
+        const edgeKeys = new Map();
+        function E(e, o) {
+          const inverted = isRedgeInverted(e, o, kgraph);
+          const cacheKey = `${inverted}:${e}`;
+          if (!edgeKeys.has(cacheKey)) {
+            edgeKeys.set(cacheKey, redgeToKey(e, kgraph, inverted));
+          }
+
+          return edgeKeys.get(cacheKey);
+        }
         const normalizedMappings = {};
         const normalizedPaths = rgraphPaths.map(path => {
           let normalizedPath = [];
@@ -1290,19 +1498,25 @@ function creativeAnswersToSummaryFragments(answers, nodeRules, edgeRules, maxHop
           pathToSupportGraph[pathToKey(path)] = gids;
         }
 
+        // Index the paths by the graphs they appear in, keeping the order of the paths
+        const pathKeys = Object.keys(pathToSupportGraph);
+        const gidToPathIndexes = new Map();
+        pathKeys.forEach((path, i) => {
+          pathToSupportGraph[path].forEach((gid) => {
+            const indexes = gidToPathIndexes.get(gid) || [];
+            indexes.push(i);
+            gidToPathIndexes.set(gid, indexes);
+          });
+        });
+
         const edgeBases = {}
         // Determine which paths support which edges
         for (const edge of Object.keys(normalizedMappings)) {
-          const edgeSupportGraphs = normalizedMappings[edge].support;
-          const edgePaths = [];
-          for (const path of Object.keys(pathToSupportGraph)) {
-            for (const pgid of pathToSupportGraph[path]) {
-              if (edgeSupportGraphs.includes(pgid)) {
-                edgePaths.push(path);
-                break;
-              }
-            }
-          }
+          const pathIndexes = new Set();
+          normalizedMappings[edge].support.forEach((gid) => {
+            (gidToPathIndexes.get(gid) || []).forEach(i => pathIndexes.add(i));
+          });
+          const edgePaths = [...pathIndexes].sort((i1, i2) => i1 - i2).map(i => pathKeys[i]);
 
           if (edgeBases[edge] === undefined) {
             edgeBases[edge] = makeEdgeBase();
@@ -1323,34 +1537,10 @@ function creativeAnswersToSummaryFragments(answers, nodeRules, edgeRules, maxHop
       try {
         const rgraph = analysisToRgraph(analysis, kgraph, auxGraphs);
         const rnodeToOutEdges = makeRnodeToOutEdges(rgraph, kgraph);
-        const maxPathLength = (2 * maxHops) + 1;
-        // This is an exhaustive search based on the max path length. We may have to come up
-        // with a better algorithm if the max path length increases significantly.
-        const rgraphPaths = rgraphFold((path) => {
-          const currentRnode = path[path.length-1];
-          if (maxPathLength < path.length) {
-            return cmn.makePair([], []);
-          }
-
-          let validPaths = [];
-          rnodeToOutEdges(currentRnode).forEach((edge) => {
-            const target = edge.target
-            // Do not allow cycles
-            if (!path.includes(target)) {
-              let newPath = [...path, edge.redge, edge.target];
-              validPaths.push(newPath);
-            }
-          });
-
-          const finalPaths = [];
-          if (ends.includes(currentRnode)) {
-            finalPaths.push(path);
-          }
-
-          return cmn.makePair(validPaths, finalPaths);
-        },
-        [[start]],
-        []);
+        const [rgraphPaths, truncated] = findRgraphPaths(rnodeToOutEdges, start, ends, limits.maxHops, limits.maxPaths);
+        if (truncated) {
+          logger.warn(`${agent}: kept only the first ${limits.maxPaths} paths for the result starting at ${start}`);
+        }
 
         const [normalizedPaths, edgeBases] = finalizePaths(rgraphPaths, rgraph.edgeMappings, kgraph);
         const analysisContext = {
@@ -1373,7 +1563,8 @@ function creativeAnswersToSummaryFragments(answers, nodeRules, edgeRules, maxHop
             })
           },
           {},
-          {});
+          {},
+          truncated ? {[rnodeToKey(start, kgraph)]: [agent]} : {});
       } catch (err) {
         logger.error(err);
         if (err instanceof EdgeBindingNotFoundError) {
@@ -1393,7 +1584,7 @@ function creativeAnswersToSummaryFragments(answers, nodeRules, edgeRules, maxHop
         (rsf, analysis) => {
           return mergeSummaryFragments(
             rsf,
-            analysisToSummaryFragment(analysis, kgraph, auxGraphs, start, ends));
+            analysisToSummaryFragment(analysis, kgraph, auxGraphs, start, ends, limits));
         },
         emptySummaryFragment());
 
@@ -1427,10 +1618,15 @@ function creativeAnswersToSummaryFragments(answers, nodeRules, edgeRules, maxHop
 
     const kgraph = cmn.jsonGet(trapiMessage, 'knowledge_graph');
     const auxGraphs = cmn.jsonGet(trapiMessage, 'auxiliary_graphs', {});
-    const [startKey, endKey] = getPathDirection(cmn.jsonGet(trapiMessage, 'query_graph'));
+    const queryTemplate = qgraphToQueryType(cmn.jsonGet(trapiMessage, 'query_graph'));
+    const [startKey, endKey] = queryTemplate.path;
+    const limits = {
+      maxHops: queryTemplate.max_hops || maxHops,
+      maxPaths: queryTemplate.max_paths || maxPaths
+    };
 
     trapiResults.forEach((result) => {
-      const sf = trapiResultToSummaryFragment(result, kgraph, auxGraphs, startKey, endKey, errors);
+      const sf = trapiResultToSummaryFragment(result, kgraph, auxGraphs, startKey, endKey, limits, errors);
       if (!isEmptySummaryFragment(sf)) {
         summaryFragments.push(sf);
       }
@@ -1513,10 +1709,15 @@ function generateSupportChain(pids, paths, edges) {
   return seenPids;
 }
 
-function cleanup(results, paths, edges, nodes) {
-  function clean(section, seenIds) {
+// dropped: see fragmentBundlesToSummary
+function cleanup(results, paths, edges, nodes, dropped = null) {
+  function clean(section, seenIds, droppedIds = null) {
     for (let id of Object.keys(section)) {
       if (!seenIds.has(id)) {
+        if (droppedIds !== null && droppedIds[id] === undefined) {
+          droppedIds[id] = 'unreferenced';
+        }
+
         delete section[id];
       }
     }
@@ -1546,12 +1747,50 @@ function cleanup(results, paths, edges, nodes) {
     res.paths = resPaths;
   }
 
-  clean(paths, seenPaths);
-  clean(edges, seenEdges);
+  clean(paths, seenPaths, dropped !== null ? dropped.paths : null);
+  clean(edges, seenEdges, dropped !== null ? dropped.edges : null);
   clean(nodes, seenNodes);
 }
 
-function genMetaPath(path, nodes) {
+/* The paths of a summary result, including the paths supporting inferred edges however deep, in
+ * the order they are first seen.
+ */
+export function getResultPathIds(result, paths, edges) {
+  const seenPids = new Set();
+  const seenEdgeIds = new Set();
+  const pids = [...result.paths];
+  while (pids.length > 0) {
+    const pid = pids.shift();
+    if (seenPids.has(pid) || paths[pid] === undefined) continue;
+    seenPids.add(pid);
+    const subgraph = getPathFromPid(paths, pid);
+    for (let i = 1; i < subgraph.length; i += 2) {
+      const eid = subgraph[i];
+      if (seenEdgeIds.has(eid)) continue;
+      seenEdgeIds.add(eid);
+      pids.push(...edges[eid].support);
+    }
+  }
+
+  return [...seenPids];
+}
+
+/* The edges of every path in a summary result, including the paths supporting inferred edges
+ * however deep, in the order they are first seen.
+ */
+export function getResultEdgeIds(result, paths, edges) {
+  const edgeIds = new Set();
+  getResultPathIds(result, paths, edges).forEach(pid => {
+    const subgraph = getPathFromPid(paths, pid);
+    for (let i = 1; i < subgraph.length; i += 2) {
+      edgeIds.add(subgraph[i]);
+    }
+  });
+
+  return [...edgeIds];
+}
+
+export function genMetaPath(path, nodes) {
   const metaPath = []
   for (let i = 0; i < path.length; i+=2) {
     const node = nodes[path[i]];
@@ -1561,7 +1800,80 @@ function genMetaPath(path, nodes) {
   return metaPath;
 }
 
-async function summaryFragmentsToSummary(qid, condensedSummaries, kgraph, queryType, agentToName, errors) {
+/* Cut a TRAPI message down to the knowledge graph edges behind a set of summary edges, along with
+ * the auxiliary graphs supporting them, so that part of a summary can be handed to other TRAPI tools.
+ * Auxiliary graphs are kept whole, which pulls in their edges as well. Results are only kept with
+ * the analyses whose edge bindings are all kept.
+ */
+export function trapiMessageForSummaryEdges(message, edgeIds) {
+  const kgraph = cmn.jsonGet(message, 'knowledge_graph', {}) || {};
+  const kedges = cmn.jsonGet(kgraph, 'edges', {}) || {};
+  const knodes = cmn.jsonGet(kgraph, 'nodes', {}) || {};
+  const auxGraphs = cmn.jsonGet(message, 'auxiliary_graphs', {}) || {};
+  const keepEdgeIds = new Set(edgeIds);
+  const keptEdges = new Set();
+  const keptAuxGraphs = new Set();
+  const unprocessed = Object.keys(kedges).filter(eid => {
+    try {
+      return keepEdgeIds.has(redgeToKey(eid, kgraph)) || keepEdgeIds.has(redgeToKey(eid, kgraph, true));
+    } catch (err) {
+      // An edge that cannot be keyed was never summarized
+      return false;
+    }
+  });
+
+  while (!cmn.isArrayEmpty(unprocessed)) {
+    const eid = unprocessed.pop();
+    if (keptEdges.has(eid) || kedges[eid] === undefined) continue;
+    keptEdges.add(eid);
+    kedgeSupportGraphs(kedges[eid]).forEach(gid => {
+      if (keptAuxGraphs.has(gid) || auxGraphs[gid] === undefined) return;
+      keptAuxGraphs.add(gid);
+      unprocessed.push(...cmn.jsonGet(auxGraphs[gid], 'edges', []));
+    });
+  }
+
+  const nodes = {};
+  const edges = {};
+  keptEdges.forEach(eid => {
+    const kedge = kedges[eid];
+    edges[eid] = kedge;
+    [kedgeSubject(kedge), kedgeObject(kedge)].forEach(nid => {
+      if (knodes[nid] !== undefined) {
+        nodes[nid] = knodes[nid];
+      }
+    });
+  });
+
+  const auxiliaryGraphs = {};
+  keptAuxGraphs.forEach(gid => auxiliaryGraphs[gid] = auxGraphs[gid]);
+  const results = [];
+  (cmn.jsonGet(message, 'results', []) || []).forEach(result => {
+    const analyses = cmn.jsonGet(result, 'analyses', []).filter(analysis => {
+      const ebs = flattenBindings(cmn.jsonGet(analysis, 'edge_bindings', {}));
+      return !cmn.isArrayEmpty(ebs) && ebs.every(eb => keptEdges.has(eb));
+    });
+
+    if (!cmn.isArrayEmpty(analyses)) {
+      results.push(Object.assign({}, result, { analyses: analyses }));
+    }
+  });
+
+  return {
+    query_graph: cmn.jsonGet(message, 'query_graph', {}),
+    knowledge_graph: { nodes: nodes, edges: edges },
+    auxiliary_graphs: auxiliaryGraphs,
+    results: results
+  };
+}
+
+async function summaryFragmentsToSummary(qid, condensedSummaries, kgraph, queryType, agentToName, errors, dropped = null) {
+  function recordDropped(section, id, reason) {
+    if (dropped !== null && dropped[section][id] === undefined) {
+      dropped[section][id] = reason;
+    }
+  }
+
   function fragmentPathsToResultsAndPaths(fragmentPaths, nodes, queryType) {
     // TODO: use objects instead of arrays?
     let results = [];
@@ -1569,7 +1881,7 @@ async function summaryFragmentsToSummary(qid, condensedSummaries, kgraph, queryT
     fragmentPaths.forEach((path) => {
       const pathKey = pathToKey(path);
       let resultKey = path[0];
-      if (isPathfinderQuery(queryType)) {
+      if (hasMetaPathResults(queryType)) {
         resultKey = pathToKey(genMetaPath(path, nodes));
       }
       results.push(cmn.makePair(resultKey, pathKey, 'start', 'pathKey'));
@@ -1603,7 +1915,7 @@ async function summaryFragmentsToSummary(qid, condensedSummaries, kgraph, queryT
     updates.forEach((update) => {
       let obj = cmn.jsonSetDefaultAndGet(objs, update.key, fallback());
       update.transforms.forEach((transform) => {
-        transform(obj);
+        transform(obj, errors);
         obj.aras.push(...agents);
       });
     });
@@ -1624,6 +1936,12 @@ async function summaryFragmentsToSummary(qid, condensedSummaries, kgraph, queryT
     });
   }
 
+  function extendSummaryTruncated(truncated, newTruncated) {
+    Object.keys(newTruncated).forEach((resultNode) => {
+      cmn.jsonSetDefaultAndGet(truncated, resultNode, []).push(...newTruncated[resultNode]);
+    });
+  }
+
   function extendSummaryErrors(errors, newErrors) {
     Object.keys(newErrors).forEach((agent) => {
       const currentErrors = cmn.jsonSetDefaultAndGet(errors, agent, []);
@@ -1653,8 +1971,9 @@ async function summaryFragmentsToSummary(qid, condensedSummaries, kgraph, queryT
     });
   }
 
+  // Also returns the explanation phrase of every edge, which needs the qualifiers removed from the edges
   function edgesToEdgesAndPublications(edges) {
-    function addInverseEdge(edges, edge) {
+    function addInverseEdge(edges, edge, phrases) {
       const invertedPredicate = edgeToQualifiedPredicate(edge, true);
       const subject = cmn.jsonGet(edge, 'subject');
       const object = cmn.jsonGet(edge, 'object');
@@ -1670,10 +1989,13 @@ async function summaryFragmentsToSummary(qid, condensedSummaries, kgraph, queryT
       cmn.jsonSet(invertedEdge, 'predicate_url', bl.predicateToUrl(unqualifiedInvertedPredicate));
       delete invertedEdge['qualifiers'];
       edges[invertedEdgeKey] = invertedEdge;
+      phrases[invertedEdgeKey] = edgeToExplanationPhrase(edge, true);
     }
 
     const publications = {};
-    Object.values(edges).forEach((edge) => {
+    const phrases = {};
+    Object.keys(edges).forEach((ek) => {
+      const edge = edges[ek];
       extendSummaryPublications(publications, edge);
       const edgePublications = cmn.jsonGet(edge, 'publications', {});
       const supportingText = cmn.jsonGet(edge, 'supporting_text', {});
@@ -1683,16 +2005,17 @@ async function summaryFragmentsToSummary(qid, condensedSummaries, kgraph, queryT
         });
       });
       delete edge['supporting_text'];
-      addInverseEdge(edges, edge);
+      addInverseEdge(edges, edge, phrases);
+      phrases[ek] = edgeToExplanationPhrase(edge);
       cmn.jsonSet(edge, 'predicate_url', bl.predicateToUrl(getSpecificPredicate(edge)));
       cmn.jsonSet(edge, 'predicate', edgeToQualifiedPredicate(edge));
       delete edge['qualifiers'];
     });
 
-    return [edges, publications];
+    return [edges, publications, phrases];
   }
 
-  function resultsToResultsAndTags(results, paths, nodes, edges, scores, errors, queryType) {
+  function resultsToResultsAndTags(results, paths, nodes, edges, scores, truncated, errors, queryType) {
     function supportChainIncludesPid(rootPids, paths, edges, pid) {
       if (isRootPath(pid, paths, edges)) return true;
 
@@ -1739,7 +2062,7 @@ async function summaryFragmentsToSummary(qid, condensedSummaries, kgraph, queryT
         const names = cmn.jsonGetFromKpath(nodes, [nid, 'names']);
         return (cmn.isArrayEmpty(names)) ? nid : names[0];
       }
-      if (isPathfinderQuery(queryType)) {
+      if (hasMetaPathResults(queryType)) {
         const metaPath = genMetaPath(subgraph, nodes);
         metaPath[0] = getNodeName(nodes, subgraph[0]);
         metaPath[metaPath.length-1] = getNodeName(nodes, subgraph[subgraph.length-1]);
@@ -1749,7 +2072,7 @@ async function summaryFragmentsToSummary(qid, condensedSummaries, kgraph, queryT
     }
 
     function genId(nodes, subgraph, queryType) {
-      if (isPathfinderQuery(queryType)) {
+      if (hasMetaPathResults(queryType)) {
         const metaPath = genMetaPath(subgraph, nodes);
         return pathToKey(metaPath);
       }
@@ -1829,7 +2152,9 @@ async function summaryFragmentsToSummary(qid, condensedSummaries, kgraph, queryT
         'paths': sortPaths(rootPids, paths),
         'object': end,
         'scores': scores[start],
-        'tags': tags
+        'tags': tags,
+        // Whether an ARA found more paths for the result than were kept
+        'paths_truncated': truncated[start] !== undefined
       });
     }
 
@@ -1842,6 +2167,7 @@ async function summaryFragmentsToSummary(qid, condensedSummaries, kgraph, queryT
   let edges = {};
   let publications = {};
   let scores = {};
+  let truncated = {};
   let tags = [];
   condensedSummaries.forEach((cs) => {
     const agents = condensedSummaryAgents(cs);
@@ -1853,6 +2179,7 @@ async function summaryFragmentsToSummary(qid, condensedSummaries, kgraph, queryT
     });
     extendSummaryEdges(edges, summaryEdges.updates, agents);
     extendSummaryScores(scores, condensedSummaryScores(cs));
+    extendSummaryTruncated(truncated, condensedSummaryTruncated(cs));
     extendSummaryErrors(errors, condensedSummaryErrors(cs));
   });
 
@@ -1879,6 +2206,7 @@ async function summaryFragmentsToSummary(qid, condensedSummaries, kgraph, queryT
     const edge = edges[ek];
     // Remove any empty edges. TODO: Why are these even here?
     if (Object.keys(edge).length === 2 && edge.aras !== undefined && edge.support !== undefined) {
+      recordDropped('edges', ek, 'empty');
       delete edges[ek];
       return;
     }
@@ -1888,6 +2216,7 @@ async function summaryFragmentsToSummary(qid, condensedSummaries, kgraph, queryT
     if (edgeErrorReasons.length !== 0) {
       logger.error(`Found invalid edge ${ek}. Reasons: ${JSON.stringify(edgeErrorReasons)}`);
       updateErrorsFromEdge(edge, errors, edgeErrorReasons);
+      recordDropped('edges', ek, edgeErrorDropReason(edge));
       delete edges[ek];
       return;
     }
@@ -1921,6 +2250,7 @@ async function summaryFragmentsToSummary(qid, condensedSummaries, kgraph, queryT
 
     if (edgeErrorReasons.length !== 0) {
       updateErrorsFromEdge(edge, errors, edgeErrorReasons);
+      recordDropped('edges', ek, 'unknown_provenance');
       delete edges[ek];
       return
     }
@@ -1929,7 +2259,8 @@ async function summaryFragmentsToSummary(qid, condensedSummaries, kgraph, queryT
     edge.knowledge_level = edge.provenance[0].knowledge_level;
   });
 
-  [edges, publications] = edgesToEdgesAndPublications(edges);
+  let phrases = {};
+  [edges, publications, phrases] = edgesToEdgesAndPublications(edges);
   const metadataObject = makeMetadataObject(qid, cmn.distinctArray(condensedSummaries.map((cs) => { return cs.agents; }).flat()));
   try {
     // Node annotation
@@ -1965,6 +2296,10 @@ async function summaryFragmentsToSummary(qid, condensedSummaries, kgraph, queryT
           'curies',
           (annotations) => {
             const curies = bta.getCuries(annotations);
+            if (curies === null) {
+              return [];
+            }
+
             return curies;
           }
         ),
@@ -2004,7 +2339,7 @@ async function summaryFragmentsToSummary(qid, condensedSummaries, kgraph, queryT
         tagAttribute(
           'biothings_annotations',
           (annotations, context) => {
-            if (isGeneChemicalQuery(context.queryType)) return [];
+            if (!hasChebiRoles(context.queryType)) return [];
 
             const chebiRoles = bta.getChebiRoles(annotations);
             if (chebiRoles === null) {
@@ -2099,6 +2434,7 @@ async function summaryFragmentsToSummary(qid, condensedSummaries, kgraph, queryT
       // Remove paths where there is an undefined node reference in the path
       for (let i = 0; i < path.subgraph.length; i += 2) {
         if (nodes[path.subgraph[i]] === undefined) {
+          recordDropped('paths', pk, 'missing_node');
           delete paths[pk];
           return;
         }
@@ -2107,6 +2443,7 @@ async function summaryFragmentsToSummary(qid, condensedSummaries, kgraph, queryT
       // Remove paths where there is an undefined edge reference in the path
       for (let i = 1; i < path.subgraph.length; i += 2) {
         if (edges[path.subgraph[i]] === undefined) {
+          recordDropped('paths', pk, 'missing_edge');
           delete paths[pk];
           return;
         }
@@ -2115,7 +2452,7 @@ async function summaryFragmentsToSummary(qid, condensedSummaries, kgraph, queryT
       // Remove duplicates from every attribute on a path
       cmn.objRemoveDuplicates(path);
 
-      if (isChemicalDiseaseQuery(queryType)) {
+      if (hasIndications(queryType)) {
         // Consider the chemical indicated for the disease iff
         //   1. The chemical is marked as indicated for the disease
         //   2. The chemical has reached phase 4 approval from the FDA
@@ -2204,9 +2541,16 @@ async function summaryFragmentsToSummary(qid, condensedSummaries, kgraph, queryT
     });
 
     // Remove all unneeded items from results, paths, edges and nodes
-    cleanup(results, paths, edges, nodes);
+    cleanup(results, paths, edges, nodes, dropped);
+
+    [results, tags] = resultsToResultsAndTags(results, paths, nodes, edges, scores, truncated, errors, queryType);
+    Object.values(paths).forEach((path) => {
+      path.explanation = expl.explainPath(path.subgraph, nodes, phrases);
+    });
+    results.forEach((result) => {
+      result.explanation = expl.explainResult(result, paths, edges);
+    });
 
-    [results, tags] = resultsToResultsAndTags(results, paths, nodes, edges, scores, errors, queryType);
     return {
       'meta': metadataObject,
       'results': results,
@@ -2235,5 +2579,6 @@ class EdgeBindingNotFoundError extends Error {
 class AuxGraphNotFoundError extends Error {
   constructor(auxGraph) {
     super(`Auxiliary graph not found for ${auxGraph}`);
+    this.auxGraph = auxGraph;
   }
 }
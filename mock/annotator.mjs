@@ -0,0 +1,51 @@
+'use strict'
+
+import { default as express } from 'express';
+import * as cmn from '../lib/common.mjs';
+import { logger } from '../lib/logger.mjs';
+
+export { startMockAnnotator };
+
+/* A stand-in for the Biothings annotator for offline development and tests. It answers the same
+ * request KGAnnotationClient sends:
+ *
+ * POST <pull_uri>/?fields=...   a TRAPI message whose knowledge graph nodes are to be annotated
+ *
+ * with the message, after adding a biothings_annotations attribute to every node that has an entry
+ * in data_file. The file maps CURIEs to the list of annotations the annotator has for them. Other
+ * nodes are sent back as is. Every response is held back for delay_ms.
+ */
+async function startMockAnnotator(config) {
+  const annotations = await cmn.readJson(config.data_file);
+  const app = express();
+  app.use(express.json({ limit: '50mb' }));
+
+  app.post(config.pull_uri, async (req, res) => {
+    const nodes = cmn.jsonGetFromKpath(req.body, ['message', 'knowledge_graph', 'nodes'], null);
+    if (!cmn.isObject(nodes)) {
+      return res.status(400).json({ error: 'Expected a TRAPI message with knowledge graph nodes' });
+    }
+
+    Object.keys(nodes).forEach(nid => {
+      const nodeAnnotations = cmn.jsonGet(annotations, nid, false);
+      if (nodeAnnotations) {
+        const attributes = cmn.jsonGet(nodes[nid], 'attributes', null) || [];
+        attributes.push({
+          attribute_type_id: 'biothings_annotations',
+          value: nodeAnnotations
+        });
+        nodes[nid].attributes = attributes;
+      }
+    });
+
+    await cmn.sleep(config.delay_ms);
+    res.status(200).json(req.body);
+  });
+
+  return new Promise((resolve) => {
+    const server = app.listen(config.port, () => {
+      logger.info(`Mock annotator listening on ${server.address().port} with ${Object.keys(annotations).length} annotated nodes`);
+      resolve(server);
+    });
+  });
+}
@@ -1,56 +1,399 @@
 'use strict'
 
+import { randomUUID } from 'node:crypto';
+import { default as fs } from 'node:fs';
+import { default as path } from 'node:path';
+import { default as zlib } from 'node:zlib';
+import { default as express } from 'express';
 import * as cmn from '../lib/common.mjs';
-import { makeMetadataObject } from '../lib/trapi.mjs';
+import { logger } from '../lib/logger.mjs';
 
-export async function postQuery(query)
-{
-  return makeQueryState('success',
-                        cmn.jsonGetFromKpath(query,
-                                             ['message',
-                                              'query_graph',
-                                              'nodes',
-                                              'disease',
-                                              'ids'])[0]);
+export { startMockARS };
+
+/* A stand-in for the ARS for offline development. It replays stored ARS client messages (the
+ * format written by utilities/node/downloadQuery.mjs) through the same HTTP API ARSClient uses, in
+ * both child and merged mode. mock/data/ars has a small query to serve by default, and data_dir can
+ * point at more, e.g. test/data/regression/in.
+ *
+ * POST /ars/api/submit                   start a run for the stored query pinned to the same CURIEs
+ * GET  /ars/api/messages/:uuid?trace=y   status of the parent query (with children) or a merged version
+ * GET  /ars/api/messages/:uuid           parent with merged_versions_list, or the results of a child
+ * GET  /ars/api/messages/:uuid?compress=y  gzipped results of a merged version
+ * POST /ars/api/retain/:uuid
+ * POST /ars/api/cancel/:uuid             children still running error out, and no more merged versions are made
+ *
+ * Each run plays out over time: the query is queued for queue_ms, then one child finishes every
+ * stagger_ms, and every finished child adds a merged version that is ready merge_ms later. The
+ * errored_children setting adds children that error out along the way.
+ *
+ * The pk of a stored message can also be fetched directly, in which case the run is already over.
+ */
+
+const PARENT_AGENT = 'ars-default-agent';
+const ERRORED_AGENT_PREFIX = 'ara-mock-errored';
+
+async function startMockARS(config) {
+  const scenarios = await indexScenarios(config.data_dir);
+  if (scenarios.length === 0) {
+    throw new Error(`No stored ARS messages found in ${config.data_dir}`);
+  }
+
+  const uuidToRun = new Map();
+  let nextScenario = 0;
+
+  function addRun(pk, scenario, startTime) {
+    const run = makeRun(pk, scenario, startTime, config);
+    uuidToRun.set(pk, run);
+    run.children.forEach(child => uuidToRun.set(child.uuid, run));
+    run.mergedVersions.forEach(version => uuidToRun.set(version.uuid, run));
+    return run;
+  }
+
+  function findRun(uuid) {
+    let run = uuidToRun.get(uuid);
+    if (!run) {
+      const scenario = scenarios.find(s => s.pk === uuid);
+      if (scenario) {
+        run = addRun(uuid, scenario, 0);
+      }
+    }
+
+    return run;
+  }
+
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+
+  app.post('/ars/api/submit', (req, res) => {
+    const ids = queryGraphIds(cmn.jsonGetFromKpath(req.body, ['message', 'query_graph'], {}));
+    let scenario = scenarios.find(s => sameIds(s.ids, ids));
+    if (!scenario) {
+      scenario = scenarios[nextScenario];
+      nextScenario = (nextScenario + 1) % scenarios.length;
+    }
+
+    const run = addRun(randomUUID(), scenario, Date.now());
+    logger.info(`Mock ARS: replaying ${scenario.file} as ${run.pk}`);
+    res.status(201).json({
+      pk: run.pk,
+      fields: {
+        name: PARENT_AGENT,
+        code: 202,
+        status: 'Running',
+        timestamp: new Date(run.startTime).toISOString()
+      }
+    });
+  });
+
+  app.post('/ars/api/retain/:uuid', (req, res) => {
+    if (!findRun(req.params.uuid)) {
+      return res.status(404).send('Not found');
+    }
+
+    res.status(200).send('Retained');
+  });
+
+  app.post('/ars/api/cancel/:uuid', (req, res) => {
+    const run = findRun(req.params.uuid);
+    if (!run || run.pk !== req.params.uuid) {
+      return res.status(404).send('Not found');
+    }
+
+    cancelRun(run, Date.now());
+    logger.info(`Mock ARS: cancelled ${run.pk}`);
+    res.status(200).send('Cancelled');
+  });
+
+  app.get('/ars/api/messages/:uuid', async (req, res) => {
+    const uuid = req.params.uuid;
+    const run = findRun(uuid);
+    if (!run) {
+      return res.status(404).json({ error: `No message ${uuid}` });
+    }
+
+    try {
+      const now = Date.now();
+      let body = null;
+      if (uuid === run.pk) {
+        body = req.query.trace === 'y' ? parentTrace(run, now) : parentSummary(run, now);
+      } else if (run.children.some(child => child.uuid === uuid)) {
+        body = await childMessage(run, run.children.find(child => child.uuid === uuid), now);
+      } else {
+        const version = run.mergedVersions.find(v => v.uuid === uuid);
+        body = req.query.trace === 'y' ?
+          mergedVersionTrace(version, now) :
+          { message: await mergedVersionMessage(run, version) };
+      }
+
+      if (req.query.compress === 'y') {
+        // Like the ARS, send gzipped data without saying so
+        return res.status(200).send(zlib.gzipSync(JSON.stringify(body)));
+      }
+
+      res.status(200).json(body);
+    } catch (err) {
+      logger.error(`Mock ARS: error serving ${uuid}: '${err}'`);
+      res.status(500).json({ error: `${err}` });
+    }
+  });
+
+  return new Promise((resolve) => {
+    const server = app.listen(config.port, () => {
+      logger.info(`Mock ARS listening on ${config.port} with ${scenarios.length} stored queries`);
+      resolve(server);
+    });
+  });
+}
+
+// Only keep what is needed to pick a stored message, the messages themselves are read per run
+async function indexScenarios(dataDir) {
+  const files = (await fs.promises.readdir(dataDir)).filter(file => file.endsWith('.json')).sort();
+  const scenarios = [];
+  for (const file of files) {
+    const filePath = path.join(dataDir, file);
+    try {
+      const stored = await cmn.readJson(filePath);
+      const messages = storedMessages(stored);
+      const message = messages.find(e => e.message !== null);
+      scenarios.push({
+        file: filePath,
+        pk: stored.pk,
+        ids: message ? queryGraphIds(cmn.jsonGet(message.message, 'query_graph', {})) : [],
+        agents: [...new Set(messages.map(e => e.agent))],
+        errored: [...new Set(stored.errored.filter(e => e.uuid !== stored.pk && e.agent).map(e => e.agent))]
+      });
+    } catch (err) {
+      logger.error(`Mock ARS: skipping ${filePath}: '${err}'`);
+    }
+  }
+
+  return scenarios;
+}
+
+/* Every finished child of the stored query, with its TRAPI message if it has one. Stored messages
+ * from merged mode only carry the data for the latest merged version.
+ */
+function storedMessages(stored) {
+  return stored.completed
+    .filter(e => e.uuid !== stored.pk)
+    .map(e => ({
+      agent: e.agent,
+      message: cmn.isObject(e.data) ? e.data : null
+    }));
+}
+
+function makeRun(pk, scenario, startTime, config) {
+  const agents = [];
+  scenario.agents.forEach(agent => agents.push({ agent: agent, errors: false }));
+  scenario.errored.forEach(agent => agents.push({ agent: agent, errors: true }));
+  for (let i = 0; i < config.errored_children; i++) {
+    agents.push({ agent: `${ERRORED_AGENT_PREFIX}-${i + 1}`, errors: true });
+  }
+
+  // Spread the errored children out between the ones that complete
+  agents.sort((a1, a2) => a1.agent.localeCompare(a2.agent));
+  const children = agents.map((e, i) => ({
+    agent: e.agent,
+    uuid: randomUUID(),
+    errors: e.errors,
+    finishTime: startTime + config.queue_ms + (i + 1) * config.stagger_ms
+  }));
+
+  const mergedVersions = children
+    .filter(child => !child.errors)
+    .map(child => ({
+      agent: child.agent,
+      uuid: randomUUID(),
+      listTime: child.finishTime,
+      doneTime: child.finishTime + config.merge_ms
+    }));
+
+  const lastTime = Math.max(startTime + config.queue_ms,
+    ...children.map(child => child.finishTime),
+    ...mergedVersions.map(version => version.doneTime));
+
+  return {
+    pk: pk,
+    scenario: scenario,
+    startTime: startTime,
+    queuedUntil: startTime + config.queue_ms,
+    doneTime: lastTime,
+    children: children,
+    mergedVersions: mergedVersions
+  };
+}
+
+function cancelRun(run, now) {
+  run.children
+    .filter(child => child.finishTime > now)
+    .forEach(child => {
+      child.cancelled = true;
+      child.errors = true;
+      child.finishTime = now;
+    });
+  run.mergedVersions = run.mergedVersions.filter(version => version.listTime <= now);
+  run.doneTime = Math.max(now, ...run.mergedVersions.map(version => version.doneTime));
+}
+
+function childStatus(child, now) {
+  if (now < child.finishTime) {
+    return ['Running', 202];
+  }
+
+  if (child.cancelled) {
+    return ['Error', 499];
+  }
+
+  return child.errors ? ['Error', 598] : ['Done', 200];
+}
+
+function parentStatus(run, now) {
+  return now < run.doneTime ? 'Running' : 'Done';
 }
 
-export async function pullQueryStatus(qid)
-{
-  if (cmn.jsonHasKey(curiesToPaths, qid))
-  {
-    return makeQueryState('success', makeMetadataObject(qid, ['mock']));
+function parentTrace(run, now) {
+  const status = parentStatus(run, now);
+  if (now < run.queuedUntil) {
+    return { message: run.pk, status: status, timestamp: new Date(run.startTime).toISOString(), children: [] };
   }
 
-  return makeQueryState('error', `No key ${qid}`);
+  return {
+    message: run.pk,
+    status: status,
+    timestamp: new Date(run.startTime).toISOString(),
+    children: run.children.map(child => {
+      const [childStatusStr, code] = childStatus(child, now);
+      return {
+        message: child.uuid,
+        actor: { agent: child.agent },
+        status: childStatusStr,
+        code: code
+      };
+    })
+  };
 }
 
-export async function pullQueryAnswers(qid)
-{
-  const paths = cmn.jsonGet(curiesToPaths, qid, false);
-  if (paths)
-  {
-    const answers = await Promise.all(paths.map((path) =>
-      {
-        return cmn.readJson(`../${path}`);
-      }));
+function parentSummary(run, now) {
+  return {
+    message: run.pk,
+    fields: {
+      name: PARENT_AGENT,
+      status: parentStatus(run, now),
+      code: parentStatus(run, now) === 'Done' ? 200 : 202,
+      timestamp: new Date(run.startTime).toISOString(),
+      merged_versions_list: run.mergedVersions
+        .filter(version => now >= version.listTime)
+        .map(version => [version.uuid, version.agent])
+    }
+  };
+}
 
-    return makeQueryState('success', answers.map((answer) =>
-      {
-        return {
-          'message': cmn.jsonGetFromKpath(answer, ['fields', 'data', 'message']),
-          'agent': 'mock'
-        };
-      }));
+async function childMessage(run, child, now) {
+  const [status, code] = childStatus(child, now);
+  let data = null;
+  if (status === 'Done') {
+    data = { message: await messageForAgents(run, [child.agent]) };
   }
 
-  return makeQueryState('error', `No key ${qid}`);
+  return {
+    message: child.uuid,
+    fields: {
+      name: child.agent,
+      status: status,
+      code: code,
+      data: data
+    }
+  };
 }
 
-const curiesToPaths = await cmn.readJson('./mock/data/ars/curie-to-answer-table.json');
-function makeQueryState(status, data)
-{
+function mergedVersionTrace(version, now) {
+  const done = now >= version.doneTime;
   return {
-    'status': status,
-    'data': data
+    message: version.uuid,
+    status: done ? 'Done' : 'Running',
+    code: done ? 200 : 202,
+    children: []
   };
 }
+
+// A merged version has the results of every child that finished before it
+async function mergedVersionMessage(run, version) {
+  const agents = run.mergedVersions
+    .filter(v => v.listTime <= version.listTime)
+    .map(v => v.agent);
+  return messageForAgents(run, agents);
+}
+
+async function messageForAgents(run, agents) {
+  // Runs of the same stored query share the stored messages
+  if (!run.scenario.stored) {
+    run.scenario.stored = await cmn.readJson(run.scenario.file);
+  }
+
+  const messages = storedMessages(run.scenario.stored);
+  const allAgents = run.scenario.agents;
+  // Stored per agent, as in child mode
+  if (messages.filter(e => e.message !== null).length > 1) {
+    return mergeMessages(messages.filter(e => agents.includes(e.agent) && e.message !== null).map(e => e.message));
+  }
+
+  // Stored as a single merged message. Everything is in it once every agent is done.
+  const merged = messages.find(e => e.message !== null);
+  if (!merged) {
+    return emptyMessage({});
+  }
+
+  if (allAgents.every(agent => agents.includes(agent))) {
+    return merged.message;
+  }
+
+  return filterMessageByAgents(merged.message, agents);
+}
+
+function filterMessageByAgents(message, agents) {
+  const infores = agents.map(agent => `infores:${agent.replace(/^ara-/, '')}`);
+  const results = cmn.jsonGet(message, 'results', []).map(result => {
+    const analyses = cmn.jsonGet(result, 'analyses', []).filter(a => infores.includes(a.resource_id));
+    return Object.assign({}, result, { analyses: analyses });
+  }).filter(result => result.analyses.length > 0);
+
+  return Object.assign({}, message, { results: results });
+}
+
+function mergeMessages(messages) {
+  if (messages.length === 0) {
+    return emptyMessage({});
+  }
+
+  const merged = emptyMessage(cmn.jsonGet(messages[0], 'query_graph', {}));
+  messages.forEach(message => {
+    const kgraph = cmn.jsonGet(message, 'knowledge_graph', {});
+    Object.assign(merged.knowledge_graph.nodes, cmn.jsonGet(kgraph, 'nodes', {}));
+    Object.assign(merged.knowledge_graph.edges, cmn.jsonGet(kgraph, 'edges', {}));
+    Object.assign(merged.auxiliary_graphs, cmn.jsonGet(message, 'auxiliary_graphs', {}) || {});
+    merged.results.push(...cmn.jsonGet(message, 'results', []));
+  });
+
+  return merged;
+}
+
+function emptyMessage(queryGraph) {
+  return {
+    query_graph: queryGraph,
+    knowledge_graph: { nodes: {}, edges: {} },
+    auxiliary_graphs: {},
+    results: []
+  };
+}
+
+function queryGraphIds(queryGraph) {
+  const nodes = cmn.jsonGet(queryGraph, 'nodes', {}) || {};
+  return Object.values(nodes)
+    .map(node => cmn.isObject(node) && cmn.isArray(node.ids) ? node.ids : [])
+    .flat()
+    .sort();
+}
+
+function sameIds(ids1, ids2) {
+  return ids1.length > 0 && ids1.length === ids2.length && ids1.every((id, i) => id === ids2[i]);
+}
@@ -0,0 +1,26 @@
+'use strict';
+
+export { ResultCacheEntry };
+
+class ResultCacheEntry {
+  constructor({
+    qid,
+    filter_key = '',
+    cache_key,
+    data = null,
+    time_created = new Date()
+  } = {}) {
+    if (!qid || !cache_key) {
+      throw new Error('qid and cache_key are required');
+    }
+    this.qid = qid;
+    this.filter_key = filter_key;
+    this.cache_key = cache_key;
+    this.data = data;
+    this.time_created = time_created;
+  }
+
+  isOlderThan(ageSec, now = new Date()) {
+    return (now - new Date(this.time_created)) > ageSec * 1000;
+  }
+}
@@ -0,0 +1,38 @@
+'use strict';
+
+export { UserQueryHistory };
+
+/* One query submitted by a user.
+ * input: the query as sent by the UI
+ * query: the TRAPI query generated from the input
+ * curies: the CURIEs pinned in the query graph, for searching the history
+ * status: 'running' until the query is seen to be done, then the final status reported to the UI
+ */
+class UserQueryHistory {
+  constructor({
+    id = null,
+    user_id,
+    ars_pkey = null,
+    query_type = null,
+    curies = [],
+    input = null,
+    query = null,
+    status = 'running',
+    time_created = new Date(),
+    time_updated = new Date()
+  } = {}) {
+    if (!user_id) {
+      throw new Error('user_id is required');
+    }
+    this.id = id;
+    this.user_id = user_id;
+    this.ars_pkey = ars_pkey;
+    this.query_type = query_type;
+    this.curies = curies;
+    this.input = input;
+    this.query = query;
+    this.status = status;
+    this.time_created = time_created;
+    this.time_updated = time_updated;
+  }
+}
@@ -0,0 +1,121 @@
+'use strict';
+
+import { logger } from '../lib/logger.mjs';
+
+export { JobScheduler };
+
+/* Runs background jobs at a fixed interval. A job is any object with an async run() method,
+ * whose return value is kept as the result of the run. A job is never run again while a previous
+ * run of it is still going, whether the run was scheduled or asked for with runNow().
+ */
+class JobScheduler {
+  constructor() {
+    this.jobs = new Map();
+    this.started = false;
+  }
+
+  /* intervalSec: time between the end of a run and the start of the next
+   * runAtStart: whether to run the job as soon as the scheduler starts, or only after intervalSec
+   */
+  register(name, job, intervalSec, runAtStart=false) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job ${name} is already registered`);
+    }
+
+    this.jobs.set(name, {
+      job: job,
+      intervalSec: intervalSec,
+      runAtStart: runAtStart,
+      timer: null,
+      running: false,
+      runs: 0,
+      nextRun: null,
+      lastStarted: null,
+      lastFinished: null,
+      lastStatus: null,
+      lastResult: null,
+      lastError: null
+    });
+  }
+
+  start() {
+    this.started = true;
+    for (const [name, entry] of this.jobs) {
+      this._schedule(name, entry, entry.runAtStart ? 0 : entry.intervalSec * 1000);
+    }
+  }
+
+  stop() {
+    this.started = false;
+    for (const entry of this.jobs.values()) {
+      clearTimeout(entry.timer);
+      entry.timer = null;
+      entry.nextRun = null;
+    }
+  }
+
+  // Returns false if there is no such job or it is already running
+  runNow(name) {
+    const entry = this.jobs.get(name);
+    if (!entry || entry.running) {
+      return false;
+    }
+
+    clearTimeout(entry.timer);
+    this._run(name, entry);
+    return true;
+  }
+
+  status() {
+    return [...this.jobs.entries()].map(([name, entry]) => this._entryStatus(name, entry));
+  }
+
+  jobStatus(name) {
+    const entry = this.jobs.get(name);
+    return entry ? this._entryStatus(name, entry) : null;
+  }
+
+  _entryStatus(name, entry) {
+    return {
+      name: name,
+      interval_sec: entry.intervalSec,
+      running: entry.running,
+      runs: entry.runs,
+      next_run: entry.nextRun,
+      last_started: entry.lastStarted,
+      last_finished: entry.lastFinished,
+      last_status: entry.lastStatus,
+      last_result: entry.lastResult,
+      last_error: entry.lastError
+    };
+  }
+
+  _schedule(name, entry, delayMs) {
+    entry.nextRun = new Date(Date.now() + delayMs);
+    entry.timer = setTimeout(() => this._run(name, entry), delayMs);
+  }
+
+  async _run(name, entry) {
+    entry.running = true;
+    entry.nextRun = null;
+    entry.lastStarted = new Date();
+    logger.info(`Starting job ${name}`);
+    try {
+      entry.lastResult = await entry.job.run();
+      entry.lastStatus = 'success';
+      entry.lastError = null;
+    } catch (err) {
+      logger.error(`Job ${name} failed: '${err}'`);
+      entry.lastStatus = 'error';
+      entry.lastError = `${err}`;
+    }
+
+    entry.runs += 1;
+    entry.running = false;
+    entry.lastFinished = new Date();
+    logger.info(`Finished job ${name} with status ${entry.lastStatus}`);
+    if (this.started) {
+      this._schedule(name, entry, entry.intervalSec * 1000);
+    }
+  }
+}
@@ -0,0 +1,132 @@
+'use strict';
+
+import { default as hash } from 'hash-sum';
+import { logger } from '../lib/logger.mjs';
+import * as cmn from '../lib/common.mjs';
+import * as arsmsg from '../lib/ARSMessages.mjs';
+import * as qt from '../lib/query-templates.mjs';
+
+export { PrerunQueryJob };
+
+/* Refreshes the results behind the cached queries in the frontend config, which the /demo/*
+ * redirects and the config API point the FE at. Every cached query is submitted again, and once
+ * the new queries are done and retained the cached queries are swapped for ones with the new
+ * uuids all at once. A cached query keeps its old uuid if its new query fails in any way.
+ *
+ * The new uuids are saved to a store, and swapped in again by restoreCachedQueries() when the
+ * server starts, so a restart does not go back to the uuids in the frontend config.
+ *
+ * Replaces running utilities/node/generatePrerunQueries.mjs and retainPKs.mjs by hand.
+ */
+class PrerunQueryJob {
+  /* statusPoller: the QueryStatusPoller used to wait for the new queries to finish
+   * submitIntervalMs: time to wait between submissions, so as not to flood the ARS
+   * cachedQueryStore: optional iCachedQueryStore the new uuids are saved to
+   */
+  constructor(config, translatorService, statusPoller, submitIntervalMs, cachedQueryStore=null) {
+    this.config = config;
+    this.translatorService = translatorService;
+    this.statusPoller = statusPoller;
+    this.submitIntervalMs = submitIntervalMs;
+    this.cachedQueryStore = cachedQueryStore;
+  }
+
+  // Swaps in the uuids saved by earlier runs. Never throws: the config uuids still work, only older.
+  async restoreCachedQueries() {
+    if (this.cachedQueryStore === null) {
+      return 0;
+    }
+
+    try {
+      const uuids = await this.cachedQueryStore.retrieveCachedQueryUuids();
+      let restored = 0;
+      this.config.frontend.cached_queries = this.config.frontend.cached_queries.map(cachedQuery => {
+        const uuid = uuids.get(cachedQueryKey(cachedQuery));
+        if (uuid === undefined || uuid === cachedQuery.uuid) {
+          return cachedQuery;
+        }
+        restored += 1;
+        return Object.assign({}, cachedQuery, { uuid: uuid });
+      });
+      logger.info(`Restored ${restored} refreshed cached query uuids`);
+      return restored;
+    } catch (err) {
+      logger.error(`Error restoring cached query uuids: '${err}'`);
+      return 0;
+    }
+  }
+
+  async run() {
+    const cachedQueries = this.config.frontend.cached_queries;
+    const refreshed = [];
+    for (let i = 0; i < cachedQueries.length; i++) {
+      if (i > 0) {
+        await cmn.sleep(this.submitIntervalMs);
+      }
+      refreshed.push(this._submit(cachedQueries[i]));
+    }
+
+    const outcomes = await Promise.all(refreshed);
+    const failed = outcomes.filter(e => e.error !== null).map(e => ({ id: e.query.id, error: e.error }));
+    // Swapping in a new array means readers see either every old uuid or every new one
+    this.config.frontend.cached_queries = outcomes.map(e => e.query);
+    logger.info(`Refreshed ${outcomes.length - failed.length}/${outcomes.length} cached queries`);
+    if (this.cachedQueryStore !== null) {
+      await this.cachedQueryStore.storeCachedQueryUuids(outcomes.filter(e => e.error === null).map(e => ({
+        query_key: cachedQueryKey(e.query),
+        uuid: e.query.uuid
+      })));
+    }
+    return {
+      total: outcomes.length,
+      refreshed: outcomes.length - failed.length,
+      failed: failed
+    };
+  }
+
+  // Resolves to { query, error }, where query is the cached query to use from now on
+  async _submit(cachedQuery) {
+    let pk = null;
+    try {
+      const input = qt.cachedQueryToInput(cachedQuery);
+      const resp = await this.translatorService.submitQuery(this.translatorService.inputToQuery(input), true);
+      pk = arsmsg.msgId(resp);
+      logger.info(`Submitted cached query ${cachedQuery.type}/${cachedQuery.id} as ${pk}`);
+    } catch (err) {
+      return { query: cachedQuery, error: `Error submitting query: ${err}` };
+    }
+
+    const status = await this._waitForQuery(pk);
+    if (status !== 'success') {
+      return { query: cachedQuery, error: `Query ${pk} finished with status ${status}` };
+    }
+
+    try {
+      await this.translatorService.retainQuery(pk);
+    } catch (err) {
+      return { query: cachedQuery, error: `Error retaining ${pk}: ${err}` };
+    }
+
+    return { query: Object.assign({}, cachedQuery, { uuid: pk }), error: null };
+  }
+
+  // Resolves to the status of the 'done' event of the poller, or 'stopped' if polling was stopped without one
+  _waitForQuery(pk) {
+    return new Promise(resolve => {
+      let status = 'stopped';
+      this.statusPoller.subscribe(pk, {
+        write: (event) => {
+          if (event.type === 'done') {
+            status = event.data.status;
+          }
+        },
+        end: () => resolve(status)
+      });
+    });
+  }
+}
+
+// Identifies a cached query by what it asks, so editing its name or uuid in the config keeps the key
+function cachedQueryKey(cachedQuery) {
+  return hash(qt.cachedQueryToInput(cachedQuery));
+}
@@ -0,0 +1,200 @@
+'use strict';
+
+import { logger } from '../lib/logger.mjs';
+import * as arsmsg from '../lib/ARSMessages.mjs';
+
+export { QueryStatusPoller };
+
+/* Polls the ARS for the status of a query on behalf of any number of subscribers, and
+ * fans out what changed between polls as events:
+ * - ara_completed: { agent, uuid } (child mode only)
+ * - ara_errored: { agent, uuid, code }
+ * - merged_version_available: { agent, uuid } (merged mode only)
+ * - done: { status } where status is one of 'success', 'error', 'timeout', 'cancelled'
+ *
+ * There is at most one poller per qid no matter how many subscribers there are. Events already
+ * sent are replayed to late subscribers, so every subscriber sees the full history of the query.
+ * A poller stops once the query is done, it has run for maxDurationSec, or it has no subscribers.
+ *
+ * The history of a query outlives its poller, so a client reconnecting after the poller stopped gets
+ * a poller that goes on from where the last one left off: event ids keep increasing for the qid and
+ * events are not sent twice. Only the done event of the last poller is dropped. Histories are kept
+ * for the maxHistories most recently polled queries.
+ *
+ * Subscribers only need a write(event) method, and an end() method that is called after the last event.
+ */
+class QueryStatusPoller {
+  constructor(translatorService, filters, useMerging, pollIntervalMs, maxDurationSec, maxHistories=1000) {
+    this.translatorService = translatorService;
+    this.filters = filters;
+    this.useMerging = useMerging;
+    this.pollIntervalMs = pollIntervalMs;
+    this.maxDurationSec = maxDurationSec;
+    this.maxHistories = maxHistories;
+    this.pollers = new Map();
+    // qid -> { lastId, events, seen }, least recently polled first
+    this.histories = new Map();
+  }
+
+  /* lastEventId: if set, only events after this one are replayed
+   * Returns a function that removes the subscriber.
+   */
+  subscribe(qid, subscriber, lastEventId=null) {
+    let poller = this.pollers.get(qid);
+    if (!poller) {
+      poller = this._startPoller(qid);
+    }
+
+    poller.subscribers.add(subscriber);
+    for (const event of poller.events) {
+      if (lastEventId === null || event.id > lastEventId) {
+        subscriber.write(event);
+      }
+    }
+
+    return () => {
+      poller.subscribers.delete(subscriber);
+      if (poller.subscribers.size === 0 && this.pollers.get(qid) === poller) {
+        this._stopPoller(qid);
+      }
+    };
+  }
+
+  // status: if set, subscribers are sent a done event with this status before they are ended
+  stopPolling(qid, status=null) {
+    const poller = this.pollers.get(qid);
+    if (poller) {
+      if (status !== null) {
+        this._emit(poller, 'done', { status: status });
+      }
+      this._end(qid, poller);
+    }
+  }
+
+  _startPoller(qid) {
+    const history = this._history(qid);
+    const poller = {
+      subscribers: new Set(),
+      history: history,
+      events: history.events,
+      seen: history.seen,
+      startTime: Date.now(),
+      timer: null
+    };
+
+    this.pollers.set(qid, poller);
+    logger.info(`Starting status poller for ${qid}`);
+    this._schedulePoll(qid, poller, 0);
+    return poller;
+  }
+
+  // The query is polled again, so a done event from before no longer holds
+  _history(qid) {
+    let history = this.histories.get(qid);
+    if (history) {
+      this.histories.delete(qid);
+      history.events = history.events.filter(event => event.type !== 'done');
+    } else {
+      history = { lastId: 0, events: [], seen: new Set() };
+    }
+
+    this.histories.set(qid, history);
+    while (this.histories.size > this.maxHistories) {
+      this.histories.delete(this.histories.keys().next().value);
+    }
+
+    return history;
+  }
+
+  _stopPoller(qid) {
+    const poller = this.pollers.get(qid);
+    if (poller) {
+      clearTimeout(poller.timer);
+      this.pollers.delete(qid);
+      logger.info(`Stopped status poller for ${qid}`);
+    }
+  }
+
+  _schedulePoll(qid, poller, delayMs) {
+    poller.timer = setTimeout(async () => {
+      await this._poll(qid, poller);
+      if (this.pollers.get(qid) === poller) {
+        this._schedulePoll(qid, poller, this.pollIntervalMs);
+      }
+    }, delayMs);
+  }
+
+  async _poll(qid, poller) {
+    let statusRes = null;
+    try {
+      statusRes = await this.translatorService.getQueryStatus(qid, this.filters);
+    } catch (err) {
+      // Transient ARS errors should not end the stream; try again on the next poll
+      logger.error(`Error polling status for ${qid}: '${err}'`);
+      return;
+    }
+
+    // Subscribers may all have left while the status request was in flight
+    if (this.pollers.get(qid) !== poller) {
+      return;
+    }
+
+    this._emitNewEvents(qid, poller, statusRes);
+    if (this._isDone(qid, statusRes)) {
+      this._emit(poller, 'done', { status: arsmsg.isErroredQuery(statusRes) ? 'error' : 'success' });
+      this._end(qid, poller);
+    } else if (Date.now() - poller.startTime > this.maxDurationSec * 1000) {
+      this._emit(poller, 'done', { status: 'timeout' });
+      this._end(qid, poller);
+    }
+  }
+
+  _emitNewEvents(qid, poller, statusRes) {
+    for (const child of statusRes.completed) {
+      // In merged mode the parent query is reported as completed once the ARS is done with it
+      if (child.uuid === qid || poller.seen.has(child.uuid)) continue;
+      poller.seen.add(child.uuid);
+      const type = this.useMerging ? 'merged_version_available' : 'ara_completed';
+      this._emit(poller, type, { agent: child.agent, uuid: child.uuid });
+    }
+
+    for (const child of statusRes.errored) {
+      if (child.uuid === qid || poller.seen.has(child.uuid)) continue;
+      poller.seen.add(child.uuid);
+      this._emit(poller, 'ara_errored', {
+        agent: child.agent || null,
+        uuid: child.uuid || null,
+        code: child.code || null
+      });
+    }
+  }
+
+  _isDone(qid, statusRes) {
+    if (statusRes.queuing) {
+      return false;
+    }
+
+    if (this.useMerging) {
+      return !statusRes.running.some(e => e.uuid === qid);
+    }
+
+    return statusRes.running.length === 0;
+  }
+
+  _emit(poller, type, data) {
+    poller.history.lastId += 1;
+    const event = { id: poller.history.lastId, type: type, data: data };
+    poller.events.push(event);
+    for (const subscriber of poller.subscribers) {
+      subscriber.write(event);
+    }
+  }
+
+  _end(qid, poller) {
+    this._stopPoller(qid);
+    for (const subscriber of poller.subscribers) {
+      subscriber.end();
+    }
+    poller.subscribers.clear();
+  }
+}
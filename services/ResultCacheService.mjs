@@ -0,0 +1,75 @@
+'use strict';
+
+import { default as hash } from 'hash-sum';
+import { logger } from '../lib/logger.mjs';
+import { ResultCacheEntry } from '../models/ResultCacheEntry.mjs';
+
+export { ResultCacheService };
+
+/* Caches FE result messages per qid and agent filters, so requests with different filters each
+ * keep their own entry instead of replacing each other's.
+ * An entry is only valid for the set of children it was built from: the key is derived from
+ * the UUIDs of the completed and running children (or merged versions) in an ARS client message,
+ * so a new ARA finishing, or a running one erroring out, invalidates it. The agents left out by the
+ * filters are part of the key too, so results for different filters never mix.
+ *
+ * A cache failure must never fail a request, so store errors are logged and treated as misses.
+ */
+class ResultCacheService {
+  constructor(resultCacheStore, ttlSec=null) {
+    this.store = resultCacheStore;
+    this.ttlSec = ttlSec;
+  }
+
+  // msg: ARS client message, with or without data
+  makeKey(msg) {
+    const uuids = (children) => children.map(e => e.uuid).sort();
+    return hash([uuids(msg.completed), uuids(msg.running), [...(msg.filtered || [])].sort()]);
+  }
+
+  // filters: agent filters as given to ARSClient, see configToFilters
+  makeFilterKey(filters) {
+    const entries = Object.entries(filters || {})
+      .map(([key, value]) => [key, value instanceof RegExp ? value.source : [...value].sort()])
+      .sort(([a], [b]) => a.localeCompare(b));
+    return hash(entries);
+  }
+
+  async getResult(qid, cacheKey, filterKey='') {
+    try {
+      const entry = await this.store.retrieveResultByQid(qid, filterKey);
+      if (!entry || entry.cache_key !== cacheKey) {
+        return null;
+      }
+      if (this.ttlSec && entry.isOlderThan(this.ttlSec)) {
+        return null;
+      }
+      return entry.data;
+    } catch (err) {
+      logger.error(`Error retrieving cached result for ${qid}: '${err}'`);
+      return null;
+    }
+  }
+
+  async putResult(qid, cacheKey, data, filterKey='') {
+    try {
+      await this.store.storeResult(new ResultCacheEntry({
+        qid: qid,
+        filter_key: filterKey,
+        cache_key: cacheKey,
+        data: data
+      }));
+    } catch (err) {
+      logger.error(`Error caching result for ${qid}: '${err}'`);
+    }
+  }
+
+  async evictResult(qid) {
+    try {
+      return await this.store.deleteResultByQid(qid);
+    } catch (err) {
+      logger.error(`Error evicting cached result for ${qid}: '${err}'`);
+      return false;
+    }
+  }
+}
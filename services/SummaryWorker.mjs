@@ -0,0 +1,55 @@
+'use strict';
+
+import { parentPort, workerData } from 'node:worker_threads';
+import { logger } from '../lib/logger.mjs';
+import { loadBiolink } from '../lib/biolink-model.mjs';
+import { loadChebi } from '../lib/chebi.mjs';
+import { loadQueryTemplates } from '../lib/query-templates.mjs';
+import { KGAnnotationClient } from '../lib/KGAnnotationClient.mjs';
+import { makeHTTPClient } from '../lib/HTTPClient.mjs';
+import { TranslatorServicexFEAdapter } from '../adapters/TranslatorServicexFEAdapter.mjs';
+import { SummaryFragmentStoreMemory } from '../stores/SummaryFragmentStoreMemory.mjs';
+
+/* A thread of SummaryWorkerPool. It runs an adapter of its own, set up like the one in StartServer.mjs,
+ * with the Biolink and ChEBI data loaded once when the thread starts.
+ *
+ * Jobs arrive as { id, method, args }, where method is an adapter method, and are answered with
+ * { id, result } or { id, error }. Jobs without an id are not answered.
+ *
+ * workerData: the biolink, query_templates, annotation_endpoint, http_client and summary_fragments
+ * sections of the server config
+ */
+const ADAPTER = (async function (config) {
+  await loadBiolink(config.biolink.version,
+                    config.biolink.support_deprecated_predicates,
+                    config.biolink.infores_catalog,
+                    config.biolink.prefix_catalog);
+  await loadChebi();
+  loadQueryTemplates(config.query_templates);
+  const annotationClient = new KGAnnotationClient(
+    `${config.annotation_endpoint.protocol}://${config.annotation_endpoint.host}`,
+    config.annotation_endpoint.pull_uri,
+    config.annotation_endpoint.fields,
+    config.annotation_endpoint.batch_size,
+    makeHTTPClient(config.http_client, 'annotator'),
+    config.annotation_endpoint.max_concurrency);
+  return new TranslatorServicexFEAdapter(
+    new SummaryFragmentStoreMemory(config.summary_fragments.max_queries),
+    annotationClient);
+})(workerData);
+
+// Listen right away, so no job is lost while the data is loading
+parentPort.on('message', async (job) => {
+  try {
+    const adapter = await ADAPTER;
+    const result = await adapter[job.method](...job.args);
+    if (job.id !== null) {
+      parentPort.postMessage({ id: job.id, result: result });
+    }
+  } catch (err) {
+    logger.error(`Error running summary job ${job.method}: '${err}'`);
+    if (job.id !== null) {
+      parentPort.postMessage({ id: job.id, error: `${err}` });
+    }
+  }
+});
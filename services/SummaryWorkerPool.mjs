@@ -0,0 +1,277 @@
+'use strict';
+
+import { Worker } from 'node:worker_threads';
+import { logger } from '../lib/logger.mjs';
+
+export { SummaryWorkerPool, SummaryPoolSaturatedError, SummaryWorkerDownError };
+
+const WORKER_SCRIPT = new URL('./SummaryWorker.mjs', import.meta.url);
+
+class SummaryPoolSaturatedError extends Error {
+  constructor(queueDepth, retryAfterSec) {
+    super(`Too many results being summarized (${queueDepth}), try again in ${retryAfterSec}s`);
+    this.name = 'SummaryPoolSaturatedError';
+    this.retryAfterSec = retryAfterSec;
+  }
+}
+
+// retryAfterSec: when the worker is restarted, or null if it is not going to be
+class SummaryWorkerDownError extends Error {
+  constructor(index, retryAfterSec) {
+    super(retryAfterSec === null
+      ? `Summary worker ${index} is down`
+      : `Summary worker ${index} is restarting, try again in ${retryAfterSec}s`);
+    this.name = 'SummaryWorkerDownError';
+    this.retryAfterSec = retryAfterSec;
+  }
+}
+
+/* Summarizes results on worker threads so large answers don't hold up the event loop. Implements the
+ * summarizing part of TranslatorServicexFEAdapter:
+ * - queryResultsToFE(msg, maxHops, [maxPaths])
+ * - queryResultsDeltaToFE(qid, feResult, since)
+ * - queryResultsToDiagnostics(msg, maxHops, [maxPaths])
+ * - forgetQuery(qid)
+ *
+ * Each worker runs its own adapter with its own fragment store, see SummaryWorker.mjs, and every job
+ * for a qid goes to the same worker so the fragments of the query are only ever built once. A job
+ * identical to one that is still running gets the result of that one instead of running again.
+ *
+ * Once maxQueue jobs are waiting or running, new jobs are refused with a SummaryPoolSaturatedError.
+ *
+ * A worker that exits is restarted after a delay that doubles with every exit in a row, and jobs for
+ * it are refused with a SummaryWorkerDownError in the meantime. A worker that finishes a job is
+ * back to the shortest delay. After maxRestarts exits in a row the worker is left down for good, its
+ * queries go to the next worker that is not, and the pool is reported unhealthy.
+ */
+// What is made of the results only depends on which answers are in the message, not on when they were fetched
+function resultsJobKey(kind, msg, maxHops, maxPaths) {
+  return JSON.stringify([kind, msg.pk, maxHops, maxPaths,
+    msg.completed.map(e => [e.agent, e.uuid]),
+    (msg.skipped || []).map(e => e.agent),
+    msg.filtered || [],
+    msg.meta.timestamp]);
+}
+
+class SummaryWorkerPool {
+  /* workerConfig: the parts of the server config a worker needs to summarize, see SummaryWorker.mjs
+   * retryAfterSec: how long to tell clients to wait when a job is refused
+   * maxRestarts: how many times in a row a worker is restarted before it is left down
+   * restartBaseMs, restartMaxMs: the delay before the first restart, and the longest delay
+   * workerScript: the script of the worker threads, only ever changed by tests
+   */
+  constructor(workerCount, maxQueue, retryAfterSec, workerConfig, maxRestarts=5, restartBaseMs=500,
+              restartMaxMs=30000, workerScript=WORKER_SCRIPT) {
+    this.workerCount = workerCount;
+    this.maxQueue = maxQueue;
+    this.retryAfterSec = retryAfterSec;
+    this.workerConfig = workerConfig;
+    this.maxRestarts = maxRestarts;
+    this.restartBaseMs = restartBaseMs;
+    this.restartMaxMs = restartMaxMs;
+    this.workerScript = workerScript;
+    this.healthy = true;
+    this.workers = [];
+    this.jobs = new Map();
+    this.running = new Map();
+    this.nextJobId = 1;
+    this.stats = {
+      completed: 0,
+      failed: 0,
+      rejected: 0,
+      deduplicated: 0,
+      lastMs: null,
+      totalMs: 0,
+      maxMs: 0
+    };
+  }
+
+  start() {
+    for (let i = 0; i < this.workerCount; i++) {
+      this.workers.push(this._startWorker(i));
+    }
+  }
+
+  async stop() {
+    const workers = this.workers;
+    this.workers = [];
+    workers.forEach(worker => clearTimeout(worker.restartTimer));
+    await Promise.all(workers.filter(worker => worker.thread !== null).map(worker => worker.thread.terminate()));
+  }
+
+  queryResultsToFE(msg, maxHops, maxPaths = Infinity) {
+    const key = resultsJobKey('results', msg, maxHops, maxPaths);
+    return this._submit(msg.pk, key, 'queryResultsToFE', [msg, maxHops, maxPaths]);
+  }
+
+  queryResultsToDiagnostics(msg, maxHops, maxPaths = Infinity) {
+    const key = resultsJobKey('diagnostics', msg, maxHops, maxPaths);
+    return this._submit(msg.pk, key, 'queryResultsToDiagnostics', [msg, maxHops, maxPaths]);
+  }
+
+  queryResultsDeltaToFE(qid, feResult, since) {
+    const key = JSON.stringify(['delta', qid, since, feResult.data.meta]);
+    return this._submit(qid, key, 'queryResultsDeltaToFE', [qid, feResult, since]);
+  }
+
+  // A worker that is down has already forgotten everything
+  forgetQuery(qid) {
+    const worker = this._workerFor(qid);
+    if (worker.thread !== null) {
+      worker.thread.postMessage({ id: null, method: 'forgetQuery', args: [qid] });
+    }
+  }
+
+  metrics() {
+    const finished = this.stats.completed + this.stats.failed;
+    return {
+      healthy: this.healthy,
+      workers: this.workers.map(worker => ({
+        index: worker.index,
+        up: worker.thread !== null,
+        retired: worker.retired,
+        queue_depth: worker.pending.size,
+        restarts: worker.restarts,
+        exits_in_a_row: worker.exits
+      })),
+      queue_depth: this.jobs.size,
+      max_queue: this.maxQueue,
+      jobs: {
+        completed: this.stats.completed,
+        failed: this.stats.failed,
+        rejected: this.stats.rejected,
+        deduplicated: this.stats.deduplicated
+      },
+      job_ms: {
+        last: this.stats.lastMs,
+        mean: finished === 0 ? null : Math.round(this.stats.totalMs / finished),
+        max: this.stats.maxMs
+      }
+    };
+  }
+
+  _submit(qid, key, method, args) {
+    const running = this.running.get(key);
+    if (running) {
+      this.stats.deduplicated += 1;
+      return running;
+    }
+
+    if (this.jobs.size >= this.maxQueue) {
+      this.stats.rejected += 1;
+      return Promise.reject(new SummaryPoolSaturatedError(this.jobs.size, this.retryAfterSec));
+    }
+
+    const worker = this._workerFor(qid);
+    if (worker.thread === null) {
+      this.stats.rejected += 1;
+      const retryAfterSec = worker.restartTimer === null
+        ? null
+        : Math.max(1, Math.ceil((worker.restartTime - Date.now()) / 1000));
+      return Promise.reject(new SummaryWorkerDownError(worker.index, retryAfterSec));
+    }
+
+    const id = this.nextJobId++;
+    const promise = new Promise((resolve, reject) => {
+      this.jobs.set(id, { worker: worker, startTime: Date.now(), resolve: resolve, reject: reject });
+      worker.pending.add(id);
+      worker.thread.postMessage({ id: id, method: method, args: args });
+    }).finally(() => this.running.delete(key));
+    this.running.set(key, promise);
+    return promise;
+  }
+
+  // A worker that is restarting keeps its queries, only one that is left down for good hands them on
+  _workerFor(qid) {
+    let hash = 0;
+    for (let i = 0; i < qid.length; i++) {
+      hash = (hash * 31 + qid.charCodeAt(i)) >>> 0;
+    }
+
+    const first = hash % this.workers.length;
+    for (let i = 0; i < this.workers.length; i++) {
+      const worker = this.workers[(first + i) % this.workers.length];
+      if (!worker.retired) {
+        return worker;
+      }
+    }
+
+    return this.workers[first];
+  }
+
+  /* restarts: how many times the worker was restarted so far
+   * exits: how many times in a row it exited without finishing a job
+   * retired: whether it was left down for good
+   */
+  _startWorker(index, restarts = 0, exits = 0) {
+    const worker = {
+      index: index,
+      restarts: restarts,
+      exits: exits,
+      retired: false,
+      restartTimer: null,
+      restartTime: null,
+      pending: new Set(),
+      thread: new Worker(this.workerScript, { workerData: this.workerConfig })
+    };
+
+    worker.thread.on('message', (reply) => {
+      worker.exits = 0;
+      this._finishJob(reply);
+    });
+    worker.thread.on('error', (err) => {
+      logger.error(`Summary worker ${index} failed: '${err}'`);
+    });
+    worker.thread.on('exit', (code) => {
+      // Whatever the worker had not finished is lost with it
+      for (const id of worker.pending) {
+        this._finishJob({ id: id, error: `Summary worker ${index} exited with code ${code}` });
+      }
+
+      if (this.workers[index] !== worker) {
+        return;
+      }
+
+      worker.thread = null;
+      worker.exits += 1;
+      if (worker.exits > this.maxRestarts) {
+        logger.error(`Summary worker ${index} exited ${worker.exits} times in a row, leaving it down`);
+        worker.retired = true;
+        this.healthy = false;
+        return;
+      }
+
+      const delayMs = Math.min(this.restartBaseMs * 2 ** (worker.exits - 1), this.restartMaxMs);
+      logger.warn(`Restarting summary worker ${index} in ${delayMs}ms`);
+      worker.restartTime = Date.now() + delayMs;
+      worker.restartTimer = setTimeout(() => {
+        if (this.workers[index] === worker) {
+          this.workers[index] = this._startWorker(index, worker.restarts + 1, worker.exits);
+        }
+      }, delayMs);
+    });
+
+    return worker;
+  }
+
+  _finishJob(reply) {
+    const job = this.jobs.get(reply.id);
+    if (!job) {
+      return;
+    }
+
+    this.jobs.delete(reply.id);
+    job.worker.pending.delete(reply.id);
+    const ms = Date.now() - job.startTime;
+    this.stats.lastMs = ms;
+    this.stats.totalMs += ms;
+    this.stats.maxMs = Math.max(this.stats.maxMs, ms);
+    if (reply.error !== undefined) {
+      this.stats.failed += 1;
+      job.reject(new Error(reply.error));
+    } else {
+      this.stats.completed += 1;
+      job.resolve(reply.result);
+    }
+  }
+}
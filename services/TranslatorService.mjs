@@ -7,9 +7,11 @@ export { TranslatorService };
 
 /* Implements:
  * - inputToQuery(input);
- * - submitQuery(query)
+ * - submitQuery(query, [forceNew])
+ * - cancelQuery(queryId)
  * - getQueryStatus(queryId)
  * - getResults(queryId, [filters])
+ * - getMergedVersionResults(queryId, version)
  */
 
 class QueryClientError extends Error {
@@ -24,10 +26,19 @@ class QueryClientError extends Error {
 
 class TranslatorService
 {
-  constructor(queryClient, outputAdapter)
+  /* fingerprintStore: optional QueryFingerprintStoreMemory. With one, a query identical to one
+   * submitted less than freshnessSec ago that has not errored is not submitted again, and the
+   * response to the earlier submission is returned instead. The same goes for a query identical to
+   * one that is being submitted.
+   */
+  constructor(queryClient, outputAdapter, fingerprintStore=null, freshnessSec=0)
   {
     this.queryClient = queryClient;
     this.outputAdapter = outputAdapter;
+    this.fingerprintStore = fingerprintStore;
+    this.freshnessSec = freshnessSec;
+    // fingerprint -> promise of the response to the submission going on for it
+    this.pendingSubmissions = new Map();
   }
 
   inputToQuery(input)
@@ -35,13 +46,54 @@ class TranslatorService
     return trapi.queryToCreativeQuery(input);
   }
 
-  async submitQuery(query)
+  // forceNew: submit the query even if an identical one could be reused
+  async submitQuery(query, forceNew=false)
+  {
+    if (this.fingerprintStore === null)
+    {
+      return this._postQuery(query, null);
+    }
+
+    const fingerprint = trapi.queryFingerprint(query);
+    const pending = this.pendingSubmissions.get(fingerprint);
+    if (pending !== undefined && !forceNew)
+    {
+      const res = await pending;
+      logger.info(`Reusing ${arsmsg.msgId(res)} for an identical query submitted at the same time`);
+      this.fingerprintStore.recordReuse(fingerprint);
+      return res;
+    }
+
+    const submission = (async () => {
+      const reused = forceNew ? null : await this._freshSubmission(fingerprint);
+      return reused !== null ? reused : this._postQuery(query, fingerprint);
+    })();
+    this.pendingSubmissions.set(fingerprint, submission);
+    try
+    {
+      return await submission;
+    }
+    finally
+    {
+      if (this.pendingSubmissions.get(fingerprint) === submission)
+      {
+        this.pendingSubmissions.delete(fingerprint);
+      }
+    }
+  }
+
+  // fingerprint: the fingerprint to remember the submission by, or null
+  async _postQuery(query, fingerprint)
   {
     try
     {
       let [meta, res] = await this.queryClient.postQuery(query);
       if (arsmsg.isAcceptedQuery(res))
       {
+        if (fingerprint !== null)
+        {
+          this.fingerprintStore.storeSubmission(fingerprint, res);
+        }
         return res;
       }
       else
@@ -54,6 +106,59 @@ class TranslatorService
     }
   }
 
+  // Returns the response to the earlier submission of the query if it can be reused, null otherwise
+  async _freshSubmission(fingerprint) {
+    const entry = this.fingerprintStore.retrieveSubmission(fingerprint);
+    if (entry === null) {
+      return null;
+    }
+
+    const pk = arsmsg.msgId(entry.response);
+    if (Date.now() - entry.timeSubmitted.getTime() <= this.freshnessSec * 1000) {
+      try {
+        const status = await this.queryClient.getQueryStatus(pk, {});
+        if (!arsmsg.isErroredQuery(status)) {
+          logger.info(`Reusing ${pk} for an identical query`);
+          this.fingerprintStore.recordReuse(fingerprint);
+          return entry.response;
+        }
+      } catch (err) {
+        logger.warn(`Not reusing ${pk}, its status could not be checked: '${err}'`);
+      }
+    }
+
+    this.fingerprintStore.deleteSubmission(fingerprint);
+    return null;
+  }
+
+  // Whether the query was handed out again for an identical query, so cancelling it affects others
+  isSharedQuery(queryId) {
+    if (this.fingerprintStore === null) {
+      return false;
+    }
+
+    const fingerprint = this.fingerprintStore.retrieveFingerprintByPk(queryId);
+    return fingerprint !== null && this.fingerprintStore.retrieveSubmission(fingerprint).reuses > 0;
+  }
+
+  /* The query is never reused after this, even if the ARS can't cancel it.
+   * Resolves to whether the ARS cancelled the query.
+   */
+  async cancelQuery(queryId) {
+    if (this.fingerprintStore !== null) {
+      const fingerprint = this.fingerprintStore.retrieveFingerprintByPk(queryId);
+      if (fingerprint !== null) {
+        this.fingerprintStore.deleteSubmission(fingerprint);
+      }
+    }
+
+    try {
+      return await this.queryClient.cancelQuery(queryId);
+    } catch (err) {
+      throw new QueryClientError(`Error cancelling query ${queryId}`, queryId, 'cancel', err);
+    }
+  }
+
   async retainQuery(queryId) {
     try {
       const resp = await this.queryClient.retainQuery(queryId);
@@ -90,6 +195,20 @@ class TranslatorService
       throw new QueryClientError(`Error retrieving results for ${queryId}`, queryId, 'result', err);
     }
   }
+
+  // Resolves to null if the version is not a completed merged version of the query
+  async getMergedVersionResults(queryId, version)
+  {
+    try
+    {
+      return await this.queryClient.getMergedVersionResults(queryId, version);
+    }
+    catch (err)
+    {
+      logger.error(`Error retrieving results of version ${version} for ${queryId}: '${err}'`);
+      throw new QueryClientError(`Error retrieving results of version ${version} for ${queryId}`, queryId, 'result', err);
+    }
+  }
 }
 /*
   // testing stuff
@@ -7,11 +7,12 @@ import { UserWorkspace } from "../models/UserWorkspace.mjs";
 export { UserService };
 
 class UserService {
-  constructor(userStore, userPreferenceStore, userSavedDataStore, userWorkspaceStore) {
+  constructor(userStore, userPreferenceStore, userSavedDataStore, userWorkspaceStore, userQueryHistoryStore) {
     this.userStore = userStore;
     this.preferenceStore = userPreferenceStore;
     this.savedDataStore = userSavedDataStore;
     this.userWorkspaceStore = userWorkspaceStore;
+    this.queryHistoryStore = userQueryHistoryStore;
   }
 
   async getUserById(uid) {
@@ -54,6 +55,31 @@ class UserService {
     return this.savedDataStore.deleteUserSavedDataById(save_id);
   }
 
+  // Query history
+  async recordUserQuery(history) {
+    return this.queryHistoryStore.createQueryHistory(history);
+  }
+
+  async getUserQueryHistory(uid, filters={}) {
+    return this.queryHistoryStore.retrieveQueryHistoryByUserId(uid, filters);
+  }
+
+  async getUserQueryHistoryById(uid, id) {
+    return this.queryHistoryStore.retrieveQueryHistoryById(uid, id);
+  }
+
+  async getUserQueryHistoryByPkey(uid, arsPkey) {
+    return this.queryHistoryStore.retrieveQueryHistoryByPkey(uid, arsPkey);
+  }
+
+  async updateUserQueryStatus(arsPkey, status) {
+    return this.queryHistoryStore.updateQueryHistoryStatus(arsPkey, status);
+  }
+
+  async cancelUserQuery(uid, arsPkey) {
+    return this.queryHistoryStore.updateQueryHistoryStatusForUser(uid, arsPkey, 'cancelled');
+  }
+
   // Workspaces
   async getUserWorkspaces(uid, includeData=false, includeDeleted=false) {
     return this.userWorkspaceStore.retrieveWorkspacesByUserId(uid, includeData, includeDeleted);
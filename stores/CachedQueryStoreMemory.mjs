@@ -0,0 +1,22 @@
+'use strict';
+
+import { iCachedQueryStore } from './iCachedQueryStore.mjs';
+
+export { CachedQueryStoreMemory };
+
+// Only survives as long as the process. Useful for tests and for running without a database.
+class CachedQueryStoreMemory extends iCachedQueryStore {
+  constructor() {
+    super();
+    this.uuids = new Map();
+  }
+
+  async retrieveCachedQueryUuids() {
+    return new Map(this.uuids);
+  }
+
+  async storeCachedQueryUuids(entries) {
+    entries.forEach(entry => this.uuids.set(entry.query_key, entry.uuid));
+    return entries.length;
+  }
+}
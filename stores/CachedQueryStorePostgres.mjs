@@ -0,0 +1,33 @@
+'use strict';
+
+import { pg, pgExec } from '../lib/postgres_preamble.mjs';
+import { iCachedQueryStore } from './iCachedQueryStore.mjs';
+
+export { CachedQueryStorePostgres };
+
+class CachedQueryStorePostgres extends iCachedQueryStore {
+  constructor(pool, config=null) {
+    super();
+    this.pool = pool ? pool : new pg.Pool(config);
+  }
+
+  async retrieveCachedQueryUuids() {
+    const res = await pgExec(this.pool, 'SELECT query_key, uuid FROM cached_query_uuids');
+    return new Map(res.rows.map(row => [row.query_key, row.uuid]));
+  }
+
+  async storeCachedQueryUuids(entries) {
+    if (entries.length === 0) {
+      return 0;
+    }
+
+    const res = await pgExec(this.pool, `
+      INSERT INTO cached_query_uuids (query_key, uuid, time_refreshed)
+      SELECT e.query_key, e.uuid, now()
+      FROM UNNEST($1::text[], $2::uuid[]) AS e(query_key, uuid)
+      ON CONFLICT (query_key)
+      DO UPDATE SET uuid = EXCLUDED.uuid, time_refreshed = EXCLUDED.time_refreshed
+    `, [entries.map(e => e.query_key), entries.map(e => e.uuid)]);
+    return res.rowCount;
+  }
+}
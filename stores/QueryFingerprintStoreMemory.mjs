@@ -0,0 +1,57 @@
+'use strict';
+
+import * as arsmsg from '../lib/ARSMessages.mjs';
+
+export { QueryFingerprintStoreMemory };
+
+/* Remembers the ARS response to the last submission of each distinct query, keyed by the
+ * fingerprint of the query. Fingerprints are evicted least recently submitted first.
+ */
+class QueryFingerprintStoreMemory {
+  constructor(maxEntries=1000) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    // pk -> fingerprint, for every entry
+    this.fingerprints = new Map();
+  }
+
+  // Returns { response, timeSubmitted, reuses } or null
+  retrieveSubmission(fingerprint) {
+    const entry = this.entries.get(fingerprint);
+    return entry === undefined ? null : entry;
+  }
+
+  // Returns the fingerprint of the submission the ARS gave this pk, or null
+  retrieveFingerprintByPk(pk) {
+    const fingerprint = this.fingerprints.get(pk);
+    return fingerprint === undefined ? null : fingerprint;
+  }
+
+  storeSubmission(fingerprint, response, timeSubmitted=new Date()) {
+    const entry = {response: response, timeSubmitted: timeSubmitted, reuses: 0};
+    this.deleteSubmission(fingerprint);
+    this.entries.set(fingerprint, entry);
+    this.fingerprints.set(arsmsg.msgId(response), fingerprint);
+    while (this.entries.size > this.maxEntries) {
+      this.deleteSubmission(this.entries.keys().next().value);
+    }
+    return entry;
+  }
+
+  recordReuse(fingerprint) {
+    const entry = this.entries.get(fingerprint);
+    if (entry !== undefined) {
+      entry.reuses += 1;
+    }
+  }
+
+  deleteSubmission(fingerprint) {
+    const entry = this.entries.get(fingerprint);
+    if (entry === undefined) {
+      return false;
+    }
+
+    this.fingerprints.delete(arsmsg.msgId(entry.response));
+    return this.entries.delete(fingerprint);
+  }
+}
@@ -0,0 +1,55 @@
+'use strict';
+
+import { ResultCacheEntry } from '../models/ResultCacheEntry.mjs';
+import { iResultCacheStore } from './iResultCacheStore.mjs';
+
+export { ResultCacheStoreMemory };
+
+/* In-process LRU store. Only the most recent entry for a qid and filter key is kept since an
+ * entry for an older set of completed children is never going to be asked for again.
+ * A Map iterates in insertion order, so re-inserting on every access keeps the least
+ * recently used entry at the front.
+ */
+class ResultCacheStoreMemory extends iResultCacheStore {
+  constructor(maxEntries=100) {
+    super();
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async retrieveResultByQid(qid, filterKey='') {
+    const key = entryKey(qid, filterKey);
+    const entry = this.entries.get(key);
+    if (entry === undefined) {
+      return null;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async storeResult(resultCacheEntry) {
+    const entry = new ResultCacheEntry(resultCacheEntry);
+    const key = entryKey(entry.qid, entry.filter_key);
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    return entry;
+  }
+
+  async deleteResultByQid(qid) {
+    let deleted = false;
+    for (const [key, entry] of this.entries) {
+      if (entry.qid === qid) {
+        deleted = this.entries.delete(key) || deleted;
+      }
+    }
+    return deleted;
+  }
+}
+
+function entryKey(qid, filterKey) {
+  return JSON.stringify([qid, filterKey]);
+}
@@ -0,0 +1,40 @@
+'use strict';
+
+import { pg, pgExec } from '../lib/postgres_preamble.mjs';
+import { ResultCacheEntry } from '../models/ResultCacheEntry.mjs';
+import { iResultCacheStore } from './iResultCacheStore.mjs';
+
+export { ResultCacheStorePostgres };
+
+class ResultCacheStorePostgres extends iResultCacheStore {
+  constructor(pool, config=null) {
+    super();
+    this.pool = pool ? pool : new pg.Pool(config);
+  }
+
+  async retrieveResultByQid(qid, filterKey='') {
+    const res = await pgExec(this.pool, 'SELECT * FROM query_result_cache WHERE qid = $1 AND filter_key = $2',
+      [qid, filterKey]);
+    return res.rows.length > 0 ? new ResultCacheEntry(res.rows[0]) : null;
+  }
+
+  /* There is only ever one entry per qid and filter key: a newer set of completed children
+   * replaces the old one
+   */
+  async storeResult(resultCacheEntry) {
+    const res = await pgExec(this.pool, `
+      INSERT INTO query_result_cache (qid, filter_key, cache_key, data, time_created)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (qid, filter_key)
+      DO UPDATE SET cache_key = EXCLUDED.cache_key, data = EXCLUDED.data, time_created = EXCLUDED.time_created
+      RETURNING *
+    `, [resultCacheEntry.qid, resultCacheEntry.filter_key || '', resultCacheEntry.cache_key, resultCacheEntry.data,
+        resultCacheEntry.time_created]);
+    return res.rows.length > 0 ? new ResultCacheEntry(res.rows[0]) : null;
+  }
+
+  async deleteResultByQid(qid) {
+    const res = await pgExec(this.pool, 'DELETE FROM query_result_cache WHERE qid = $1', [qid]);
+    return res.rowCount > 0;
+  }
+}
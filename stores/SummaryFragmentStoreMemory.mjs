@@ -0,0 +1,58 @@
+'use strict';
+
+export { SummaryFragmentStoreMemory };
+
+/* Holds the summary fragment bundles built for each agent of a query.
+ * Bundles contain the summarization rules as closures, so they cannot be serialized and only an
+ * in-process store makes sense for them. Queries are evicted least recently used first.
+ */
+class SummaryFragmentStoreMemory {
+  constructor(maxQueries=20) {
+    this.maxQueries = maxQueries;
+    this.queries = new Map();
+  }
+
+  retrieveFragmentBundle(qid, agent, uuid=null) {
+    const entry = this._touch(qid).agents.get(agent);
+    if (entry === undefined || (uuid !== null && entry.uuid !== uuid)) {
+      return null;
+    }
+    return entry.bundle;
+  }
+
+  storeFragmentBundle(qid, agent, uuid, bundle) {
+    this._touch(qid).agents.set(agent, {uuid: uuid, bundle: bundle});
+    return bundle;
+  }
+
+  // The baseline summary is the one last built for a `since` request, keyed by the agents it covers
+  retrieveBaselineSummary(qid, baselineKey) {
+    const entry = this._touch(qid).baseline;
+    if (entry === null || entry.key !== baselineKey) {
+      return null;
+    }
+    return entry.summary;
+  }
+
+  storeBaselineSummary(qid, baselineKey, summary) {
+    this._touch(qid).baseline = {key: baselineKey, summary: summary};
+    return summary;
+  }
+
+  deleteFragmentBundlesByQid(qid) {
+    return this.queries.delete(qid);
+  }
+
+  _touch(qid) {
+    let entry = this.queries.get(qid);
+    if (entry === undefined) {
+      entry = {agents: new Map(), baseline: null};
+    }
+    this.queries.delete(qid);
+    this.queries.set(qid, entry);
+    while (this.queries.size > this.maxQueries) {
+      this.queries.delete(this.queries.keys().next().value);
+    }
+    return entry;
+  }
+}
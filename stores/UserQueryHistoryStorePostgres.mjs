@@ -0,0 +1,81 @@
+import { pg, pgExec } from '../lib/postgres_preamble.mjs';
+import { UserQueryHistory } from '../models/UserQueryHistory.mjs';
+
+export { UserQueryHistoryStorePostgres };
+
+class UserQueryHistoryStorePostgres {
+  constructor(pool, config=null) {
+    this.pool = pool ? pool : new pg.Pool(config);
+  }
+
+  async createQueryHistory(history) {
+    history.time_updated = new Date();
+    const res = await pgExec(this.pool, `
+      INSERT INTO user_query_history
+        (user_id, ars_pkey, query_type, curies, input, query, status,
+        time_created, time_updated)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `, [history.user_id, history.ars_pkey, history.query_type, history.curies,
+        history.input, history.query, history.status,
+        history.time_created, history.time_updated]);
+    return res.rows.length > 0 ? new UserQueryHistory(res.rows[0]) : null;
+  }
+
+  /* Most recent first. The filters are all optional:
+   * queryType: only queries of this type
+   * curie: only queries with this CURIE pinned in the query graph
+   * limit, offset: the page to return
+   */
+  async retrieveQueryHistoryByUserId(uid, {queryType=null, curie=null, limit=20, offset=0} = {}) {
+    let sql = `SELECT * FROM user_query_history WHERE user_id = $1`;
+    let args = [uid];
+    if (queryType) {
+      args.push(queryType);
+      sql += ` AND query_type = $${args.length}`;
+    }
+    if (curie) {
+      args.push(curie);
+      sql += ` AND $${args.length} = ANY(curies)`;
+    }
+    args.push(limit, offset);
+    sql += ` ORDER BY time_created DESC, id DESC LIMIT $${args.length - 1} OFFSET $${args.length}`;
+    const res = await pgExec(this.pool, sql, args);
+    return res.rows.map(row => new UserQueryHistory(row));
+  }
+
+  async retrieveQueryHistoryById(uid, id) {
+    const res = await pgExec(this.pool, `
+      SELECT * FROM user_query_history WHERE user_id = $1 AND id = $2
+    `, [uid, id]);
+    return res.rows.length > 0 ? new UserQueryHistory(res.rows[0]) : null;
+  }
+
+  async retrieveQueryHistoryByPkey(uid, arsPkey) {
+    const res = await pgExec(this.pool, `
+      SELECT * FROM user_query_history WHERE user_id = $1 AND ars_pkey = $2
+      ORDER BY time_created DESC, id DESC
+    `, [uid, arsPkey]);
+    return res.rows.map(row => new UserQueryHistory(row));
+  }
+
+  // Only running queries are updated, so the first final status seen sticks
+  async updateQueryHistoryStatus(arsPkey, status) {
+    const res = await pgExec(this.pool, `
+      UPDATE user_query_history SET status = $1, time_updated = $2
+      WHERE ars_pkey = $3 AND status = 'running'
+      RETURNING *
+    `, [status, new Date(), arsPkey]);
+    return res.rows.map(row => new UserQueryHistory(row));
+  }
+
+  // Same as updateQueryHistoryStatus, for the queries of a single user
+  async updateQueryHistoryStatusForUser(uid, arsPkey, status) {
+    const res = await pgExec(this.pool, `
+      UPDATE user_query_history SET status = $1, time_updated = $2
+      WHERE user_id = $3 AND ars_pkey = $4 AND status = 'running'
+      RETURNING *
+    `, [status, new Date(), uid, arsPkey]);
+    return res.rows.map(row => new UserQueryHistory(row));
+  }
+}
@@ -0,0 +1,21 @@
+'use strict';
+
+export { iCachedQueryStore };
+
+class iCachedQueryStore {
+  constructor(config) {
+    if (new.target === iCachedQueryStore) {
+      throw new Error("This is an abstract class and should not be instantiated directly");
+    }
+  }
+
+  // Resolves to a Map of query key -> uuid
+  async retrieveCachedQueryUuids() {
+    throw new Error("Not implemented");
+  }
+
+  // entries: [{ query_key, uuid }], each replacing any uuid stored for its query key
+  async storeCachedQueryUuids(entries) {
+    throw new Error("Not implemented");
+  }
+}
@@ -0,0 +1,25 @@
+'use strict';
+
+export { iResultCacheStore };
+
+class iResultCacheStore {
+  constructor(config) {
+    if (new.target === iResultCacheStore) {
+      throw new Error("This is an abstract class and should not be instantiated directly");
+    }
+  }
+
+  // filterKey: the agent filters the entry was built with, see ResultCacheService.makeFilterKey
+  async retrieveResultByQid(qid, filterKey='') {
+    throw new Error("Not implemented");
+  }
+
+  async storeResult(resultCacheEntry) {
+    throw new Error("Not implemented");
+  }
+
+  // Deletes the entries for every filter key of the qid
+  async deleteResultByQid(qid) {
+    throw new Error("Not implemented");
+  }
+}
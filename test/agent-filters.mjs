@@ -0,0 +1,109 @@
+'use strict'
+import * as assert from 'assert';
+import { ARSClient } from '../lib/ARSClient.mjs';
+import { QueryAPIController } from '../controllers/QueryAPIController.mjs';
+import { TranslatorServicexFEAdapter } from '../adapters/TranslatorServicexFEAdapter.mjs';
+import { SummaryFragmentStoreMemory } from '../stores/SummaryFragmentStoreMemory.mjs';
+import { loadSummarizationConfig } from './lib/setup.mjs';
+
+const QID = '6f0c6c57-4b2c-4e0b-9e51-6ad1d0c1c9a1';
+const VERSION = 'b1a3e0a4-0c1f-4d55-8a3e-3c1e4c0b9f27';
+
+function makeResult(drug, agents) {
+  return {
+    node_bindings: { sn: [{ id: drug }], on: [{ id: 'MONDO:1' }] },
+    analyses: agents.map(agent => ({ resource_id: agent, edge_bindings: {} }))
+  };
+}
+
+// An ARS that merges results, with a single merged version of the query
+function makeHttpClient() {
+  const messages = {
+    [QID]: {
+      fields: { name: 'ars-default-agent', status: 'Done', timestamp: 't0', merged_versions_list: [[VERSION, 'ara-bte']] }
+    },
+    [`${VERSION}?trace=y`]: { message: VERSION, status: 'Done' },
+    [`${VERSION}?compress=y`]: {
+      message: {
+        results: [
+          makeResult('CHEBI:1', ['infores:aragorn', 'infores:biothings-explorer']),
+          makeResult('CHEBI:2', ['infores:biothings-explorer'])
+        ]
+      }
+    }
+  };
+  return {
+    async sendRecvJSON(url, method, headers) {
+      return [{}, structuredClone(messages[url.split('/').at(-1)])];
+    }
+  };
+}
+
+function makeClient() {
+  return new ARSClient('http://ars', '/messages', '/submit', '/retain', true, { status: makeHttpClient() });
+}
+
+function resultAgents(msg) {
+  return msg.completed[0].data.results.map(result => result.analyses.map(analysis => analysis.resource_id));
+}
+
+async function testMergedResults() {
+  const client = makeClient();
+  const all = await client.getQueryResults(QID, {});
+  assert.deepStrictEqual(resultAgents(all), [['infores:aragorn', 'infores:biothings-explorer'], ['infores:biothings-explorer']]);
+  assert.deepStrictEqual(all.filtered, []);
+
+  // Results are left with the analyses of the agents asked for, and dropped if there are none
+  const aragorn = await client.getQueryResults(QID, { agents: ['infores:aragorn'] });
+  assert.deepStrictEqual(resultAgents(aragorn), [['infores:aragorn']]);
+  assert.deepStrictEqual(aragorn.filtered, ['infores:biothings-explorer']);
+  assert.deepStrictEqual(aragorn.completed[0].filtered, ['infores:biothings-explorer']);
+
+  const noBte = await client.getQueryResults(QID, { blacklist: ['infores:biothings-explorer'] });
+  assert.deepStrictEqual(resultAgents(noBte), resultAgents(aragorn));
+
+  // Statuses have no analyses to filter
+  const status = await client.getQueryStatus(QID, { agents: ['infores:aragorn'] });
+  assert.deepStrictEqual(status.filtered, []);
+}
+
+// The fragments kept for a merged version are those of the whole version
+async function testNarrowedVersionsAreNotStored() {
+  const store = new SummaryFragmentStoreMemory(10);
+  const adapter = new TranslatorServicexFEAdapter(store);
+  const message = {
+    query_graph: {
+      nodes: { sn: { categories: ['biolink:ChemicalEntity'] }, on: { ids: ['MONDO:1'] } },
+      edges: { t_edge: { subject: 'sn', object: 'on', predicates: ['biolink:treats'] } }
+    },
+    knowledge_graph: { nodes: {}, edges: {} },
+    results: []
+  };
+  const narrowed = { agent: 'ara-bte', uuid: VERSION, data: message, filtered: ['infores:biothings-explorer'] };
+  await adapter._answerToFragmentBundle(QID, narrowed, 3, Infinity);
+  assert.strictEqual(store.retrieveFragmentBundle(QID, 'ara-bte'), null);
+
+  await adapter._answerToFragmentBundle(QID, Object.assign({}, narrowed, { filtered: [] }), 3, Infinity);
+  assert.notStrictEqual(store.retrieveFragmentBundle(QID, 'ara-bte', VERSION), null);
+}
+
+function makeRes() {
+  const res = {};
+  res.status = (code) => { res.code = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+}
+
+// Deltas are built from whole merged versions, so they can't be narrowed down to some agents
+async function testMergedDeltas() {
+  const controller = new QueryAPIController({ ars_endpoint: { use_ars_merging: true } }, null, {}, null, null, null);
+  const res = makeRes();
+  await controller.getQueryResult({ params: { qid: QID }, query: { agents: 'infores:aragorn', since: 'ara-bte' } }, res);
+  assert.strictEqual(res.code, 400);
+}
+
+await loadSummarizationConfig();
+await testMergedResults();
+await testNarrowedVersionsAreNotStored();
+await testMergedDeltas();
+console.log('Agent filter tests passed');
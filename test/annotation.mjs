@@ -0,0 +1,136 @@
+'use strict'
+import * as assert from 'assert';
+import { loadSummarizationConfig } from './lib/setup.mjs';
+import { KGAnnotationClient } from '../lib/KGAnnotationClient.mjs';
+import { HTTPClient } from '../lib/HTTPClient.mjs';
+import { TranslatorServicexFEAdapter } from '../adapters/TranslatorServicexFEAdapter.mjs';
+import { startMockAnnotator } from '../mock/annotator.mjs';
+
+const ANNOTATOR_PATH = '/annotator';
+
+// A drug query answered by a single ARA that did not annotate any node
+function makeQueryResults() {
+  const sources = [{ resource_id: 'infores:aragorn', resource_role: 'primary_knowledge_source' }];
+  return {
+    pk: 'annotation-test',
+    meta: { timestamp: '2024-01-01T00:00:00Z' },
+    queuing: false,
+    running: [],
+    errored: [],
+    completed: [{
+      agent: 'ara-aragorn',
+      uuid: 'annotation-test-aragorn',
+      data: {
+        query_graph: {
+          nodes: {
+            sn: { categories: ['biolink:ChemicalEntity'] },
+            on: { categories: ['biolink:Disease'], ids: ['MONDO:0005148'] }
+          },
+          edges: {
+            t_edge: { subject: 'sn', object: 'on', predicates: ['biolink:treats'], knowledge_type: 'inferred' }
+          }
+        },
+        knowledge_graph: {
+          nodes: {
+            'CHEBI:6801': { name: 'metformin', categories: ['biolink:SmallMolecule'], attributes: [] },
+            'MONDO:0005148': { name: 'type 2 diabetes mellitus', categories: ['biolink:Disease'], attributes: [] }
+          },
+          edges: {
+            e0: { subject: 'CHEBI:6801', object: 'MONDO:0005148', predicate: 'biolink:treats', sources: sources }
+          }
+        },
+        auxiliary_graphs: {},
+        results: [{
+          node_bindings: { sn: [{ id: 'CHEBI:6801' }], on: [{ id: 'MONDO:0005148' }] },
+          analyses: [{ resource_id: 'infores:aragorn', edge_bindings: { t_edge: [{ id: 'e0' }] } }]
+        }]
+      }
+    }]
+  };
+}
+
+async function summarize(config, port, timeoutMs, httpClient = new HTTPClient({ timeout_ms: timeoutMs }), maxConcurrency = 2) {
+  const annotationClient = new KGAnnotationClient(`http://localhost:${port}`, ANNOTATOR_PATH,
+    config.annotation_endpoint.fields, 1, httpClient, maxConcurrency);
+  const translatorAdapter = new TranslatorServicexFEAdapter(null, annotationClient);
+  return (await translatorAdapter.queryResultsToFE(makeQueryResults(), 3)).data;
+}
+
+async function testAnnotatesNodes(config) {
+  const server = await startMockAnnotator({
+    port: 0,
+    pull_uri: ANNOTATOR_PATH,
+    data_file: 'mock/data/annotator/annotations.json',
+    delay_ms: 0
+  });
+
+  try {
+    const summary = await summarize(config, server.address().port, 1000);
+    const drug = summary.nodes['CHEBI:6801'];
+    assert.ok(drug.tags['r/fda/4'], 'Expected the drug to be tagged with its FDA approval');
+    assert.ok(drug.descriptions.length > 0, 'Expected the drug to have a description');
+    assert.ok(summary.nodes['MONDO:0005148'].curies.includes('MESH:D003924'), 'Expected the disease MeSH xref');
+    assert.strictEqual(summary.errors['biothings-annotator'], undefined);
+  } finally {
+    server.close();
+  }
+}
+
+async function testReportsTimeouts(config) {
+  const server = await startMockAnnotator({
+    port: 0,
+    pull_uri: ANNOTATOR_PATH,
+    data_file: 'mock/data/annotator/annotations.json',
+    delay_ms: 500
+  });
+
+  try {
+    const summary = await summarize(config, server.address().port, 50);
+    // Both nodes are sent in their own batch, and both time out
+    assert.strictEqual(summary.errors['biothings-annotator'].length, 2);
+    assert.strictEqual(summary.results.length, 1);
+    assert.strictEqual(summary.nodes['CHEBI:6801'].tags['r/fda/4'], undefined);
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+}
+
+async function testLimitsConcurrency(config) {
+  const server = await startMockAnnotator({
+    port: 0,
+    pull_uri: ANNOTATOR_PATH,
+    data_file: 'mock/data/annotator/annotations.json',
+    delay_ms: 50
+  });
+
+  // Count the requests the annotator is working on at once
+  const httpClient = new HTTPClient({ timeout_ms: 1000 });
+  const sendRecvJSON = httpClient.sendRecvJSON.bind(httpClient);
+  let inFlight = 0;
+  let maxInFlight = 0;
+  httpClient.sendRecvJSON = async (...args) => {
+    inFlight += 1;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    try {
+      return await sendRecvJSON(...args);
+    } finally {
+      inFlight -= 1;
+    }
+  };
+
+  try {
+    const summary = await summarize(config, server.address().port, 1000, httpClient, 1);
+    assert.strictEqual(maxInFlight, 1, 'Expected the batches to be sent one at a time');
+    assert.ok(summary.nodes['CHEBI:6801'].tags['r/fda/4'], 'Expected every batch to be annotated');
+    assert.ok(summary.nodes['MONDO:0005148'].curies.includes('MESH:D003924'));
+  } finally {
+    server.close();
+  }
+}
+
+const config = await loadSummarizationConfig();
+await testAnnotatesNodes(config);
+await testReportsTimeouts(config);
+await testLimitsConcurrency(config);
+console.log('Annotation tests passed');
@@ -0,0 +1,89 @@
+'use strict'
+import * as assert from 'assert';
+import { default as express } from 'express';
+import * as cmn from '../lib/common.mjs';
+import { DeepLinkController } from '../controllers/DeepLinkController.mjs';
+
+function makeCachedQuery(type, id, direction, uuid) {
+  return { name: id, type: type, allow_inbound: true, allow_outbound: true, direction: direction, uuid: uuid, id: id };
+}
+
+// Serves the deep links of the production config, the way HTTPServer does
+async function startServer() {
+  const serverConfig = await cmn.readJson('./configurations/production.json');
+  const config = {
+    deep_links: serverConfig.deep_links,
+    frontend: {
+      cached_queries: [
+        makeCachedQuery('drug', 'MONDO:0007254', null, 'drug-uuid'),
+        makeCachedQuery('chemical', 'NCBIGene:55768', 'increased', 'gene-increased-uuid'),
+        makeCachedQuery('chemical', 'NCBIGene:55768', 'decreased', 'gene-decreased-uuid'),
+        makeCachedQuery('gene', 'CHEBI:6801', 'decreased', 'chemical-uuid')
+      ]
+    }
+  };
+  const controller = new DeepLinkController(config, null);
+  const app = express();
+  controller.links().forEach(link => {
+    app.get(link.path, controller.handleDeepLink.bind(controller, link));
+  });
+
+  const server = await new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+  server.url = `http://127.0.0.1:${server.address().port}`;
+  return server;
+}
+
+async function get(server, path) {
+  const resp = await fetch(`${server.url}${path}`, { redirect: 'manual' });
+  return [resp.status, resp.headers.get('location')];
+}
+
+function redirectParams(location) {
+  return Object.fromEntries(new URL(location, 'http://fe').searchParams);
+}
+
+// The URLs served before deep links were configurable name the kind of thing their CURIE is
+async function testOldURLs() {
+  const server = await startServer();
+  try {
+    let [status, location] = await get(server, '/demo/disease/MONDO:0007254');
+    assert.strictEqual(status, 302);
+    assert.strictEqual(redirectParams(location).q, 'drug-uuid');
+
+    [status, location] = await get(server, '/demo/gene/NCBIGene:55768');
+    assert.strictEqual(status, 302);
+    assert.strictEqual(redirectParams(location).t, '2');
+    assert.ok(['gene-increased-uuid', 'gene-decreased-uuid'].includes(redirectParams(location).q));
+
+    [status, location] = await get(server, '/demo/chemical/CHEBI:6801');
+    assert.strictEqual(status, 302);
+    assert.strictEqual(redirectParams(location).t, '1');
+    assert.strictEqual(redirectParams(location).q, 'chemical-uuid');
+
+    // A gene is never looked up among the queries that pin a chemical, and the other way around
+    assert.strictEqual((await get(server, '/demo/chemical/NCBIGene:55768'))[0], 403);
+    assert.strictEqual((await get(server, '/demo/gene/CHEBI:6801'))[0], 403);
+    assert.strictEqual((await get(server, '/demo/disease/MONDO:0000001'))[0], 403);
+  } finally {
+    server.close();
+  }
+}
+
+async function testDirection() {
+  const server = await startServer();
+  try {
+    const [status, location] = await get(server, '/demo/gene/NCBIGene:55768/decreased');
+    assert.strictEqual(status, 302);
+    assert.deepStrictEqual(redirectParams(location),
+      { l: 'NCBIGene:55768', i: 'NCBIGene:55768', t: '2', d: 'decreased', q: 'gene-decreased-uuid' });
+    assert.strictEqual((await get(server, '/demo/chemical/CHEBI:6801/increased'))[0], 403);
+  } finally {
+    server.close();
+  }
+}
+
+await testOldURLs();
+await testDirection();
+console.log('Deep link tests passed');
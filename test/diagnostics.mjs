@@ -0,0 +1,143 @@
+'use strict'
+import * as assert from 'assert';
+import { TranslatorServicexFEAdapter } from '../adapters/TranslatorServicexFEAdapter.mjs';
+import { QueryAPIController } from '../controllers/QueryAPIController.mjs';
+import { SummaryFragmentStoreMemory } from '../stores/SummaryFragmentStoreMemory.mjs';
+import { loadSummarizationConfig } from './lib/setup.mjs';
+
+const QID = '6f0c6c57-4b2c-4e0b-9e51-6ad1d0c1c9a1';
+const DISEASE = 'MONDO:0005148';
+
+function sources(primary) {
+  return [{ resource_id: primary, resource_role: 'primary_knowledge_source' }];
+}
+
+/* A treats answer with two drugs. The treats edge of the first is supported by an aux graph
+ * with a gene in between. What goes wrong with the answer:
+ *   - one of the edges of the aux graph has a predicate that is not in Biolink
+ *   - the gene edge comes from a knowledge source that is not in the infores catalog
+ *   - the treats edge of the second drug is supported by an aux graph that is not in the answer
+ *   - a third result refers to an edge that is not in the knowledge graph
+ */
+function makeAnswer() {
+  const supportGraphs = (ids) => [{ attribute_type_id: 'biolink:support_graphs', value: ids }];
+  return {
+    query_graph: {
+      nodes: { sn: { categories: ['biolink:ChemicalEntity'] }, on: { categories: ['biolink:Disease'], ids: [DISEASE] } },
+      edges: { t_edge: { subject: 'sn', object: 'on', predicates: ['biolink:treats'], knowledge_type: 'inferred' } }
+    },
+    knowledge_graph: {
+      nodes: {
+        'CHEBI:6801': { name: 'metformin', categories: ['biolink:SmallMolecule'], attributes: [] },
+        'CHEBI:6802': { name: 'other drug', categories: ['biolink:SmallMolecule'], attributes: [] },
+        'NCBIGene:5562': { name: 'PRKAA1', categories: ['biolink:Gene'], attributes: [] },
+        [DISEASE]: { name: 'type 2 diabetes mellitus', categories: ['biolink:Disease'], attributes: [] }
+      },
+      edges: {
+        t0: { subject: 'CHEBI:6801', object: DISEASE, predicate: 'biolink:treats',
+              sources: sources('infores:aragorn'), attributes: supportGraphs(['sg0']) },
+        e0: { subject: 'CHEBI:6801', object: 'NCBIGene:5562', predicate: 'biolink:affects',
+              sources: sources('infores:ctd'), attributes: [] },
+        e1: { subject: 'NCBIGene:5562', object: DISEASE, predicate: 'biolink:gene_associated_with_condition',
+              sources: sources('infores:nosuch'), attributes: [] },
+        e2: { subject: 'CHEBI:6801', object: 'NCBIGene:5562', predicate: 'biolink:frobnicates',
+              sources: sources('infores:ctd'), attributes: [] },
+        t1: { subject: 'CHEBI:6802', object: DISEASE, predicate: 'biolink:treats',
+              sources: sources('infores:aragorn'), attributes: supportGraphs(['missing-sg']) }
+      }
+    },
+    auxiliary_graphs: { sg0: { edges: ['e0', 'e1', 'e2'] } },
+    results: [
+      {
+        node_bindings: { sn: [{ id: 'CHEBI:6801' }], on: [{ id: DISEASE }] },
+        analyses: [{ resource_id: 'infores:aragorn', edge_bindings: { t_edge: [{ id: 't0' }] } }]
+      },
+      {
+        node_bindings: { sn: [{ id: 'CHEBI:6802' }], on: [{ id: DISEASE }] },
+        analyses: [{ resource_id: 'infores:aragorn', edge_bindings: { t_edge: [{ id: 't1' }] } }]
+      },
+      {
+        node_bindings: { sn: [{ id: 'CHEBI:6802' }], on: [{ id: DISEASE }] },
+        analyses: [{ resource_id: 'infores:aragorn', edge_bindings: { t_edge: [{ id: 'missing-edge' }] } }]
+      }
+    ]
+  };
+}
+
+// An ARS client message with the answer of a single ARA
+function makeMsg() {
+  return {
+    pk: QID,
+    completed: [{ agent: 'ara-aragorn', uuid: 'uuid-aragorn', status: 'Done', code: 200, data: makeAnswer() }],
+    running: [],
+    errored: [],
+    skipped: [],
+    filtered: [],
+    meta: { timestamp: 't0' }
+  };
+}
+
+function makeAdapter() {
+  return new TranslatorServicexFEAdapter(new SummaryFragmentStoreMemory(10));
+}
+
+function makeRes() {
+  const res = {};
+  res.status = (code) => { res.code = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+}
+
+async function testCounts() {
+  const diagnostics = await makeAdapter().queryResultsToDiagnostics(makeMsg(), 3);
+  assert.strictEqual(diagnostics.data.qid, QID);
+  const ad = diagnostics.data.agents['ara-aragorn'];
+  assert.strictEqual(ad.results, 3);
+  assert.strictEqual(ad.analyses, 3);
+  assert.deepStrictEqual(ad.failed_analyses, { missing_aux_graph: 1, missing_kgraph_edge: 1 });
+  assert.deepStrictEqual(ad.missing_aux_graphs, ['missing-sg']);
+  // The treats edge and the two gene edges left of the aux graph
+  assert.strictEqual(ad.rgraph_edges, 3);
+
+  // Knowledge graph edges and summary edges are counted apart
+  assert.deepStrictEqual(ad.dropped_kgraph_edges, { non_biolink_predicate: 1 });
+  // Dropping the edge with the unknown source drops the path through the gene, and the other gene edge with it
+  assert.deepStrictEqual(ad.dropped_summary_edges, { unknown_provenance: 1, unreferenced: 1 });
+  assert.strictEqual(ad.paths, 2);
+  assert.strictEqual(ad.final_paths, 1);
+  assert.deepStrictEqual(ad.dropped_paths, { missing_edge: 1 });
+  assert.strictEqual(ad.truncated_results, 0);
+}
+
+async function testEndpoint() {
+  const translatorService = {
+    filters: [],
+    async getResults(qid, filters) {
+      this.filters.push(filters);
+      return makeMsg();
+    },
+    outputAdapter: makeAdapter()
+  };
+  const controller = new QueryAPIController({ max_hops: 3, ars_endpoint: { use_ars_merging: true } },
+    translatorService, {}, null, null, null);
+
+  const res = makeRes();
+  await controller.getQueryDiagnostics({ params: { qid: QID }, query: {} }, res);
+  assert.strictEqual(res.code, 200);
+  assert.deepStrictEqual(res.body, await makeAdapter().queryResultsToDiagnostics(makeMsg(), 3));
+
+  // Diagnostics can be asked for the agents of interest only
+  const filtered = makeRes();
+  await controller.getQueryDiagnostics({ params: { qid: QID }, query: { agents: 'infores:aragorn' } }, filtered);
+  assert.strictEqual(filtered.code, 200);
+  assert.deepStrictEqual(translatorService.filters, [{}, { agents: ['infores:aragorn'] }]);
+
+  const malformed = makeRes();
+  await controller.getQueryDiagnostics({ params: {}, query: {} }, malformed);
+  assert.strictEqual(malformed.code, 400);
+}
+
+await loadSummarizationConfig();
+await testCounts();
+await testEndpoint();
+console.log('Diagnostics tests passed');
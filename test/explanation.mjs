@@ -0,0 +1,109 @@
+'use strict'
+import * as assert from 'assert';
+import { predicateToPhrase, explainPath, explainResult } from '../lib/explanation.mjs';
+import { loadSummarizationConfig } from './lib/setup.mjs';
+
+const DECREASES_ACTIVITY = {
+  'qualified predicate': 'causes',
+  'object aspect qualifier': 'activity',
+  'object direction qualifier': 'decreased'
+};
+
+function testPhrases() {
+  assert.deepStrictEqual(predicateToPhrase('treats', false), { aspect: null, verb: 'treats' });
+  // Predicates that read after 'is'
+  assert.deepStrictEqual(predicateToPhrase('related to', false), { aspect: null, verb: 'is related to' });
+  assert.deepStrictEqual(predicateToPhrase('in clinical trials for', false),
+    { aspect: null, verb: 'is in clinical trials for' });
+  // Predicates that name the classes they connect
+  assert.deepStrictEqual(predicateToPhrase('gene associated with condition', false),
+    { aspect: null, verb: 'is associated with' });
+  assert.deepStrictEqual(predicateToPhrase('gene associated with condition', false, true),
+    { aspect: null, verb: 'is associated with' });
+}
+
+function testInversion() {
+  assert.deepStrictEqual(predicateToPhrase('treats', false, true), { aspect: null, verb: 'is treated by' });
+  assert.deepStrictEqual(predicateToPhrase('has phenotype', false, true), { aspect: null, verb: 'is phenotype of' });
+}
+
+function testDirectionQualifiers() {
+  // The direction is the verb, and the aspect says what of the object it applies to
+  assert.deepStrictEqual(predicateToPhrase('affects', DECREASES_ACTIVITY),
+    { aspect: null, verb: 'decreases activity of' });
+  assert.deepStrictEqual(predicateToPhrase('affects', DECREASES_ACTIVITY, true),
+    { aspect: 'activity', verb: 'is decreased by' });
+  // Without a predicate that reads as a change, the direction stays with the aspect
+  const interacts = { 'object aspect qualifier': 'activity', 'object direction qualifier': 'decreased' };
+  assert.deepStrictEqual(predicateToPhrase('interacts with', interacts),
+    { aspect: null, verb: 'interacts with decreased activity of' });
+}
+
+function testSubjectAspect() {
+  const qualifiers = {
+    'subject aspect qualifier': 'abundance',
+    'subject direction qualifier': 'increased',
+    'object aspect qualifier': 'expression'
+  };
+  assert.deepStrictEqual(predicateToPhrase('affects', qualifiers),
+    { aspect: 'increased abundance', verb: 'affects expression of' });
+  assert.deepStrictEqual(predicateToPhrase('affects', qualifiers, true),
+    { aspect: 'expression', verb: 'is affected by increased abundance of' });
+}
+
+// Predicates that are not in the Biolink model read as they are, and have no inverse
+function testNonBiolinkFallback() {
+  assert.deepStrictEqual(predicateToPhrase('frobnicates', false), { aspect: null, verb: 'frobnicates' });
+  assert.deepStrictEqual(predicateToPhrase('frobnicates', false, true), { aspect: null, verb: 'is related to' });
+}
+
+function testExplainPath() {
+  const nodes = {
+    'CHEBI:6801': { names: ['metformin'] },
+    'NCBIGene:5562': { names: ['PRKAA1'] },
+    'MONDO:0005148': { names: ['type 2 diabetes mellitus'] },
+    'UMLS:1': { names: [] }
+  };
+  const phrases = {
+    e0: predicateToPhrase('affects', DECREASES_ACTIVITY),
+    e1: predicateToPhrase('gene associated with condition', false),
+    e2: predicateToPhrase('affects', DECREASES_ACTIVITY, true),
+    e3: predicateToPhrase('treats', false)
+  };
+  assert.strictEqual(explainPath(['CHEBI:6801', 'e0', 'NCBIGene:5562', 'e1', 'MONDO:0005148'], nodes, phrases),
+    'metformin decreases activity of PRKAA1, which is associated with type 2 diabetes mellitus');
+  // An aspect of the first node starts the sentence, and later ones are introduced with 'whose'
+  assert.strictEqual(explainPath(['NCBIGene:5562', 'e2', 'CHEBI:6801', 'e3', 'MONDO:0005148'], nodes, phrases),
+    'Activity of PRKAA1 is decreased by metformin, which treats type 2 diabetes mellitus');
+  assert.strictEqual(explainPath(['CHEBI:6801', 'e0', 'NCBIGene:5562', 'e2', 'CHEBI:6801'], nodes, phrases),
+    'metformin decreases activity of PRKAA1, whose activity is decreased by metformin');
+  // Nodes without a name go by their id
+  assert.strictEqual(explainPath(['UMLS:1', 'e3', 'MONDO:0005148'], nodes, phrases), 'UMLS:1 treats type 2 diabetes mellitus');
+}
+
+function testExplainResult() {
+  const paths = {
+    p0: { subgraph: ['a', 'e0', 'b'], explanation: 'a treats b' },
+    s0: { explanation: 'a affects c, which causes b' },
+    s1: { explanation: 'a affects d, which causes b' },
+    s2: { explanation: 'a affects e, which causes b' },
+    s3: { explanation: 'a affects f, which causes b' }
+  };
+  const edges = { e0: { support: ['s0', 's1', 's2', 's3', 'missing'] } };
+  assert.strictEqual(explainResult({ paths: ['p0'] }, paths, edges),
+    'a treats b. This is inferred from: a affects c, which causes b; a affects d, which causes b; ' +
+    'a affects e, which causes b; and 1 more.');
+
+  edges.e0.support = [];
+  assert.strictEqual(explainResult({ paths: ['p0', 'p0'] }, paths, edges), 'a treats b.');
+}
+
+await loadSummarizationConfig();
+testPhrases();
+testInversion();
+testDirectionQualifiers();
+testSubjectAspect();
+testNonBiolinkFallback();
+testExplainPath();
+testExplainResult();
+console.log('Explanation tests passed');
@@ -0,0 +1,196 @@
+'use strict'
+import * as assert from 'assert';
+import { loadFESchemas, negotiateSchemaVersion, validateFEPayload } from '../lib/fe-schemas.mjs';
+import { TranslatorServicexFEAdapter } from '../adapters/TranslatorServicexFEAdapter.mjs';
+import { SummaryFragmentStoreMemory } from '../stores/SummaryFragmentStoreMemory.mjs';
+import { QueryAPIController } from '../controllers/QueryAPIController.mjs';
+import { FEContractController } from '../controllers/FEContractController.mjs';
+import { loadSummarizationConfig } from './lib/setup.mjs';
+
+const QID = '6f0c6c57-4b2c-4e0b-9e51-6ad1d0c1c9a1';
+const DISEASE = 'MONDO:0005148';
+const VERSION = '1.0';
+
+const RANKING = {
+  default_strategy: 'ara',
+  strategies: { ara: { ara_score: 1 } },
+  knowledge_level_weights: {}
+};
+
+function sources(primary) {
+  return [{ resource_id: primary, resource_role: 'primary_knowledge_source' }];
+}
+
+/* A treats answer about the given drugs. The treats edge of the first drug is supported by an aux
+ * graph with a gene in between, whose first edge has publications.
+ */
+function makeAnswer(agent, drugs) {
+  const nodes = {
+    'NCBIGene:5562': { name: 'PRKAA1', categories: ['biolink:Gene'], attributes: [] },
+    [DISEASE]: { name: 'type 2 diabetes mellitus', categories: ['biolink:Disease'], attributes: [] }
+  };
+  const edges = {
+    e0: { subject: drugs[0][0], object: 'NCBIGene:5562', predicate: 'biolink:affects', sources: sources('infores:ctd'),
+          attributes: [{ attribute_type_id: 'biolink:publications', value: ['PMID:1', 'PMID:2'] }] },
+    e1: { subject: 'NCBIGene:5562', object: DISEASE, predicate: 'biolink:gene_associated_with_condition',
+          sources: sources('infores:ctd'), attributes: [] }
+  };
+  const results = [];
+  drugs.forEach(([drug, name], i) => {
+    nodes[drug] = { name: name, categories: ['biolink:SmallMolecule'], attributes: [] };
+    edges[`t${i}`] = { subject: drug, object: DISEASE, predicate: 'biolink:treats', sources: sources(agent),
+                       attributes: i === 0 ? [{ attribute_type_id: 'biolink:support_graphs', value: ['sg0'] }] : [] };
+    results.push({
+      node_bindings: { sn: [{ id: drug }], on: [{ id: DISEASE }] },
+      analyses: [{ resource_id: agent, score: 0.5 + i / 10, edge_bindings: { t_edge: [{ id: `t${i}` }] } }]
+    });
+  });
+
+  return {
+    query_graph: {
+      nodes: { sn: { categories: ['biolink:ChemicalEntity'] }, on: { categories: ['biolink:Disease'], ids: [DISEASE] } },
+      edges: { t_edge: { subject: 'sn', object: 'on', predicates: ['biolink:treats'], knowledge_type: 'inferred' } }
+    },
+    knowledge_graph: { nodes: nodes, edges: edges },
+    auxiliary_graphs: { sg0: { edges: ['e0', 'e1'] } },
+    results: results
+  };
+}
+
+// An ARS client message with the answers of ARAGORN and ARAX, and BTE still running
+function makeMsg() {
+  return {
+    pk: QID,
+    queuing: false,
+    completed: [
+      { agent: 'ara-aragorn', uuid: 'aragorn', status: 'Done', code: 200,
+        data: makeAnswer('infores:aragorn', [['CHEBI:6801', 'metformin'], ['CHEBI:6802', 'other drug']]) },
+      { agent: 'ara-arax', uuid: 'arax', status: 'Done', code: 200,
+        data: makeAnswer('infores:arax', [['CHEBI:6803', 'third drug']]) }
+    ],
+    running: [{ agent: 'ara-bte', uuid: 'bte', status: 'Running', code: 202, result_count: null }],
+    errored: [],
+    skipped: [],
+    filtered: [],
+    meta: { timestamp: '2026-10-18T00:00:00Z' }
+  };
+}
+
+function versioned(body) {
+  return { ...body, schema_version: VERSION };
+}
+
+function testNegotiation() {
+  for (const asked of [undefined, '', '  ', '1', 'v1', 'V1', ' 1 ', '01', '1.0', 'v1.0']) {
+    assert.strictEqual(negotiateSchemaVersion(asked), VERSION, `Expected ${JSON.stringify(asked)} to get ${VERSION}`);
+  }
+  // Minor versions newer than the one served, majors that are not served, and garbage are refused
+  for (const asked of ['1.1', 'v1.1', '2', 'v2', '0', 'garbage', 'v', '1.x', '1.0.0', 'v 1', '1,0']) {
+    assert.strictEqual(negotiateSchemaVersion(asked), null, `Expected ${JSON.stringify(asked)} to be refused`);
+  }
+}
+
+function testSubmitAndStatus(adapter) {
+  assert.strictEqual(validateFEPayload(VERSION, 'submit', versioned({ status: 'success', data: QID })), null);
+  assert.notStrictEqual(validateFEPayload(VERSION, 'submit', versioned({ status: 'success', data: { qid: QID } })), null);
+  assert.notStrictEqual(validateFEPayload(VERSION, 'submit', { status: 'success', data: QID }), null);
+
+  const status = adapter.queryStatusToFE(makeMsg());
+  assert.strictEqual(validateFEPayload(VERSION, 'status', versioned(status)), null);
+  status.data.agents[0].state = 'lost';
+  assert.deepStrictEqual(validateFEPayload(VERSION, 'status', versioned(status)),
+    ['/data/agents/0/state must be equal to one of the allowed values']);
+}
+
+function makeController(adapter, summary) {
+  const translatorService = { getQueryStatus: async (qid, filters) => makeMsg(), outputAdapter: adapter };
+  const resultCache = {
+    makeFilterKey: (filters) => '',
+    makeKey: (msg) => 'key',
+    getResult: async (qid, cacheKey, filterKey) => summary
+  };
+  const userService = { updateUserQueryStatus: async (qid, status) => {} };
+  return new QueryAPIController({ ranking: RANKING, ars_endpoint: { use_ars_merging: false } }, translatorService, {},
+    resultCache, null, userService);
+}
+
+async function getResult(controller, query) {
+  const res = {};
+  res.status = (code) => { res.code = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  await controller.getQueryResult({ params: { qid: QID }, query: query }, res);
+  assert.strictEqual(res.code, 200, `Expected ${JSON.stringify(query)} to be fine`);
+  return res.body;
+}
+
+// Whole summaries, deltas and pages of ranked results all hold to the summary schema
+async function testSummary(adapter) {
+  const summary = await adapter.queryResultsToFE(makeMsg(), 3);
+  assert.strictEqual(summary.data.results.length, 3);
+  assert.strictEqual(validateFEPayload(VERSION, 'summary', versioned(summary)), null);
+
+  const controller = makeController(adapter, summary);
+  const whole = await getResult(controller, {});
+  assert.ok(whole.data.facets !== undefined);
+  assert.strictEqual(validateFEPayload(VERSION, 'summary', versioned(whole)), null);
+
+  const delta = await getResult(controller, { since: 'ara-aragorn' });
+  assert.deepStrictEqual(delta.data.since, ['ara-aragorn']);
+  assert.deepStrictEqual(delta.data.results.map(result => result.drug_name), ['third drug']);
+  assert.strictEqual(validateFEPayload(VERSION, 'summary', versioned(delta)), null);
+
+  const page = await getResult(controller, { sort: 'ara', limit: '1', offset: '1', include_tags: 'r/ara/infores:aragorn' });
+  assert.deepStrictEqual(page.data.page, { offset: 1, limit: 1, total: 2, next_offset: null });
+  assert.ok(page.data.results[0].ranking !== undefined);
+  assert.strictEqual(validateFEPayload(VERSION, 'summary', versioned(page)), null);
+
+  const broken = versioned(page);
+  broken.data = Object.assign({}, page.data, { page: Object.assign({}, page.data.page, { total: null }) });
+  delete broken.data.results;
+  assert.deepStrictEqual(validateFEPayload(VERSION, 'summary', broken),
+    ["/data must have required property 'results'", '/data/page/total must be integer']);
+}
+
+function makeRes() {
+  const res = { statusCode: 200, headers: {} };
+  res.vary = (header) => {};
+  res.set = (header, value) => { res.headers[header] = value; return res; };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+}
+
+// Runs a route behind the contract, with the route sending the given body
+function sendThroughContract(acceptVersion, payload, body) {
+  const contract = new FEContractController({ response_validation: { enabled: true } });
+  const res = makeRes();
+  const req = { get: (header) => header === 'Accept-Version' ? acceptVersion : undefined };
+  contract.negotiateSchemaVersion(payload, req, res, () => res.status(200).json(body));
+  return res;
+}
+
+function testContract() {
+  let res = sendThroughContract('v1', 'submit', { status: 'success', data: QID });
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.headers['Content-Version'], VERSION);
+  assert.deepStrictEqual(res.body, { status: 'success', data: QID, schema_version: VERSION });
+
+  res = sendThroughContract('1.1', 'submit', { status: 'success', data: QID });
+  assert.strictEqual(res.statusCode, 406);
+  assert.deepStrictEqual(res.body.data, { message: 'Unsupported schema version: 1.1', supported_versions: [VERSION] });
+
+  // Payloads breaking their schema are not sent
+  res = sendThroughContract(undefined, 'submit', { status: 'success', data: 42 });
+  assert.strictEqual(res.statusCode, 500);
+  assert.deepStrictEqual(res.body.data.errors, ['/data must be string']);
+}
+
+assert.throws(() => validateFEPayload(VERSION, 'submit', {}), /not been loaded/);
+await loadSummarizationConfig();
+await loadFESchemas();
+const adapter = new TranslatorServicexFEAdapter(new SummaryFragmentStoreMemory(10));
+testNegotiation();
+testSubmitAndStatus(adapter);
+await testSummary(adapter);
+testContract();
+console.log('FE schema tests passed');
@@ -0,0 +1,127 @@
+'use strict'
+import * as assert from 'assert';
+import { default as http } from 'node:http';
+import { default as zlib } from 'node:zlib';
+import { HTTPClient, HTTPError, HTTPTimeoutError, CircuitOpenError } from '../lib/HTTPClient.mjs';
+
+// Answers every request with the next of the given [status, body] responses
+async function startServer(responses) {
+  const server = http.createServer((req, res) => {
+    server.requests += 1;
+    const [status, body] = responses[Math.min(server.requests, responses.length) - 1];
+    res.writeHead(status);
+    res.end(body);
+  });
+  server.requests = 0;
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  server.url = `http://127.0.0.1:${server.address().port}/`;
+  return server;
+}
+
+function makeClient() {
+  return new HTTPClient({ timeout_ms: 1000, retries: 2, retry_base_ms: 1, retry_max_ms: 1 });
+}
+
+async function testDecodesJSON() {
+  const json = JSON.stringify({ a: 1 });
+  const server = await startServer([[200, json], [200, zlib.gzipSync(json)], [200, '<html>Bad gateway</html>']]);
+  try {
+    const client = makeClient();
+    assert.deepStrictEqual((await client.sendRecvJSON(server.url))[1], { a: 1 });
+    // Gzipped without a content-encoding header
+    assert.deepStrictEqual((await client.sendRecvJSON(server.url))[1], { a: 1 });
+    // Bodies that are not JSON fail with the JSON error, not with one from gunzip
+    await assert.rejects(client.sendRecvJSON(server.url), err => {
+      return err instanceof SyntaxError && /JSON/.test(err.message);
+    });
+  } finally {
+    server.close();
+  }
+}
+
+async function testRetries() {
+  const server = await startServer([[503, ''], [200, '{}']]);
+  try {
+    await makeClient().sendRecvJSON(server.url);
+    assert.strictEqual(server.requests, 2, 'Expected a GET to be retried');
+
+    server.requests = 0;
+    // Single use requests, like exchanging an OAuth code, are never retried
+    await assert.rejects(makeClient().sendRecvJSON(server.url, 'GET', {}, null, { retry: false }));
+    assert.strictEqual(server.requests, 1);
+  } finally {
+    server.close();
+  }
+}
+
+// Attempts that take too long are given up on, and retried like any other failure
+async function testTimeouts() {
+  const server = http.createServer((req, res) => {
+    // Never answer
+    server.requests += 1;
+  });
+  server.requests = 0;
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/`;
+  try {
+    const client = new HTTPClient({ timeout_ms: 50, retries: 1, retry_base_ms: 1, retry_max_ms: 1 });
+    await assert.rejects(client.sendRecvJSON(url), err => {
+      return err instanceof HTTPTimeoutError && err.method === 'GET' && err.url === url && err.timeoutMs === 50;
+    });
+    assert.strictEqual(server.requests, 2);
+
+    // Callers can wait longer than the client would
+    await assert.rejects(client.sendRecvJSON(url, 'GET', {}, null, { retry: false, timeoutMs: 100 }), err => {
+      return err instanceof HTTPTimeoutError && err.timeoutMs === 100;
+    });
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+}
+
+function makeBreakerClient(failureThreshold, resetMs) {
+  return new HTTPClient({ timeout_ms: 1000, retries: 0, circuit_breaker: { failure_threshold: failureThreshold, reset_ms: resetMs } });
+}
+
+/* The circuit opens after failure_threshold failures in a row and then fails fast. Once reset_ms is
+ * up a single probe decides whether it closes again.
+ */
+async function testCircuitBreaker() {
+  const responses = [[500, '']];
+  const server = await startServer(responses);
+  const isHTTPError = (err) => err instanceof HTTPError && err.status === 500;
+  try {
+    const client = makeBreakerClient(2, 100);
+    await assert.rejects(client.sendRecvJSON(server.url), isHTTPError);
+    await assert.rejects(client.sendRecvJSON(server.url), isHTTPError);
+    await assert.rejects(client.sendRecvJSON(server.url), CircuitOpenError);
+    assert.strictEqual(server.requests, 2, 'Expected the open circuit not to reach the server');
+    // Even for other clients with the same settings
+    await assert.rejects(makeBreakerClient(2, 100).sendRecvJSON(server.url), CircuitOpenError);
+
+    // Clients with other settings have a breaker of their own
+    await assert.rejects(makeBreakerClient(5, 100).sendRecvJSON(server.url), isHTTPError);
+    assert.strictEqual(server.requests, 3);
+
+    // A failed probe opens the circuit again right away
+    await new Promise(resolve => setTimeout(resolve, 120));
+    await assert.rejects(client.sendRecvJSON(server.url), isHTTPError);
+    await assert.rejects(client.sendRecvJSON(server.url), CircuitOpenError);
+    assert.strictEqual(server.requests, 4);
+
+    responses.push([200, '{}']);
+    await new Promise(resolve => setTimeout(resolve, 120));
+    assert.deepStrictEqual((await client.sendRecvJSON(server.url))[1], {});
+    assert.deepStrictEqual((await client.sendRecvJSON(server.url))[1], {});
+    assert.strictEqual(server.requests, 6);
+  } finally {
+    server.close();
+  }
+}
+
+await testDecodesJSON();
+await testRetries();
+await testTimeouts();
+await testCircuitBreaker();
+console.log('HTTP client tests passed');
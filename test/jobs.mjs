@@ -0,0 +1,164 @@
+'use strict'
+import * as assert from 'assert';
+import * as cmn from '../lib/common.mjs';
+import { JobScheduler } from '../services/JobScheduler.mjs';
+import { PrerunQueryJob } from '../services/PrerunQueryJob.mjs';
+import { CachedQueryStoreMemory } from '../stores/CachedQueryStoreMemory.mjs';
+
+function makeConfig() {
+  return {
+    frontend: {
+      cached_queries: [
+        { name: 'Breast Cancer', type: 'drug', direction: null, id: 'MONDO:0007254', uuid: 'old-1' },
+        { name: 'Hypertension', type: 'drug', direction: null, id: 'MONDO:0005044', uuid: 'old-2' }
+      ]
+    }
+  };
+}
+
+// Submits every query as a new pk. Queries about the CURIEs in failing never get one.
+function makeTranslatorService(failing = []) {
+  return {
+    submitted: 0,
+    retained: [],
+    inputToQuery(input) {
+      return input;
+    },
+    async submitQuery(query, forceNew) {
+      assert.ok(forceNew, 'Expected cached queries to never reuse an old submission');
+      if (failing.includes(query.curie)) {
+        throw new Error('ARS down');
+      }
+      this.submitted += 1;
+      return { pk: `new-${this.submitted}` };
+    },
+    async retainQuery(pk) {
+      this.retained.push(pk);
+    }
+  };
+}
+
+// Every query is done as soon as it is subscribed to
+function makeStatusPoller() {
+  return {
+    subscribe(pk, subscriber) {
+      subscriber.write({ type: 'done', data: { status: 'success' } });
+      subscriber.end();
+      return () => {};
+    }
+  };
+}
+
+async function testRefreshesCachedQueries() {
+  const config = makeConfig();
+  const service = makeTranslatorService(['MONDO:0005044']);
+  const store = new CachedQueryStoreMemory();
+  const job = new PrerunQueryJob(config, service, makeStatusPoller(), 0, store);
+  const result = await job.run();
+  assert.strictEqual(result.total, 2);
+  assert.strictEqual(result.refreshed, 1);
+  assert.strictEqual(result.failed[0].id, 'MONDO:0005044');
+  assert.deepStrictEqual(config.frontend.cached_queries.map(e => e.uuid), ['new-1', 'old-2']);
+  assert.deepStrictEqual(service.retained, ['new-1']);
+  // Only the new uuids are saved
+  assert.deepStrictEqual([...store.uuids.values()], ['new-1']);
+}
+
+// A restarted server starts from the config again, and swaps in the uuids of the last run
+async function testRestoresAfterRestart() {
+  const store = new CachedQueryStoreMemory();
+  await new PrerunQueryJob(makeConfig(), makeTranslatorService(), makeStatusPoller(), 0, store).run();
+
+  const config = makeConfig();
+  // Renaming a cached query keeps its uuid
+  config.frontend.cached_queries[1].name = 'Hypertensive disorder';
+  const job = new PrerunQueryJob(config, makeTranslatorService(), makeStatusPoller(), 0, store);
+  assert.strictEqual(await job.restoreCachedQueries(), 2);
+  assert.deepStrictEqual(config.frontend.cached_queries.map(e => e.uuid), ['new-1', 'new-2']);
+  assert.strictEqual(config.frontend.cached_queries[1].name, 'Hypertensive disorder');
+
+  // A failing store leaves the config as is
+  const failingStore = new CachedQueryStoreMemory();
+  failingStore.retrieveCachedQueryUuids = async () => { throw new Error('DB down'); };
+  const freshConfig = makeConfig();
+  const failingJob = new PrerunQueryJob(freshConfig, makeTranslatorService(), makeStatusPoller(), 0, failingStore);
+  assert.strictEqual(await failingJob.restoreCachedQueries(), 0);
+  assert.deepStrictEqual(freshConfig.frontend.cached_queries, makeConfig().frontend.cached_queries);
+}
+
+// A job that takes as long as the test says, and counts how many runs overlap
+function makeJob() {
+  return {
+    runs: 0,
+    running: 0,
+    maxRunning: 0,
+    delayMs: 30,
+    async run() {
+      this.running += 1;
+      this.maxRunning = Math.max(this.maxRunning, this.running);
+      await cmn.sleep(this.delayMs);
+      this.running -= 1;
+      this.runs += 1;
+      if (this.runs === 2) {
+        throw new Error('Second run failed');
+      }
+      return { runs: this.runs };
+    }
+  };
+}
+
+async function testScheduler() {
+  const scheduler = new JobScheduler();
+  const job = makeJob();
+  scheduler.register('test', job, 3600);
+  assert.throws(() => scheduler.register('test', job, 3600));
+  assert.strictEqual(scheduler.runNow('missing'), false);
+
+  assert.strictEqual(scheduler.runNow('test'), true);
+  // Never runs again while a run is going on
+  assert.strictEqual(scheduler.runNow('test'), false);
+  assert.strictEqual(scheduler.jobStatus('test').running, true);
+  await cmn.sleep(job.delayMs * 2);
+  let status = scheduler.jobStatus('test');
+  assert.strictEqual(status.running, false);
+  assert.strictEqual(status.runs, 1);
+  assert.strictEqual(status.last_status, 'success');
+  assert.deepStrictEqual(status.last_result, { runs: 1 });
+  // Not started, so nothing is scheduled after runNow
+  assert.strictEqual(status.next_run, null);
+
+  scheduler.runNow('test');
+  await cmn.sleep(job.delayMs * 2);
+  status = scheduler.jobStatus('test');
+  assert.strictEqual(status.last_status, 'error');
+  assert.strictEqual(status.last_error, 'Error: Second run failed');
+  assert.strictEqual(job.maxRunning, 1);
+  assert.deepStrictEqual(scheduler.status().map(e => e.name), ['test']);
+  assert.strictEqual(scheduler.jobStatus('missing'), null);
+}
+
+async function testSchedulerStart() {
+  const scheduler = new JobScheduler();
+  const atStart = makeJob();
+  const later = makeJob();
+  scheduler.register('at_start', atStart, 3600, true);
+  scheduler.register('later', later, 3600);
+  scheduler.start();
+  try {
+    assert.ok(scheduler.jobStatus('later').next_run > new Date(Date.now() + 3000 * 1000));
+    await cmn.sleep(atStart.delayMs * 2);
+    assert.strictEqual(atStart.runs, 1);
+    assert.strictEqual(later.runs, 0);
+    // The next run is an interval after the end of the last one
+    assert.ok(scheduler.jobStatus('at_start').next_run > new Date(Date.now() + 3000 * 1000));
+  } finally {
+    scheduler.stop();
+  }
+  assert.strictEqual(scheduler.jobStatus('at_start').next_run, null);
+}
+
+await testRefreshesCachedQueries();
+await testRestoresAfterRestart();
+await testScheduler();
+await testSchedulerStart();
+console.log('Job tests passed');
@@ -0,0 +1,24 @@
+'use strict';
+
+import { parentPort, workerData } from 'node:worker_threads';
+
+/* Stands in for services/SummaryWorker.mjs in the summary worker pool tests. Every job answers with
+ * the pk of its message after msg.delay_ms, or exits the thread if msg.crash is set.
+ *
+ * workerData: { fail_at_start } to exit as soon as the thread starts
+ */
+if (workerData.fail_at_start) {
+  throw new Error('Failing at start');
+}
+
+parentPort.on('message', async (job) => {
+  const msg = job.args[0];
+  if (msg.crash) {
+    process.exit(1);
+  }
+
+  await new Promise(resolve => setTimeout(resolve, msg.delay_ms || 0));
+  if (job.id !== null) {
+    parentPort.postMessage({ id: job.id, result: { pk: msg.pk, method: job.method } });
+  }
+});
@@ -0,0 +1,19 @@
+import * as cmn from '../../lib/common.mjs';
+import { loadBiolink } from '../../lib/biolink-model.mjs';
+import { loadChebi } from '../../lib/chebi.mjs';
+import { loadQueryTemplates } from '../../lib/query-templates.mjs';
+
+/* Loads what summarizing needs from a server config. Unlike bootstrapConfig it leaves out the
+ * sections loaded from other files, except for the query templates, so no secrets are needed.
+ */
+export async function loadSummarizationConfig(configFile = './configurations/production.json') {
+  const config = await cmn.readJson(configFile);
+  config.query_templates = await cmn.readJson(config._load_query_templates);
+  await loadBiolink(config.biolink.version,
+                    config.biolink.support_deprecated_predicates,
+                    config.biolink.infores_catalog,
+                    config.biolink.prefix_catalog);
+  await loadChebi();
+  loadQueryTemplates(config.query_templates);
+  return config;
+}
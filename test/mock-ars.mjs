@@ -0,0 +1,112 @@
+'use strict'
+import * as assert from 'assert';
+import { ARSClient } from '../lib/ARSClient.mjs';
+import { startMockARS } from '../mock/ars.mjs';
+
+// The query stored in mock/data/ars
+const STORED_PK = '0c1f6b43-2d8e-4a57-9a3b-5f2d7e8c9b10';
+const DISEASE = 'MONDO:0005148';
+const PARENT_AGENT = 'ars-default-agent';
+
+function makeQuery(disease) {
+  return {
+    message: {
+      query_graph: {
+        nodes: { sn: { categories: ['biolink:ChemicalEntity'] }, on: { categories: ['biolink:Disease'], ids: [disease] } },
+        edges: { t_edge: { subject: 'sn', object: 'on', predicates: ['biolink:treats'], knowledge_type: 'inferred' } }
+      }
+    }
+  };
+}
+
+function makeClient(port, useARSMerging) {
+  return new ARSClient(`http://localhost:${port}`, '/ars/api/messages', '/ars/api/submit', '/ars/api/retain',
+    useARSMerging, {}, '/ars/api/cancel');
+}
+
+function agents(entries) {
+  return entries.map(e => e.agent).sort();
+}
+
+function resultDrugs(message) {
+  return message.results.map(result => result.node_bindings.sn[0].id).sort();
+}
+
+// Resolves to the merged mode status of the query once the ARS is done with it
+async function waitForQuery(client, pk) {
+  for (let i = 0; i < 100; i++) {
+    const status = await client.getQueryStatus(pk, {});
+    if (status.completed.some(e => e.agent === PARENT_AGENT)) {
+      return status;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+
+  throw new Error(`Query ${pk} did not finish`);
+}
+
+// A submitted query plays out over time, with an errored child of its own on top of the stored one
+async function testMergedRun(port) {
+  const client = makeClient(port, true);
+  const [meta, resp] = await client.postQuery(makeQuery(DISEASE));
+  const pk = resp.pk;
+  assert.notStrictEqual(pk, STORED_PK);
+  assert.strictEqual(resp.fields.status, 'Running');
+
+  const status = await waitForQuery(client, pk);
+  assert.deepStrictEqual(agents(status.completed), ['ara-aragorn', 'ara-arax', PARENT_AGENT]);
+  assert.deepStrictEqual(status.running, []);
+
+  const results = await client.getQueryResults(pk, {});
+  // The latest merged version has the results of every child that completed
+  assert.deepStrictEqual(resultDrugs(results.completed[0].data), ['CHEBI:5441', 'CHEBI:6801', 'CHEBI:6801']);
+  const versions = results.completed.filter(e => e.agent !== PARENT_AGENT);
+  const first = versions.find(e => e.uuid !== results.completed[0].uuid);
+  const older = await client.getMergedVersionResults(pk, first.uuid);
+  assert.ok(older.completed[0].data.results.length < results.completed[0].data.results.length);
+
+  assert.strictEqual((await client.retainQuery(pk))[1], 'Retained');
+}
+
+// In child mode the errored children are reported, and completed ones come with their own results
+async function testChildResults(port) {
+  const client = makeClient(port, false);
+  // The stored query itself has been over since it was stored
+  const results = await client.getQueryResults(STORED_PK, {});
+  assert.deepStrictEqual(agents(results.completed), ['ara-aragorn', 'ara-arax']);
+  assert.deepStrictEqual(agents(results.errored), ['ara-bte', 'ara-mock-errored-1']);
+  assert.deepStrictEqual(results.running, []);
+  const aragorn = results.completed.find(e => e.agent === 'ara-aragorn');
+  assert.deepStrictEqual(resultDrugs(aragorn.data), ['CHEBI:5441', 'CHEBI:6801']);
+  assert.deepStrictEqual(Object.keys(aragorn.data.auxiliary_graphs), ['aragorn-sg0']);
+}
+
+// Children still running when a query is cancelled error out
+async function testCancel(port) {
+  const client = makeClient(port, false);
+  const pk = (await client.postQuery(makeQuery('MONDO:0007254')))[1].pk;
+  assert.strictEqual(await client.cancelQuery(pk), true);
+  const status = await client.getQueryStatus(pk, {});
+  assert.deepStrictEqual(status.completed, []);
+  assert.deepStrictEqual(status.errored.map(e => e.code), [499, 499, 499, 499]);
+}
+
+const server = await startMockARS({
+  port: 0,
+  data_dir: 'mock/data/ars',
+  queue_ms: 0,
+  stagger_ms: 20,
+  merge_ms: 10,
+  errored_children: 1
+});
+try {
+  const port = server.address().port;
+  await testMergedRun(port);
+  await testChildResults(port);
+  await testCancel(port);
+} finally {
+  server.closeAllConnections();
+  server.close();
+}
+console.log('Mock ARS tests passed');
@@ -0,0 +1,87 @@
+'use strict'
+import * as assert from 'assert';
+import { findRgraphPaths } from '../lib/trapi.mjs';
+
+/* A small rgraph, as undirected out edges:
+ *
+ *   S -e0- A -e1- E    S and A are connected by two edges, e0 and e4
+ *   S -e4- A -e5- B    A and B are connected by e5
+ *   S -e2- B -e3- E
+ *   S -e6- D -e7- F    a dead end that never reaches E
+ */
+function makeRgraph() {
+  const edges = [['e0', 'S', 'A'], ['e1', 'A', 'E'], ['e2', 'S', 'B'], ['e3', 'B', 'E'],
+                 ['e4', 'S', 'A'], ['e5', 'A', 'B'], ['e6', 'S', 'D'], ['e7', 'D', 'F']];
+  const outEdges = {};
+  const add = (rnode, redge, target) => {
+    outEdges[rnode] = outEdges[rnode] || [];
+    outEdges[rnode].push({ redge: redge, target: target });
+  };
+  edges.forEach(([redge, subject, object]) => {
+    add(subject, redge, object);
+    add(object, redge, subject);
+  });
+  return (rnode) => outEdges[rnode] || [];
+}
+
+// The exhaustive search that findRgraphPaths replaced, which sets the order paths are found in
+function exhaustivePaths(rnodeToOutEdges, start, ends, maxHops) {
+  const found = [];
+  const left = [[start]];
+  while (left.length > 0) {
+    const path = left.pop();
+    if (path.length > 2 * maxHops + 1) {
+      continue;
+    }
+    rnodeToOutEdges(path[path.length - 1]).forEach(edge => {
+      if (!path.includes(edge.target)) {
+        left.push([...path, edge.redge, edge.target]);
+      }
+    });
+    if (ends.includes(path[path.length - 1])) {
+      found.push(path);
+    }
+  }
+  return found;
+}
+
+function testOrder() {
+  const rgraph = makeRgraph();
+  for (let maxHops = 1; maxHops <= 4; maxHops++) {
+    const [paths, truncated] = findRgraphPaths(rgraph, 'S', ['E'], maxHops, Infinity);
+    assert.deepStrictEqual(paths, exhaustivePaths(rgraph, 'S', ['E'], maxHops), `Expected the old order with ${maxHops} hops`);
+    assert.strictEqual(truncated, false);
+  }
+
+  // Several ends, with a path that goes through one end to get to another
+  const [paths] = findRgraphPaths(rgraph, 'S', ['A', 'E'], 3, Infinity);
+  assert.deepStrictEqual(paths, exhaustivePaths(rgraph, 'S', ['A', 'E'], 3));
+}
+
+function testHopLimit() {
+  const rgraph = makeRgraph();
+  const hops = (maxHops) => findRgraphPaths(rgraph, 'S', ['E'], maxHops, Infinity)[0].map(path => (path.length - 1) / 2);
+  assert.deepStrictEqual(hops(1), []);
+  assert.deepStrictEqual(hops(2).sort(), [2, 2, 2]);
+  assert.deepStrictEqual(hops(3).sort(), [2, 2, 2, 3, 3, 3]);
+  // Paths never visit an rnode twice, so more hops find nothing new
+  assert.deepStrictEqual(hops(10).sort(), hops(3).sort());
+  // Nothing is found from an rnode that can not reach an end at all
+  assert.deepStrictEqual(findRgraphPaths(rgraph, 'F', ['E'], 2, Infinity), [[], false]);
+  assert.deepStrictEqual(findRgraphPaths(rgraph, 'E', ['E'], 2, Infinity)[0], [['E']]);
+}
+
+function testTruncation() {
+  const rgraph = makeRgraph();
+  const [all] = findRgraphPaths(rgraph, 'S', ['E'], 3, Infinity);
+  const [paths, truncated] = findRgraphPaths(rgraph, 'S', ['E'], 3, 4);
+  assert.strictEqual(truncated, true);
+  assert.deepStrictEqual(paths, all.slice(0, 4), 'Expected the first paths to be kept');
+  // Exactly as many paths as allowed is not truncated
+  assert.deepStrictEqual(findRgraphPaths(rgraph, 'S', ['E'], 3, all.length), [all, false]);
+}
+
+testOrder();
+testHopLimit();
+testTruncation();
+console.log('Path search tests passed');
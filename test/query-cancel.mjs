@@ -0,0 +1,71 @@
+'use strict'
+import * as assert from 'assert';
+import { QueryAPIController } from '../controllers/QueryAPIController.mjs';
+
+const OWN_QID = '6f0c6c57-4b2c-4e0b-9e51-6ad1d0c1c9a1';
+const OTHER_QID = 'b1a3e0a4-0c1f-4d55-8a3e-3c1e4c0b9f27';
+
+// Everything cancelling a query touches, recording what was done to which qid
+function makeController() {
+  const calls = [];
+  const translatorService = {
+    isSharedQuery: (qid) => false,
+    cancelQuery: async (qid) => { calls.push(['ars', qid]); return true; },
+    outputAdapter: { forgetQuery: (qid) => calls.push(['fragments', qid]) }
+  };
+  const statusPoller = { stopPolling: (qid, status) => calls.push(['poller', qid, status]) };
+  const resultCache = { evictResult: async (qid) => calls.push(['cache', qid]) };
+  const userService = {
+    getUserQueryHistoryByPkey: async (uid, qid) => uid === 1 && qid === OWN_QID ? [{ id: 10, ars_pkey: qid }] : [],
+    cancelUserQuery: async (uid, qid) => calls.push(['history', uid, qid])
+  };
+  const controller = new QueryAPIController({ frontend: { cached_queries: [] } }, translatorService, {},
+    resultCache, statusPoller, userService);
+  return [controller, calls];
+}
+
+function makeReq(qid, uid) {
+  const logged = [];
+  return {
+    params: { qid: qid },
+    sessionData: { user: { id: uid } },
+    logged: logged,
+    log: { info: (msg) => logged.push(msg), error: (msg) => logged.push(msg) }
+  };
+}
+
+function makeRes() {
+  const res = {};
+  res.status = (code) => { res.code = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+}
+
+async function testCancelOwnQuery() {
+  const [controller, calls] = makeController();
+  const req = makeReq(OWN_QID, 1);
+  const res = makeRes();
+  await controller.cancelQuery(req, res);
+  assert.strictEqual(res.code, 200);
+  assert.deepStrictEqual(res.body.data, { qid: OWN_QID, shared: false, ars_cancelled: true });
+  assert.deepStrictEqual(calls, [
+    ['ars', OWN_QID], ['poller', OWN_QID, 'cancelled'], ['cache', OWN_QID], ['fragments', OWN_QID],
+    ['history', 1, OWN_QID]
+  ]);
+  assert.ok(req.logged.some(msg => msg.includes(`User 1 cancelled ${OWN_QID}`)), 'Expected the cancellation to be logged');
+}
+
+// Nobody can cancel a query they did not submit, which would end it for everyone else
+async function testCancelOtherQuery() {
+  const [controller, calls] = makeController();
+  for (const [qid, uid] of [[OTHER_QID, 1], [OWN_QID, 2]]) {
+    const res = makeRes();
+    await controller.cancelQuery(makeReq(qid, uid), res);
+    assert.strictEqual(res.code, 403);
+  }
+  assert.deepStrictEqual(calls, []);
+}
+
+await testCancelOwnQuery();
+await testCancelOtherQuery();
+console.log('Query cancel tests passed');
@@ -0,0 +1,117 @@
+'use strict'
+import * as assert from 'assert';
+import * as trapi from '../lib/trapi.mjs';
+import { validateQueryGraph } from '../lib/query-graph-validation.mjs';
+import { QueryAPIController } from '../controllers/QueryAPIController.mjs';
+import { loadSummarizationConfig } from './lib/setup.mjs';
+
+// What chemicals increase the activity of a gene
+function makeQgraph() {
+  return {
+    nodes: {
+      sn: { categories: ['biolink:ChemicalEntity'] },
+      on: { categories: ['biolink:Gene'], ids: ['NCBIGene:5562'] }
+    },
+    edges: {
+      t_edge: {
+        subject: 'sn',
+        object: 'on',
+        predicates: ['biolink:affects'],
+        knowledge_type: 'inferred',
+        qualifier_constraints: [{
+          qualifier_set: [
+            { qualifier_type_id: 'biolink:object_aspect_qualifier', qualifier_value: 'activity_or_abundance' },
+            { qualifier_type_id: 'biolink:object_direction_qualifier', qualifier_value: 'increased' },
+            { qualifier_type_id: 'biolink:qualified_predicate', qualifier_value: 'biolink:causes' }
+          ]
+        }]
+      }
+    }
+  };
+}
+
+function errorPaths(qgraph) {
+  return validateQueryGraph(qgraph).map(error => error.path);
+}
+
+function testValid() {
+  assert.deepStrictEqual(validateQueryGraph(makeQgraph()), []);
+}
+
+function testInvalid() {
+  assert.deepStrictEqual(errorPaths(null), ['query_graph']);
+  assert.deepStrictEqual(errorPaths({ nodes: {}, edges: {} }), ['query_graph.nodes', 'query_graph.edges']);
+
+  const qgraph = makeQgraph();
+  qgraph.nodes.sn.categories = ['biolink:Chemical', 'ChemicalEntity'];
+  qgraph.nodes.on.ids = ['NCBIGene:5562', 'NOSUCH:1'];
+  qgraph.edges.t_edge.object = 'nosuch';
+  qgraph.edges.t_edge.predicates = 'biolink:affects';
+  qgraph.edges.t_edge.knowledge_type = 'guessed';
+  assert.deepStrictEqual(errorPaths(qgraph), [
+    'query_graph.nodes.sn.categories[0]',
+    'query_graph.nodes.sn.categories[1]',
+    'query_graph.nodes.on.ids[1]',
+    'query_graph.edges.t_edge.object',
+    'query_graph.edges.t_edge.predicates',
+    'query_graph.edges.t_edge.knowledge_type'
+  ]);
+
+  const unpinned = makeQgraph();
+  delete unpinned.nodes.on.ids;
+  assert.deepStrictEqual(errorPaths(unpinned), ['query_graph.nodes']);
+}
+
+// Qualifiers are checked against the Biolink model, like categories and predicates
+function testQualifiers() {
+  const qgraph = makeQgraph();
+  const qualifiers = qgraph.edges.t_edge.qualifier_constraints[0].qualifier_set;
+  qualifiers[0].qualifier_type_id = 'biolink:foo';
+  // Slots that are not qualifiers are not either
+  qualifiers[1].qualifier_type_id = 'biolink:treats';
+  qualifiers[2].qualifier_value = null;
+  const path = 'query_graph.edges.t_edge.qualifier_constraints[0].qualifier_set';
+  assert.deepStrictEqual(validateQueryGraph(qgraph), [
+    { path: `${path}[0].qualifier_type_id`, message: 'biolink:foo is not a Biolink qualifier' },
+    { path: `${path}[1].qualifier_type_id`, message: 'biolink:treats is not a Biolink qualifier' },
+    { path: `${path}[2]`, message: 'Expected a qualifier_type_id and a qualifier_value' }
+  ]);
+}
+
+function makeRes() {
+  const res = {};
+  res.status = (code) => { res.code = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+}
+
+// Advanced queries with an invalid query graph are refused with the errors, before reaching the ARS
+async function testSubmission() {
+  const translatorService = {
+    inputToQuery: (input) => trapi.queryToCreativeQuery(input),
+    submitQuery: async (query) => { throw new Error('Expected the query not to be submitted'); }
+  };
+  const controller = new QueryAPIController({}, translatorService, {}, null, null, null);
+  const qgraph = makeQgraph();
+  qgraph.edges.t_edge.predicates = ['biolink:foo'];
+  const res = makeRes();
+  await controller.submitQuery({
+    body: { mode: 'advanced', query_graph: qgraph },
+    log: { info: () => {}, error: () => {} }
+  }, res);
+  assert.strictEqual(res.code, 400);
+  assert.deepStrictEqual(res.body, {
+    status: 'error',
+    data: {
+      message: 'Invalid query graph',
+      errors: [{ path: 'query_graph.edges.t_edge.predicates[0]', message: 'biolink:foo is not a Biolink predicate' }]
+    }
+  });
+}
+
+await loadSummarizationConfig();
+testValid();
+testInvalid();
+testQualifiers();
+await testSubmission();
+console.log('Query graph validation tests passed');
@@ -0,0 +1,54 @@
+'use strict'
+import * as assert from 'assert';
+import { QueryAPIController } from '../controllers/QueryAPIController.mjs';
+
+const QID = '6f0c6c57-4b2c-4e0b-9e51-6ad1d0c1c9a1';
+
+// A poller that sends a subscriber a single done event with the given status
+function makeController(status) {
+  const updates = [];
+  const statusPoller = {
+    subscribe(qid, subscriber, lastEventId) {
+      subscriber.write({ id: 1, type: 'done', data: { status: status } });
+      subscriber.end();
+      return () => {};
+    }
+  };
+  const userService = {
+    updateUserQueryStatus: async (qid, status) => updates.push([qid, status])
+  };
+  const controller = new QueryAPIController({ query_events: { keepalive_sec: 60 } }, null, {}, null,
+    statusPoller, userService);
+  return [controller, updates];
+}
+
+function makeReq() {
+  return {
+    params: { qid: QID },
+    get: (header) => undefined,
+    on: (event, listener) => {},
+    log: { error: (msg) => {} }
+  };
+}
+
+function makeRes() {
+  return {
+    writeHead() {},
+    flushHeaders() {},
+    write() {},
+    end() {}
+  };
+}
+
+// A poller giving up on a query that is still running must not end the query in anyone's history
+async function testOnlyFinalStatusesAreRecorded() {
+  for (const [status, recorded] of [['success', true], ['error', true], ['timeout', false], ['cancelled', false]]) {
+    const [controller, updates] = makeController(status);
+    controller.getQueryEvents(makeReq(), makeRes());
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(updates, recorded ? [[QID, status]] : [], `Unexpected history updates for ${status}`);
+  }
+}
+
+await testOnlyFinalStatusesAreRecorded();
+console.log('Query history tests passed');
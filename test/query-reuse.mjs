@@ -0,0 +1,112 @@
+'use strict'
+import * as assert from 'assert';
+import * as cmn from '../lib/common.mjs';
+import { TranslatorService } from '../services/TranslatorService.mjs';
+import { QueryFingerprintStoreMemory } from '../stores/QueryFingerprintStoreMemory.mjs';
+
+function makeQuery(curie) {
+  return {
+    message: {
+      query_graph: {
+        nodes: { sn: { categories: ['biolink:ChemicalEntity'] }, on: { ids: [curie] } },
+        edges: { t_edge: { subject: 'sn', object: 'on', predicates: ['biolink:treats'] } }
+      }
+    }
+  };
+}
+
+// An ARS that takes a while to accept queries, and never errors them
+function makeQueryClient() {
+  return {
+    posted: 0,
+    async postQuery(query) {
+      this.posted += 1;
+      const pk = `pk-${this.posted}`;
+      await cmn.sleep(20);
+      return [{}, { pk: pk, fields: { code: 202 } }];
+    },
+    async getQueryStatus(pk, filters) {
+      return { pk: pk, completed: [], running: [], errored: [] };
+    },
+    async cancelQuery(pk) {
+      return true;
+    }
+  };
+}
+
+function makeService(queryClient) {
+  return new TranslatorService(queryClient, null, new QueryFingerprintStoreMemory(), 3600);
+}
+
+async function testConcurrentSubmissions() {
+  const queryClient = makeQueryClient();
+  const service = makeService(queryClient);
+  const responses = await Promise.all([
+    service.submitQuery(makeQuery('MONDO:1')),
+    service.submitQuery(makeQuery('MONDO:1')),
+    service.submitQuery(makeQuery('MONDO:2'))
+  ]);
+
+  assert.strictEqual(queryClient.posted, 2, 'Expected identical queries to be submitted once');
+  assert.strictEqual(responses[0].pk, responses[1].pk);
+  assert.notStrictEqual(responses[0].pk, responses[2].pk);
+  assert.ok(service.isSharedQuery(responses[0].pk));
+  assert.ok(!service.isSharedQuery(responses[2].pk));
+  assert.strictEqual(service.pendingSubmissions.size, 0);
+
+  // Forcing a new submission never waits on another one
+  const forced = await Promise.all([
+    service.submitQuery(makeQuery('MONDO:1'), true),
+    service.submitQuery(makeQuery('MONDO:1'), true)
+  ]);
+  assert.strictEqual(queryClient.posted, 4);
+  assert.notStrictEqual(forced[0].pk, forced[1].pk);
+}
+
+async function testFailedSubmissions() {
+  const queryClient = makeQueryClient();
+  queryClient.postQuery = async () => { throw new Error('ARS down'); };
+  const service = makeService(queryClient);
+  const results = await Promise.allSettled([
+    service.submitQuery(makeQuery('MONDO:1')),
+    service.submitQuery(makeQuery('MONDO:1'))
+  ]);
+  assert.deepStrictEqual(results.map(result => result.status), ['rejected', 'rejected']);
+  assert.strictEqual(service.pendingSubmissions.size, 0, 'Expected a failed submission to be forgotten');
+}
+
+async function testCancelledQueriesAreNotReused() {
+  const queryClient = makeQueryClient();
+  const service = makeService(queryClient);
+  const first = await service.submitQuery(makeQuery('MONDO:1'));
+  await service.cancelQuery(first.pk);
+  assert.strictEqual(service.fingerprintStore.retrieveFingerprintByPk(first.pk), null);
+  const second = await service.submitQuery(makeQuery('MONDO:1'));
+  assert.notStrictEqual(second.pk, first.pk);
+}
+
+function testPkIndex() {
+  const store = new QueryFingerprintStoreMemory(2);
+  store.storeSubmission('a', { pk: 'pk-a' });
+  store.storeSubmission('b', { pk: 'pk-b' });
+  // Submitting a query again replaces its pk
+  store.storeSubmission('a', { pk: 'pk-a2' });
+  assert.strictEqual(store.retrieveFingerprintByPk('pk-a'), null);
+  assert.strictEqual(store.retrieveFingerprintByPk('pk-a2'), 'a');
+
+  // Evicted entries leave the index too
+  store.storeSubmission('c', { pk: 'pk-c' });
+  assert.strictEqual(store.retrieveFingerprintByPk('pk-b'), null);
+  assert.strictEqual(store.retrieveFingerprintByPk('pk-c'), 'c');
+  assert.strictEqual(store.fingerprints.size, 2);
+
+  assert.ok(store.deleteSubmission('c'));
+  assert.ok(!store.deleteSubmission('c'));
+  assert.strictEqual(store.retrieveFingerprintByPk('pk-c'), null);
+}
+
+await testConcurrentSubmissions();
+await testFailedSubmissions();
+await testCancelledQueriesAreNotReused();
+testPkIndex();
+console.log('Query reuse tests passed');
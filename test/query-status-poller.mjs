@@ -0,0 +1,72 @@
+'use strict'
+import * as assert from 'assert';
+import { QueryStatusPoller } from '../services/QueryStatusPoller.mjs';
+
+const QID = 'poller-test';
+
+// Answers status requests with whatever the test sets, as an ARS client message in child mode
+function makeTranslatorService() {
+  return {
+    status: { queuing: false, completed: [], running: [{ agent: 'ara-arax', uuid: 'arax' }], errored: [] },
+    async getQueryStatus(qid, filters) {
+      return this.status;
+    }
+  };
+}
+
+function makeSubscriber() {
+  return {
+    events: [],
+    ended: false,
+    write(event) { this.events.push(event); },
+    end() { this.ended = true; }
+  };
+}
+
+function waitForPolls(n = 2) {
+  return new Promise(resolve => setTimeout(resolve, n * 20 + 10));
+}
+
+// A client reconnecting after the poller stopped gets ids that go on from the ones it has seen
+async function testIdsOutliveThePoller() {
+  const service = makeTranslatorService();
+  const poller = new QueryStatusPoller(service, {}, false, 10, 60);
+  service.status.completed = [{ agent: 'ara-aragorn', uuid: 'aragorn' }];
+  const first = makeSubscriber();
+  const unsubscribe = poller.subscribe(QID, first);
+  await waitForPolls();
+  unsubscribe();
+  assert.deepStrictEqual(first.events.map(e => [e.id, e.data.uuid]), [[1, 'aragorn']]);
+  assert.strictEqual(poller.pollers.size, 0);
+
+  service.status.completed.push({ agent: 'ara-bte', uuid: 'bte' });
+  const second = makeSubscriber();
+  poller.subscribe(QID, second, 1);
+  await waitForPolls();
+  assert.deepStrictEqual(second.events.map(e => [e.id, e.data.uuid]), [[2, 'bte']]);
+
+  service.status.running = [];
+  service.status.errored = [{ agent: 'ara-arax', uuid: 'arax', code: 598 }];
+  await waitForPolls();
+  assert.deepStrictEqual(second.events.map(e => [e.id, e.type]),
+    [[2, 'ara_completed'], [3, 'ara_errored'], [4, 'done']]);
+  assert.ok(second.ended);
+
+  // A late subscriber gets the whole history, with a single done event from its own poller
+  const third = makeSubscriber();
+  poller.subscribe(QID, third);
+  await waitForPolls();
+  assert.deepStrictEqual(third.events.map(e => [e.id, e.type]),
+    [[1, 'ara_completed'], [2, 'ara_completed'], [3, 'ara_errored'], [5, 'done']]);
+  assert.ok(third.ended);
+}
+
+async function testHistoriesAreBounded() {
+  const poller = new QueryStatusPoller(makeTranslatorService(), {}, false, 10, 60, 2);
+  ['a', 'b', 'c'].forEach(qid => poller.subscribe(qid, makeSubscriber())());
+  assert.deepStrictEqual([...poller.histories.keys()], ['b', 'c']);
+}
+
+await testIdsOutliveThePoller();
+await testHistoriesAreBounded();
+console.log('Query status poller tests passed');
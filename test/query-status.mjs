@@ -0,0 +1,130 @@
+'use strict'
+import * as assert from 'assert';
+import { ARSClient } from '../lib/ARSClient.mjs';
+import { TranslatorServicexFEAdapter } from '../adapters/TranslatorServicexFEAdapter.mjs';
+
+const QID = '6f0c6c57-4b2c-4e0b-9e51-6ad1d0c1c9a1';
+
+function makeEntry(agent, uuid, fields = {}) {
+  return Object.assign({ agent: agent, uuid: uuid, status: 'Done', code: 200, result_count: null }, fields);
+}
+
+// An ARS client message in child mode
+function makeMsg(fields) {
+  return Object.assign({
+    pk: QID,
+    queuing: false,
+    completed: [],
+    running: [],
+    errored: [],
+    skipped: [],
+    filtered: [],
+    meta: { timestamp: 't0' }
+  }, fields);
+}
+
+function statusToFE(msg) {
+  return new TranslatorServicexFEAdapter().queryStatusToFE(msg);
+}
+
+function agentStates(status) {
+  return status.data.agents.map(agent => [agent.agent, agent.state, agent.code, agent.error]);
+}
+
+function testCompleted() {
+  const status = statusToFE(makeMsg({
+    completed: [makeEntry('ara-aragorn', 'c1', { result_count: 3, meta: { fetchMs: 12, parseMs: 3 } })],
+    running: [makeEntry('ara-arax', 'c2', { status: 'Running', code: 202 })]
+  }));
+  assert.strictEqual(status.status, 'running');
+  assert.deepStrictEqual(status.data.aras, ['ara-aragorn']);
+  assert.deepStrictEqual(status.data.agents, [
+    { agent: 'ara-aragorn', state: 'completed', code: 200, uuid: 'c1', fetch_ms: 12, parse_ms: 3, result_count: 3, error: null },
+    { agent: 'ara-arax', state: 'running', code: 202, uuid: 'c2', fetch_ms: null, parse_ms: null, result_count: null, error: null }
+  ]);
+
+  // Once nothing is running the query is a success, as long as one child completed
+  const done = statusToFE(makeMsg({
+    completed: [makeEntry('ara-aragorn', 'c1', { data: { results: [{}, {}] } })],
+    errored: [makeEntry('ara-arax', 'c2', { status: 'Error', code: 598 })]
+  }));
+  assert.strictEqual(done.status, 'success');
+  // The results fetched are counted rather than taken from the ARS
+  assert.strictEqual(done.data.agents[0].result_count, 2);
+}
+
+function testErrored() {
+  const status = statusToFE(makeMsg({
+    completed: [makeEntry('ara-aragorn', 'c1')],
+    errored: [
+      makeEntry('ara-arax', 'c2', { status: 'Error', code: 598 }),
+      makeEntry('ara-bte', 'c3', { status: 'Error', code: 418 })
+    ]
+  }));
+  assert.deepStrictEqual(agentStates(status).slice(1), [
+    ['ara-arax', 'errored', 598, 'Timed out'],
+    ['ara-bte', 'errored', 418, 'Error (code 418)']
+  ]);
+}
+
+function testSkipped() {
+  const status = statusToFE(makeMsg({
+    completed: [makeEntry('ara-aragorn', 'c1')],
+    skipped: [{ agent: 'ara-arax', uuid: 'c2', reason: 'Circuit open' }]
+  }));
+  assert.strictEqual(status.status, 'success');
+  assert.deepStrictEqual(agentStates(status)[1], ['ara-arax', 'skipped', null, 'Circuit open']);
+}
+
+function testAllFailed() {
+  const errored = [makeEntry('ara-aragorn', 'c1', { code: 500 }), makeEntry('ara-arax', 'c2', { code: 598 })];
+  assert.strictEqual(statusToFE(makeMsg({ errored: errored })).status, 'error');
+  // Not while a child is still running, nor while the ARS is queuing the query
+  assert.strictEqual(statusToFE(makeMsg({ errored: errored, running: [makeEntry('ara-bte', 'c3', { code: 202 })] })).status, 'running');
+  assert.strictEqual(statusToFE(makeMsg({ queuing: true })).status, 'running');
+  // In merged mode the ARS says so itself, and the parent is left out of the breakdown
+  const merged = statusToFE(makeMsg({
+    completed: [makeEntry('ara-aragorn', 'm1')],
+    errored: [makeEntry('ars-default-agent', QID, { code: 500 })]
+  }));
+  assert.strictEqual(merged.status, 'error');
+  assert.deepStrictEqual(agentStates(merged), [['ara-aragorn', 'completed', 200, null]]);
+}
+
+// An ARS with a single child that completed and one that timed out
+function makeHttpClient() {
+  const messages = {
+    [`${QID}?trace=y`]: {
+      status: 'Done',
+      timestamp: 't0',
+      children: [
+        { actor: { agent: 'ara-aragorn' }, message: 'c1', status: 'Done', code: 200, result_count: 1 },
+        { actor: { agent: 'ara-arax' }, message: 'c2', status: 'Error', code: 598 }
+      ]
+    },
+    c1: { fields: { name: 'ara-aragorn', data: { message: { results: [{}] } } } }
+  };
+  return {
+    async sendRecvJSON(url, method, headers) {
+      return [{ fetchMs: 12, parseMs: 3 }, structuredClone(messages[url.split('/').at(-1)])];
+    }
+  };
+}
+
+// Statuses in child mode fetch no child messages, so they report the timings of the last results fetch
+async function testChildTimings() {
+  const client = new ARSClient('http://ars', '/messages', '/submit', '/retain', false, { status: makeHttpClient() });
+  const timings = async () => {
+    return statusToFE(await client.getQueryStatus(QID, {})).data.agents.map(agent => [agent.fetch_ms, agent.parse_ms]);
+  };
+  assert.deepStrictEqual(await timings(), [[null, null], [null, null]]);
+  await client.getQueryResults(QID, {});
+  assert.deepStrictEqual(await timings(), [[12, 3], [null, null]]);
+}
+
+testCompleted();
+testErrored();
+testSkipped();
+testAllFailed();
+await testChildTimings();
+console.log('Query status tests passed');
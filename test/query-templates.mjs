@@ -0,0 +1,140 @@
+'use strict'
+import * as assert from 'assert';
+import * as qt from '../lib/query-templates.mjs';
+import * as trapi from '../lib/trapi.mjs';
+import { loadSummarizationConfig } from './lib/setup.mjs';
+
+function build(type, query) {
+  return qt.queryToQgraph(qt.getQueryTemplate(type), query);
+}
+
+function matchingTemplate(qgraph) {
+  const template = qt.qgraphToQueryTemplate(qgraph);
+  return template ? template.name : template;
+}
+
+// Invalid templates are refused, and leave the loaded ones alone
+function testLoad(templates) {
+  const drug = templates.drug;
+  const invalid = [
+    { generic: drug },
+    { drug: Object.assign({}, drug, { path: ['sn', 'nosuch'] }) },
+    { drug: Object.assign({}, drug, { edges: { t_edge: { subject: 'sn', object: 'nosuch', predicates: ['treats'] } } }) },
+    { drug: Object.assign({}, drug, { result_key: 'edge' }) },
+    { drug: Object.assign({}, drug, { max_hops: 0 }) },
+    { drug: Object.assign({}, drug, { max_paths: 1.5 }) }
+  ];
+  invalid.forEach(templates => assert.throws(() => qt.loadQueryTemplates(templates), RangeError));
+  assert.deepStrictEqual(qt.queryTemplateNames(), Object.keys(templates));
+
+  const template = qt.getQueryTemplate('drug');
+  assert.deepStrictEqual(template.nodes.sn, { categories: ['biolink:ChemicalEntity'], binds: false, categories_from: false });
+  assert.deepStrictEqual(template.edges.t_edge.predicates, ['biolink:treats']);
+  assert.strictEqual(template.edges.t_edge.knowledge_type, 'inferred');
+  assert.deepStrictEqual([template.max_hops, template.max_paths], [null, null]);
+  assert.strictEqual(qt.getQueryTemplate('nosuch'), false);
+}
+
+function testBuild() {
+  assert.deepStrictEqual(build('drug', { type: 'drug', curie: 'MONDO:0005148' }), {
+    nodes: {
+      sn: { categories: ['biolink:ChemicalEntity'] },
+      on: { categories: ['biolink:Disease'], ids: ['MONDO:0005148'] }
+    },
+    edges: {
+      t_edge: { subject: 'sn', object: 'on', predicates: ['biolink:treats'], knowledge_type: 'inferred' }
+    }
+  });
+  assert.throws(() => build('drug', { type: 'drug' }), ReferenceError);
+
+  // Qualifier values can come from the query, and constraints missing one are left out
+  const increased = build('gene', { type: 'gene', curie: 'CHEBI:6801', direction: 'increased' });
+  assert.deepStrictEqual(increased.edges.t_edge.qualifier_constraints[0].qualifier_set.at(-1),
+    { qualifier_type_id: 'biolink:object_direction_qualifier', qualifier_value: 'increased' });
+  const undirected = build('gene', { type: 'gene', curie: 'CHEBI:6801', direction: null });
+  assert.strictEqual(undirected.edges.t_edge.qualifier_constraints, undefined);
+
+  // Categories can come from the query too, and default to the template's
+  const pathfinder = build('pathfinder', {
+    type: 'pathfinder',
+    subject: { id: 'CHEBI:6801', category: 'SmallMolecule' },
+    object: { id: 'MONDO:0005148' }
+  });
+  assert.deepStrictEqual(pathfinder.nodes, {
+    sn: { categories: ['biolink:SmallMolecule'], ids: ['CHEBI:6801'] },
+    on: { ids: ['MONDO:0005148'] },
+    un: { categories: ['biolink:NamedThing'] }
+  });
+}
+
+// Query graphs are matched back to the templates they were built from
+function testMatch() {
+  const queries = [
+    { type: 'drug', curie: 'MONDO:0005148' },
+    { type: 'gene', curie: 'CHEBI:6801', direction: 'increased' },
+    // Only differs from gene in which node is pinned
+    { type: 'chemical', curie: 'NCBIGene:5562', direction: 'decreased' },
+    { type: 'pathfinder', subject: { id: 'CHEBI:6801' }, object: { id: 'MONDO:0005148', category: 'Disease' }, constraint: 'Gene' },
+    { type: 'gene_for_disease', curie: 'MONDO:0005148' },
+    { type: 'disease_for_gene', curie: 'NCBIGene:5562' }
+  ];
+  queries.forEach(query => assert.strictEqual(matchingTemplate(build(query.type, query)), query.type));
+
+  const qgraph = () => build('drug', { type: 'drug', curie: 'MONDO:0005148' });
+  const unprefixed = qgraph();
+  unprefixed.edges.t_edge.predicates = ['treats'];
+  assert.strictEqual(matchingTemplate(unprefixed), 'drug');
+
+  const otherPredicate = qgraph();
+  otherPredicate.edges.t_edge.predicates = ['biolink:causes'];
+  const unpinned = qgraph();
+  delete unpinned.nodes.on.ids;
+  const extraNode = qgraph();
+  extraNode.nodes.xn = { categories: ['biolink:Gene'] };
+  const otherCategory = qgraph();
+  otherCategory.nodes.sn.categories = ['biolink:Gene'];
+  [otherPredicate, unpinned, extraNode, otherCategory, null, 'drug'].forEach(qgraph => {
+    assert.strictEqual(qt.qgraphToQueryTemplate(qgraph), false, `Expected ${JSON.stringify(qgraph)} not to match`);
+  });
+}
+
+// Results of any other query graph go from the first unpinned node to the first pinned one
+function testGeneric() {
+  const template = qt.genericQueryTemplate({
+    nodes: { a: { ids: ['MONDO:0005148'] }, b: { categories: ['biolink:Gene'] }, c: { ids: ['CHEBI:6801'] } },
+    edges: {}
+  });
+  assert.strictEqual(template.name, 'generic');
+  assert.deepStrictEqual(template.path, ['b', 'a']);
+  assert.deepStrictEqual([template.answer_tags, template.chebi_roles, template.indications], [false, true, false]);
+  assert.deepStrictEqual(qt.genericQueryTemplate({ nodes: { a: {} } }).path, ['a', 'a']);
+}
+
+// Cached queries from the frontend config are submitted like FE queries about their id
+function testCachedQuery() {
+  const cachedQuery = {
+    name: 'Breast Cancer',
+    type: 'drug',
+    allow_inbound: false,
+    allow_outbound: true,
+    direction: null,
+    uuid: '723a8922-0aae-4e1b-aca2-8706bb902619',
+    id: 'MONDO:0007254'
+  };
+  const input = qt.cachedQueryToInput(cachedQuery);
+  assert.deepStrictEqual(input, { type: 'drug', direction: null, curie: 'MONDO:0007254' });
+  assert.strictEqual(cachedQuery.id, 'MONDO:0007254', 'Expected the cached query not to change');
+  assert.deepStrictEqual(trapi.queryToCreativeQuery(input).message.query_graph.nodes.on.ids, ['MONDO:0007254']);
+
+  // Renaming a cached query or refreshing its uuid does not change what it asks
+  const refreshed = Object.assign({}, cachedQuery, { name: 'Breast Carcinoma', uuid: 'b1a3e0a4-0c1f-4d55-8a3e-3c1e4c0b9f27' });
+  assert.deepStrictEqual(qt.cachedQueryToInput(refreshed), input);
+}
+
+const config = await loadSummarizationConfig();
+testLoad(config.query_templates);
+testBuild();
+testMatch();
+testGeneric();
+testCachedQuery();
+console.log('Query template tests passed');
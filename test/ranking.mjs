@@ -0,0 +1,146 @@
+'use strict'
+import * as assert from 'assert';
+import * as ranking from '../lib/ranking.mjs';
+import { QueryAPIController } from '../controllers/QueryAPIController.mjs';
+
+const QID = '6f0c6c57-4b2c-4e0b-9e51-6ad1d0c1c9a1';
+
+const RANKING = {
+  default_strategy: 'all',
+  strategies: {
+    all: { ara_score: 1, ara_count: 1, publications: 1, path_length: 1, fda_phase: 1 },
+    ara: { ara_score: 1 },
+    count: { ara_count: 1 },
+    nosuch: { ara_score: 1, popularity: 1 }
+  },
+  knowledge_level_weights: { trusted: 1, inferred: 0.5, ml: 0.25, unknown: 0.1 }
+};
+
+function makeEdge(publications = {}) {
+  return { support: [], publications: publications };
+}
+
+/* Three results in ARS order:
+ *   r0: an approved drug with a one hop path found by one ARA, with the best publications
+ *   r1: a drug in phase 2 with two two hop paths found by two ARAs, with the best ARA score
+ *   r2: a one hop path found by one ARA, without scores
+ */
+function makeSummary() {
+  return {
+    meta: { qid: QID },
+    results: [
+      { id: 'r0', subject: 'CHEBI:1', paths: ['p0'], scores: [{ normalized_score: 0.4 }], tags: {} },
+      { id: 'r1', subject: 'CHEBI:2', paths: ['p1', 'p2'], scores: [{ normalized_score: 0.8 }, { normalized_score: 0.2 }], tags: {} },
+      { id: 'r2', subject: 'CHEBI:3', paths: ['p3'], tags: {} }
+    ],
+    paths: {
+      p0: { subgraph: ['CHEBI:1', 'e0', 'MONDO:1'], aras: ['infores:aragorn'] },
+      p1: { subgraph: ['CHEBI:2', 'e1a', 'NCBIGene:1', 'e1b', 'MONDO:1'], aras: ['infores:arax'] },
+      p2: { subgraph: ['CHEBI:2', 'e2a', 'NCBIGene:2', 'e2b', 'MONDO:1'], aras: ['infores:aragorn', 'infores:arax'] },
+      p3: { subgraph: ['CHEBI:3', 'e3', 'MONDO:1'], aras: ['infores:bte'] }
+    },
+    nodes: {
+      'CHEBI:1': { tags: { 'r/fda/4': null } },
+      'CHEBI:2': { tags: { 'r/fda/2': null } },
+      'CHEBI:3': { tags: {} }
+    },
+    edges: {
+      // A publication only counts once, at the best level it is reported at
+      e0: makeEdge({ trusted: [{ id: 'PMID:1' }], unknown: [{ id: 'PMID:1' }], inferred: [{ id: 'PMID:2' }] }),
+      e1a: makeEdge({ ml: [{ id: 'PMID:3' }] }),
+      e1b: makeEdge(),
+      e2a: makeEdge({ ml: [{ id: 'PMID:3' }] }),
+      e2b: makeEdge(),
+      e3: makeEdge({ unknown: [{ id: 'PMID:1' }] })
+    },
+    publications: {},
+    tags: {},
+    errors: {}
+  };
+}
+
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: expected ${expected}, got ${actual}`);
+}
+
+function testStrategies() {
+  assert.ok(ranking.isRankingStrategy(RANKING, 'ara'));
+  assert.ok(!ranking.isRankingStrategy(RANKING, 'popularity'));
+  assert.throws(() => ranking.rankResults(makeSummary(), 'nosuch', RANKING), RangeError);
+}
+
+// Every component is scaled against its best value, and the score is their weighted mean
+function testComponents() {
+  const rankings = ranking.rankResults(makeSummary(), 'all', RANKING);
+  const expected = {
+    r0: { ara_score: 0.5, ara_count: 0.5, publications: 1, path_length: 1, fda_phase: 1 },
+    r1: { ara_score: 1, ara_count: 1, publications: 0.25 / 1.5, path_length: 0.5, fda_phase: 0.5 },
+    r2: { ara_score: 0, ara_count: 0.5, publications: 0.1 / 1.5, path_length: 1, fda_phase: 0 }
+  };
+  assert.deepStrictEqual(Object.keys(rankings), ['r0', 'r1', 'r2']);
+  for (const [rid, components] of Object.entries(expected)) {
+    assert.strictEqual(rankings[rid].strategy, 'all');
+    let total = 0;
+    for (const [name, value] of Object.entries(components)) {
+      assertClose(rankings[rid].components[name], value, `${rid} ${name}`);
+      total += value;
+    }
+    assertClose(rankings[rid].score, total / 5, `${rid} score`);
+  }
+}
+
+// Results are copied and sorted from best to worst, keeping the order of equal scores
+function testApplyRanking() {
+  const summary = makeSummary();
+  const ranked = ranking.applyRanking(summary.results, ranking.rankResults(summary, 'count', RANKING));
+  assert.deepStrictEqual(ranked.map(result => result.id), ['r1', 'r0', 'r2']);
+  assert.strictEqual(ranked[0].ranking.score, 1);
+  assert.deepStrictEqual(summary.results.map(result => result.id), ['r0', 'r1', 'r2']);
+  assert.ok(summary.results.every(result => result.ranking === undefined), 'Expected the results not to change');
+}
+
+// The summary is cached, so the controller must not rank it in place
+function makeController(summary) {
+  const translatorService = { getQueryStatus: async (qid, filters) => ({}) };
+  const resultCache = {
+    makeFilterKey: (filters) => '',
+    makeKey: (msg) => 'key',
+    getResult: async (qid, cacheKey, filterKey) => ({ status: 'success', data: summary })
+  };
+  const userService = { updateUserQueryStatus: async (qid, status) => {} };
+  return new QueryAPIController({ ranking: RANKING, ars_endpoint: { use_ars_merging: true } }, translatorService, {},
+    resultCache, null, userService);
+}
+
+async function getResult(summary, query) {
+  const res = {};
+  res.status = (code) => { res.code = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  await makeController(summary).getQueryResult({ params: { qid: QID }, query: query }, res);
+  return res;
+}
+
+// Results keep the ARS order, even though there is a default strategy, unless the FE asks for one
+async function testResultOrder() {
+  const summary = makeSummary();
+  let res = await getResult(summary, {});
+  assert.strictEqual(res.code, 200);
+  assert.deepStrictEqual(res.body.data.results.map(result => result.id), ['r0', 'r1', 'r2']);
+  assert.ok(res.body.data.results.every(result => result.ranking === undefined), 'Expected unranked results');
+
+  res = await getResult(summary, { sort: 'ara' });
+  assert.strictEqual(res.code, 200);
+  assert.deepStrictEqual(res.body.data.results.map(result => [result.id, result.ranking.strategy]),
+    [['r1', 'ara'], ['r0', 'ara'], ['r2', 'ara']]);
+  assert.deepStrictEqual(summary.results.map(result => result.id), ['r0', 'r1', 'r2']);
+
+  res = await getResult(summary, { sort: 'popularity' });
+  assert.strictEqual(res.code, 400);
+  assert.deepStrictEqual(res.body, { status: 'error', data: 'Unknown sort strategy: popularity' });
+}
+
+testStrategies();
+testComponents();
+testApplyRanking();
+await testResultOrder();
+console.log('Ranking tests passed');
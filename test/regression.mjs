@@ -1,20 +1,15 @@
 'use strict'
 import * as assert from 'assert';
-import * as cfg from '../lib/config.mjs';
 import * as cmn from '../lib/common.mjs';
 import * as tsmy from './lib/summarization.mjs';
-import { loadBiolink } from '../lib/biolink-model.mjs';
-import { loadChebi } from '../lib/chebi.mjs';
+import { loadSummarizationConfig } from './lib/setup.mjs';
+import { loadFESchemas, negotiateSchemaVersion, validateFEPayload } from '../lib/fe-schemas.mjs';
 import { TranslatorServicexFEAdapter } from '../adapters/TranslatorServicexFEAdapter.mjs';
 
 // We have to do this because the 'before' hook does not seem to work
 async function loadConfig() {
-  const config = await cfg.bootstrapConfig('./configurations/production.json')
-  await loadBiolink(config.biolink.version,
-                    config.biolink.support_deprecated_predicates,
-                    config.biolink.infores_catalog,
-                    config.biolink.prefix_catalog);
-  await loadChebi();
+  await loadSummarizationConfig();
+  await loadFESchemas();
 }
 
 async function regressionTest(testFile) {
@@ -25,6 +20,8 @@ async function regressionTest(testFile) {
   const translatorAdapter = new TranslatorServicexFEAdapter();
   const actual = await translatorAdapter.queryResultsToFE(await input, maxHops);
   tsmy.testSummary(actual.data, await expected);
+  const version = negotiateSchemaVersion(undefined);
+  assert.deepEqual(validateFEPayload(version, 'summary', { ...actual, schema_version: version }), null);
 }
 
 
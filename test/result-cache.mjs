@@ -0,0 +1,143 @@
+'use strict'
+import * as assert from 'assert';
+import { ResultCacheService } from '../services/ResultCacheService.mjs';
+import { ResultCacheStoreMemory } from '../stores/ResultCacheStoreMemory.mjs';
+import { ResultCacheEntry } from '../models/ResultCacheEntry.mjs';
+import { configToFilters } from '../lib/ARSClient.mjs';
+
+// An ARS client message for a query with two ARAs, one of them still running
+function makeMsg() {
+  return {
+    pk: 'cache-test',
+    completed: [{ agent: 'ara-aragorn', uuid: 'uuid-aragorn' }],
+    running: [{ agent: 'ara-arax', uuid: 'uuid-arax' }],
+    errored: [],
+    filtered: []
+  };
+}
+
+function testKeyChangesWithChildren() {
+  const cache = new ResultCacheService(new ResultCacheStoreMemory());
+  const msg = makeMsg();
+  const key = cache.makeKey(msg);
+  assert.strictEqual(cache.makeKey(makeMsg()), key, 'Expected the key to only depend on the children');
+
+  // The order the ARS lists the children in does not matter
+  const reordered = makeMsg();
+  reordered.completed.push({ agent: 'ara-bte', uuid: 'uuid-bte' });
+  const shuffled = makeMsg();
+  shuffled.completed.unshift({ agent: 'ara-bte', uuid: 'uuid-bte' });
+  assert.strictEqual(cache.makeKey(reordered), cache.makeKey(shuffled));
+
+  const completed = makeMsg();
+  completed.completed.push(completed.running.pop());
+  assert.notStrictEqual(cache.makeKey(completed), key, 'Expected the key to change when a child completes');
+
+  const errored = makeMsg();
+  errored.errored.push(errored.running.pop());
+  assert.notStrictEqual(cache.makeKey(errored), key, 'Expected the key to change when a child errors');
+  assert.notStrictEqual(cache.makeKey(errored), cache.makeKey(completed));
+
+  const filtered = makeMsg();
+  filtered.filtered.push('ara-bte');
+  assert.notStrictEqual(cache.makeKey(filtered), key, 'Expected the key to change with the filtered agents');
+}
+
+async function testInvalidation() {
+  const cache = new ResultCacheService(new ResultCacheStoreMemory());
+  const msg = makeMsg();
+  await cache.putResult(msg.pk, cache.makeKey(msg), { status: 'running' });
+  assert.deepStrictEqual(await cache.getResult(msg.pk, cache.makeKey(msg)), { status: 'running' });
+
+  msg.completed.push(msg.running.pop());
+  assert.strictEqual(await cache.getResult(msg.pk, cache.makeKey(msg)), null);
+
+  assert.strictEqual(await cache.evictResult(msg.pk), true);
+  assert.strictEqual(await cache.evictResult(msg.pk), false);
+}
+
+async function testTTL() {
+  const store = new ResultCacheStoreMemory();
+  const cache = new ResultCacheService(store, 60);
+  await store.storeResult(new ResultCacheEntry({
+    qid: 'old',
+    cache_key: 'k',
+    data: 'old data',
+    time_created: new Date(Date.now() - 61 * 1000)
+  }));
+  await cache.putResult('new', 'k', 'new data');
+  assert.strictEqual(await cache.getResult('old', 'k'), null);
+  assert.strictEqual(await cache.getResult('new', 'k'), 'new data');
+
+  // Without a TTL entries never get too old
+  assert.strictEqual(await new ResultCacheService(store).getResult('old', 'k'), 'old data');
+}
+
+async function testLRUEviction() {
+  const store = new ResultCacheStoreMemory(2);
+  await store.storeResult({ qid: 'a', cache_key: 'k' });
+  await store.storeResult({ qid: 'b', cache_key: 'k' });
+  // Reading 'a' makes 'b' the least recently used
+  assert.ok(await store.retrieveResultByQid('a'));
+  await store.storeResult({ qid: 'c', cache_key: 'k' });
+  assert.strictEqual(await store.retrieveResultByQid('b'), null);
+  assert.ok(await store.retrieveResultByQid('a'));
+  assert.ok(await store.retrieveResultByQid('c'));
+
+  // Storing a qid again replaces its entry instead of taking another slot
+  await store.storeResult({ qid: 'c', cache_key: 'k2' });
+  assert.strictEqual(store.entries.size, 2);
+  assert.strictEqual((await store.retrieveResultByQid('c')).cache_key, 'k2');
+  assert.ok(await store.retrieveResultByQid('a'));
+}
+
+// Requests with different agent filters each keep their own entry for the qid
+async function testFilterKeys() {
+  const cache = new ResultCacheService(new ResultCacheStoreMemory());
+  const unfiltered = cache.makeFilterKey({ whitelistRx: /^ara-/ });
+  const filtered = cache.makeFilterKey({ whitelistRx: /^ara-/, agents: ['ara-aragorn'] });
+  assert.notStrictEqual(unfiltered, filtered);
+  assert.notStrictEqual(cache.makeFilterKey({ whitelistRx: /^kp-/ }), unfiltered, 'Expected regexes to be part of the key');
+  assert.strictEqual(cache.makeFilterKey({ blacklist: ['b', 'a'], agents: ['c'] }),
+    cache.makeFilterKey({ agents: ['c'], blacklist: ['a', 'b'] }));
+
+  const msg = makeMsg();
+  await cache.putResult(msg.pk, cache.makeKey(msg), 'all agents', unfiltered);
+  await cache.putResult(msg.pk, cache.makeKey(msg), 'aragorn', filtered);
+  assert.strictEqual(await cache.getResult(msg.pk, cache.makeKey(msg), unfiltered), 'all agents');
+  assert.strictEqual(await cache.getResult(msg.pk, cache.makeKey(msg), filtered), 'aragorn');
+
+  // Evicting a qid evicts it for every filter
+  assert.strictEqual(await cache.evictResult(msg.pk), true);
+  assert.strictEqual(await cache.getResult(msg.pk, cache.makeKey(msg), unfiltered), null);
+  assert.strictEqual(await cache.getResult(msg.pk, cache.makeKey(msg), filtered), null);
+}
+
+function testConfigFilters() {
+  const filters = configToFilters({ whitelist_rx: '^ara-', blacklist: ['ara-bte'] });
+  assert.ok(filters.whitelistRx.test('ara-aragorn'));
+  assert.deepStrictEqual(filters.blacklist, ['ara-bte']);
+  assert.deepStrictEqual(configToFilters({}), {});
+}
+
+// Store failures are misses, not request failures
+async function testStoreErrors() {
+  const failing = {
+    retrieveResultByQid: async () => { throw new Error('down'); },
+    storeResult: async () => { throw new Error('down'); },
+    deleteResultByQid: async () => { throw new Error('down'); }
+  };
+  const cache = new ResultCacheService(failing);
+  assert.strictEqual(await cache.getResult('q', 'k'), null);
+  await cache.putResult('q', 'k', {});
+  assert.strictEqual(await cache.evictResult('q'), false);
+}
+
+testKeyChangesWithChildren();
+await testInvalidation();
+await testTTL();
+await testLRUEviction();
+await testFilterKeys();
+testConfigFilters();
+await testStoreErrors();
+console.log('Result cache tests passed');
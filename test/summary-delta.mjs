@@ -0,0 +1,135 @@
+'use strict'
+import * as assert from 'assert';
+import { summaryToDelta } from '../lib/summary-delta.mjs';
+import { TranslatorServicexFEAdapter } from '../adapters/TranslatorServicexFEAdapter.mjs';
+import { SummaryFragmentStoreMemory } from '../stores/SummaryFragmentStoreMemory.mjs';
+import { loadSummarizationConfig } from './lib/setup.mjs';
+
+const QID = '6f0c6c57-4b2c-4e0b-9e51-6ad1d0c1c9a1';
+const DISEASE = 'MONDO:0005148';
+
+// Only what summaryToDelta looks at
+function makeSummary(results, sections = {}) {
+  return Object.assign({
+    meta: { qid: QID },
+    results: results,
+    paths: {},
+    nodes: {},
+    edges: {},
+    publications: {},
+    tags: {},
+    errors: {}
+  }, sections);
+}
+
+function testDelta() {
+  const baseline = makeSummary([{ id: 'r0', paths: ['p0'] }, { id: 'r1', paths: ['p1'] }, { id: 'r2', paths: ['p2'] }], {
+    paths: { p0: { aras: ['a'] }, p1: { aras: ['a'] }, p2: { aras: ['a'] } },
+    nodes: { n0: { names: ['n0'] }, n1: { names: ['n1'] } },
+    publications: { 'PMID:1': { support: [] } },
+    tags: { 'r/ara/a': { name: 'A' } }
+  });
+  const summary = makeSummary([{ id: 'r0', paths: ['p0'] }, { id: 'r1', paths: ['p1', 'p3'] }, { id: 'r3', paths: ['p3'] }], {
+    paths: { p0: { aras: ['a'] }, p1: { aras: ['a', 'b'] }, p3: { aras: ['b'] } },
+    nodes: { n0: { names: ['n0'] }, n1: { names: ['n1', 'other name'] } },
+    edges: { e3: { support: [] } },
+    publications: { 'PMID:1': { support: [] } },
+    tags: { 'r/ara/a': { name: 'A' }, 'r/ara/b': { name: 'B' } },
+    errors: { b: ['error'] }
+  });
+
+  const delta = summaryToDelta(summary, baseline, ['a']);
+  assert.deepStrictEqual(delta.since, ['a']);
+  assert.strictEqual(delta.meta, summary.meta);
+  // Added and changed results are sent whole, removed ones by id
+  assert.deepStrictEqual(delta.results.map(result => result.id), ['r1', 'r3']);
+  assert.deepStrictEqual(delta.removed_results, ['r2']);
+  // Keyed sections only have what is new or changed
+  assert.deepStrictEqual(delta.paths, { p1: { aras: ['a', 'b'] }, p3: { aras: ['b'] } });
+  assert.deepStrictEqual(delta.nodes, { n1: { names: ['n1', 'other name'] } });
+  assert.deepStrictEqual(delta.edges, { e3: { support: [] } });
+  assert.deepStrictEqual(delta.publications, {});
+  assert.deepStrictEqual(delta.tags, { 'r/ara/b': { name: 'B' } });
+  // Errors are always sent whole
+  assert.deepStrictEqual(delta.errors, { b: ['error'] });
+
+  const empty = summaryToDelta(summary, summary, ['a', 'b']);
+  assert.deepStrictEqual([empty.results, empty.removed_results, empty.paths, empty.nodes], [[], [], {}, {}]);
+}
+
+// A treats answer about a single drug
+function makeAnswer(agent, drug, name) {
+  const sources = [{ resource_id: agent, resource_role: 'primary_knowledge_source' }];
+  return {
+    query_graph: {
+      nodes: { sn: { categories: ['biolink:ChemicalEntity'] }, on: { categories: ['biolink:Disease'], ids: [DISEASE] } },
+      edges: { t_edge: { subject: 'sn', object: 'on', predicates: ['biolink:treats'], knowledge_type: 'inferred' } }
+    },
+    knowledge_graph: {
+      nodes: {
+        [drug]: { name: name, categories: ['biolink:SmallMolecule'], attributes: [] },
+        [DISEASE]: { name: 'type 2 diabetes mellitus', categories: ['biolink:Disease'], attributes: [] }
+      },
+      edges: { e0: { subject: drug, object: DISEASE, predicate: 'biolink:treats', sources: sources } }
+    },
+    auxiliary_graphs: {},
+    results: [{
+      node_bindings: { sn: [{ id: drug }], on: [{ id: DISEASE }] },
+      analyses: [{ resource_id: agent, edge_bindings: { t_edge: [{ id: 'e0' }] } }]
+    }]
+  };
+}
+
+// An ARS client message with the answers of ARAGORN and ARAX, about different drugs
+function makeMsg() {
+  return {
+    pk: QID,
+    completed: [
+      { agent: 'ara-aragorn', uuid: 'aragorn', data: makeAnswer('infores:aragorn', 'CHEBI:6801', 'metformin') },
+      { agent: 'ara-arax', uuid: 'arax', data: makeAnswer('infores:arax', 'CHEBI:6802', 'other drug') }
+    ],
+    running: [],
+    errored: [],
+    skipped: [],
+    filtered: [],
+    meta: { timestamp: 't0' }
+  };
+}
+
+// The baseline is the summary of the answers of the `since` agents, as the FE got it back then
+async function testDeltaResults() {
+  const store = new SummaryFragmentStoreMemory(10);
+  const adapter = new TranslatorServicexFEAdapter(store);
+  const feResult = await adapter.queryResultsToFE(makeMsg(), 3);
+  assert.strictEqual(feResult.data.results.length, 2);
+
+  const delta = await adapter.queryResultsDeltaToFE(QID, feResult, ['ara-aragorn']);
+  assert.strictEqual(delta.status, feResult.status);
+  assert.deepStrictEqual(delta.data.results.map(result => result.drug_name), ['other drug']);
+  assert.deepStrictEqual(delta.data.removed_results, []);
+  assert.ok(Object.keys(delta.data.nodes).includes('CHEBI:6802'));
+  assert.ok(!Object.keys(delta.data.nodes).includes('CHEBI:6801'), 'Expected nodes the FE has to be left out');
+
+  // The baseline is built once for the same agents, in any order
+  const baseline = store.retrieveBaselineSummary(QID, 'ara-aragorn');
+  assert.notStrictEqual(baseline, null);
+  assert.deepStrictEqual(baseline.results.map(result => result.drug_name), ['metformin']);
+  await adapter.queryResultsDeltaToFE(QID, feResult, ['ara-aragorn']);
+  assert.strictEqual(store.retrieveBaselineSummary(QID, 'ara-aragorn'), baseline);
+
+  // Agents the store has nothing for are left out of the baseline, so everything is new
+  const unknown = await adapter.queryResultsDeltaToFE(QID, feResult, ['ara-bte']);
+  assert.strictEqual(unknown.data.results.length, 2);
+
+  const all = await adapter.queryResultsDeltaToFE(QID, feResult, ['ara-arax', 'ara-aragorn']);
+  assert.deepStrictEqual(all.data.results, []);
+  assert.notStrictEqual(store.retrieveBaselineSummary(QID, 'ara-aragorn,ara-arax'), null);
+
+  // Without a store there is nothing to build the baseline from
+  assert.strictEqual(await new TranslatorServicexFEAdapter().queryResultsDeltaToFE(QID, feResult, ['ara-aragorn']), null);
+}
+
+testDelta();
+await loadSummarizationConfig();
+await testDeltaResults();
+console.log('Summary delta tests passed');
@@ -0,0 +1,117 @@
+'use strict'
+import * as assert from 'assert';
+import { summaryDiff } from '../lib/summary-diff.mjs';
+import { QueryAPIController } from '../controllers/QueryAPIController.mjs';
+
+const QID = '6f0c6c57-4b2c-4e0b-9e51-6ad1d0c1c9a1';
+const OTHER_QID = 'b1a3e0a4-0c1f-4d55-8a3e-3c1e4c0b9f27';
+
+const RANKING = {
+  default_strategy: 'ara',
+  strategies: { ara: { ara_score: 1 } },
+  knowledge_level_weights: {}
+};
+
+const FDA_TAG = 'r/fda/4';
+
+/* A summary with a one hop result for each of the given [id, score] pairs, about drug <id>. Every
+ * result has a path of its own, p_<id>.
+ */
+function makeSummary(results) {
+  const summary = { results: [], paths: {}, nodes: {}, edges: {}, publications: {}, tags: {} };
+  summary.nodes['MONDO:1'] = { names: ['disease'], types: ['biolink:Disease'], tags: {} };
+  results.forEach(([id, score]) => {
+    const drug = `CHEBI:${id}`;
+    summary.results.push({
+      id: id,
+      subject: drug,
+      drug_name: `drug ${id}`,
+      object: 'MONDO:1',
+      paths: [`p_${id}`],
+      scores: [{ normalized_score: score }],
+      tags: {}
+    });
+    summary.paths[`p_${id}`] = { subgraph: [drug, `e_${id}`, 'MONDO:1'], aras: ['infores:aragorn'], tags: {} };
+    summary.nodes[drug] = { names: [`drug ${id}`], types: ['biolink:Drug'], tags: {} };
+    summary.edges[`e_${id}`] = { support: [], publications: {} };
+  });
+
+  return summary;
+}
+
+function testDiff() {
+  const from = makeSummary([['r0', 0.9], ['r1', 0.5], ['r2', 0.3]]);
+  const to = makeSummary([['r0', 0.9], ['r1', 0.5], ['r3', 0.1]]);
+  // The treats edge of r1 is now supported by a path through a gene, and r1 got approved
+  to.edges['e_r1'].support = ['p_gene'];
+  to.paths['p_gene'] = {
+    subgraph: ['CHEBI:r1', 'e_gene', 'MONDO:1'], aras: ['infores:aragorn'], tags: {}, explanation: 'via a gene'
+  };
+  to.edges['e_gene'] = { support: [], publications: {} };
+  to.nodes['CHEBI:r1'].tags[FDA_TAG] = { name: 'FDA Approved' };
+
+  const diff = summaryDiff(from, to, 'ara', RANKING);
+  assert.strictEqual(diff.strategy, 'ara');
+  assert.strictEqual(diff.unchanged, 1);
+  assert.deepStrictEqual(diff.added.map(result => [result.id, result.rank, result.score.from]),
+    [['r3', { from: null, to: 3 }, null]]);
+  assert.deepStrictEqual(diff.removed.map(result => [result.id, result.rank, result.score.to]),
+    [['r2', { from: 3, to: null }, null]]);
+
+  assert.strictEqual(diff.changed.length, 1);
+  const changed = diff.changed[0];
+  assert.strictEqual(changed.id, 'r1');
+  assert.strictEqual(changed.drug_name, 'drug r1');
+  assert.deepStrictEqual(changed.rank, { from: 2, to: 2 });
+  // Paths supporting the result count as paths of the result
+  assert.deepStrictEqual(changed.paths, { added: [{ id: 'p_gene', explanation: 'via a gene' }], removed: [] });
+  // So do the tags of the node the result is about
+  assert.deepStrictEqual(changed.tags, { added: [{ id: FDA_TAG, name: 'FDA Approved' }], removed: [] });
+
+  // A summary never differs from itself
+  const same = summaryDiff(to, to, 'ara', RANKING);
+  assert.deepStrictEqual([same.added, same.removed, same.changed, same.unchanged], [[], [], [], 3]);
+}
+
+// Results that only move are changed, and are sent from best to worst
+function testRankChanges() {
+  const from = makeSummary([['r0', 0.9], ['r1', 0.5], ['r2', 0.3]]);
+  const to = makeSummary([['r0', 0.2], ['r1', 0.5], ['r2', 0.3]]);
+  const diff = summaryDiff(from, to, 'ara', RANKING);
+  assert.deepStrictEqual(diff.changed.map(result => [result.id, result.rank]), [
+    ['r1', { from: 2, to: 1 }],
+    ['r2', { from: 3, to: 2 }],
+    ['r0', { from: 1, to: 3 }]
+  ]);
+  assert.strictEqual(diff.changed[2].score.from, 1);
+}
+
+function makeRes() {
+  const res = {};
+  res.status = (code) => { res.code = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+}
+
+// Whatever is compared with ends up in the path of an ARS request, so only ARS pks are accepted
+async function testDiffRequests() {
+  const controller = new QueryAPIController({ ranking: RANKING, ars_endpoint: { use_ars_merging: true } },
+    null, {}, null, null, null);
+  const requests = [
+    [{ qid: 'not-a-qid' }, { to: OTHER_QID }],
+    [{ qid: QID }, { to: `../${OTHER_QID}` }],
+    [{ qid: QID }, { to: [OTHER_QID, OTHER_QID] }],
+    [{ qid: QID }, { from_version: 'latest', to_version: OTHER_QID }],
+    [{ qid: QID }, { to_version: `${OTHER_QID}?trace=y` }]
+  ];
+  for (const [params, query] of requests) {
+    const res = makeRes();
+    await controller.getQueryDiff({ params: params, query: query }, res);
+    assert.strictEqual(res.code, 400, `Expected ${JSON.stringify([params, query])} to be rejected`);
+  }
+}
+
+testDiff();
+testRankChanges();
+await testDiffRequests();
+console.log('Summary diff tests passed');
@@ -0,0 +1,165 @@
+'use strict'
+import * as assert from 'assert';
+import { summaryToExportLines } from '../lib/summary-export.mjs';
+
+// A summary with a single one hop result, about a drug with the given name
+function makeSummary(drugName) {
+  return {
+    results: [{
+      id: 'r0',
+      subject: 'CHEBI:1',
+      drug_name: drugName,
+      object: 'MONDO:1',
+      paths: ['p0'],
+      scores: [{ normalized_score: 0.5 }],
+      tags: {}
+    }],
+    paths: { p0: { subgraph: ['CHEBI:1', 'e0', 'MONDO:1'], aras: ['infores:aragorn'], tags: {} } },
+    nodes: {
+      'CHEBI:1': { names: [drugName], types: ['biolink:Drug'], tags: {} },
+      'MONDO:1': { names: ['disease'], types: ['biolink:Disease'], tags: {} }
+    },
+    edges: { e0: { support: [], publications: {} } },
+    publications: {},
+    tags: {}
+  };
+}
+
+// The line of the result, after the header if the format has one
+function exportRow(drugName, format) {
+  return [...summaryToExportLines(makeSummary(drugName), format)].at(-1);
+}
+
+function testFormulasAreText() {
+  ['=HYPERLINK("http://x")', '+1', '-1', '@SUM(A1)'].forEach(name => {
+    assert.ok(exportRow(name, 'csv').split(',')[0].replace(/^"/, '').startsWith(`'${name[0]}`),
+      `Expected ${name} to be exported as text to CSV`);
+    assert.ok(exportRow(name, 'tsv').startsWith(`'${name[0]}`), `Expected ${name} to be exported as text to TSV`);
+  });
+
+  // Quoting still applies on top
+  assert.ok(exportRow('=A1,B1', 'csv').startsWith(`"'=A1,B1"`));
+  // JSON is not opened as a spreadsheet
+  assert.strictEqual(JSON.parse(exportRow('=A1', 'jsonl')).name, '=A1');
+  // Only the start of a field matters
+  assert.ok(exportRow('a=b', 'csv').startsWith('a=b,'));
+}
+
+/* A summary with two results. The first is an approved prescription drug with two ChEBI roles,
+ * found by two ARAs along a one hop path and a two hop path through a gene. Its treats edge is
+ * supported by a path whose edges have publications of their own. The second has nothing of that.
+ */
+function makeTaggedSummary() {
+  const edge = (subject, object, support, publications) => {
+    return { subject: subject, object: object, support: support, publications: publications };
+  };
+  return {
+    results: [
+      {
+        id: 'r0',
+        subject: 'CHEBI:6801',
+        drug_name: 'metformin',
+        object: 'MONDO:1',
+        paths: ['p0', 'p1'],
+        scores: [{ normalized_score: 0.5 }, { normalized_score: 0.8 }],
+        tags: {
+          'r/role/CHEBI:35526': null,
+          'r/role/CHEBI:50218': null,
+          'r/otc/prescription': null,
+          'r/cc/drug': null
+        }
+      },
+      {
+        id: 'r1',
+        subject: 'CHEBI:2',
+        drug_name: 'other drug',
+        object: 'MONDO:1',
+        paths: ['p3'],
+        tags: {}
+      }
+    ],
+    paths: {
+      p0: { subgraph: ['CHEBI:6801', 'e0', 'MONDO:1'], aras: ['infores:aragorn'], tags: {} },
+      p1: { subgraph: ['CHEBI:6801', 'e1a', 'NCBIGene:1', 'e1b', 'MONDO:1'], aras: ['infores:arax', 'infores:aragorn'], tags: {} },
+      p2: { subgraph: ['CHEBI:6801', 'e2', 'GO:1', 'e3', 'MONDO:1'], aras: ['infores:aragorn'], tags: {} },
+      p3: { subgraph: ['CHEBI:2', 'e4', 'MONDO:1'], aras: ['infores:bte'], tags: {} }
+    },
+    nodes: {
+      'CHEBI:6801': { names: ['metformin'], types: ['biolink:SmallMolecule'], tags: { 'r/fda/4': { name: 'Approved' } } },
+      'CHEBI:2': { names: ['other drug'], types: ['biolink:ChemicalEntity'], tags: {} },
+      'NCBIGene:1': { names: ['gene'], types: ['biolink:Gene'], tags: {} },
+      'GO:1': { names: ['process'], types: ['biolink:BiologicalProcess'], tags: {} },
+      'MONDO:1': { names: ['disease'], types: ['biolink:Disease'], tags: {} }
+    },
+    edges: {
+      e0: edge('CHEBI:6801', 'MONDO:1', ['p2'], { trusted: [{ id: 'PMID:1' }, { id: 'PMID:2' }] }),
+      e1a: edge('CHEBI:6801', 'NCBIGene:1', [], { inferred: [{ id: 'PMID:3' }] }),
+      e1b: edge('NCBIGene:1', 'MONDO:1', [], {}),
+      e2: edge('CHEBI:6801', 'GO:1', [], { ml: [{ id: 'PMID:4' }], trusted: [{ id: 'PMID:1' }] }),
+      e3: edge('GO:1', 'MONDO:1', [], {}),
+      e4: edge('CHEBI:2', 'MONDO:1', [], {})
+    },
+    publications: {},
+    tags: {
+      'r/role/CHEBI:35526': { name: 'hypoglycemic agent', value: '' },
+      'r/role/CHEBI:50218': { name: 'geroprotector', value: '' },
+      'r/otc/prescription': { name: 'Prescription only', value: '' },
+      'r/cc/drug': { name: 'Drug', value: '' }
+    }
+  };
+}
+
+function testColumns() {
+  const [r0, r1] = [...summaryToExportLines(makeTaggedSummary(), 'jsonl')].map(line => JSON.parse(line));
+  assert.deepStrictEqual(r0, {
+    name: 'metformin',
+    curie: 'CHEBI:6801',
+    aras: ['infores:aragorn', 'infores:arax'],
+    scores: [0.5, 0.8],
+    fda_phase: ['Approved'],
+    chebi_roles: ['hypoglycemic agent', 'geroprotector'],
+    otc_status: ['Prescription only'],
+    metapaths: ['SmallMolecule -> Disease', 'SmallMolecule -> Gene -> Disease'],
+    // Publications of supporting paths count, once per knowledge level
+    publications_trusted: ['PMID:1', 'PMID:2'],
+    publications_inferred: ['PMID:3'],
+    publications_ml: ['PMID:4'],
+    publications_unknown: []
+  });
+  assert.deepStrictEqual(r1, {
+    name: 'other drug',
+    curie: 'CHEBI:2',
+    aras: ['infores:bte'],
+    scores: [],
+    fda_phase: [],
+    chebi_roles: [],
+    otc_status: [],
+    metapaths: ['ChemicalEntity -> Disease'],
+    publications_trusted: [],
+    publications_inferred: [],
+    publications_ml: [],
+    publications_unknown: []
+  });
+}
+
+// Spreadsheet formats have a header, and join multiple values in a single field
+function testSpreadsheetRows() {
+  const header = 'name,curie,aras,scores,fda_phase,chebi_roles,otc_status,metapaths,' +
+    'publications_trusted,publications_inferred,publications_ml,publications_unknown';
+  const csv = [...summaryToExportLines(makeTaggedSummary(), 'csv')];
+  assert.strictEqual(csv.length, 3);
+  assert.strictEqual(csv[0], `\uFEFF${header}\r\n`);
+  assert.strictEqual(csv[1], 'metformin,CHEBI:6801,infores:aragorn; infores:arax,0.5; 0.8,Approved,' +
+    'hypoglycemic agent; geroprotector,Prescription only,SmallMolecule -> Disease; SmallMolecule -> Gene -> Disease,' +
+    'PMID:1; PMID:2,PMID:3,PMID:4,\r\n');
+  assert.strictEqual(csv[2], 'other drug,CHEBI:2,infores:bte,,,,,ChemicalEntity -> Disease,,,,\r\n');
+
+  const tsv = [...summaryToExportLines(makeTaggedSummary(), 'tsv')];
+  assert.strictEqual(tsv[0], header.replaceAll(',', '\t') + '\n');
+  assert.strictEqual(tsv[2], 'other drug\tCHEBI:2\tinfores:bte\t\t\t\t\tChemicalEntity -> Disease\t\t\t\t\n');
+}
+
+testFormulasAreText();
+testColumns();
+testSpreadsheetRows();
+console.log('Summary export tests passed');
@@ -0,0 +1,177 @@
+'use strict'
+import * as assert from 'assert';
+import * as trapi from '../lib/trapi.mjs';
+import * as summaryGraph from '../lib/summary-graph.mjs';
+import { loadSummarizationConfig } from './lib/setup.mjs';
+
+const QID = '6f0c6c57-4b2c-4e0b-9e51-6ad1d0c1c9a1';
+const DISEASE = 'MONDO:0005148';
+
+function sources(primary) {
+  return [{ resource_id: primary, resource_role: 'primary_knowledge_source' }];
+}
+
+/* A treats answer with two drugs. The treats edge of the first is supported by an aux graph with a
+ * gene in between, and another ARA found the first drug through an affects edge of its own. The name
+ * of the first drug has to be escaped in XML.
+ */
+function makeMessage() {
+  const supportGraphs = (ids) => [{ attribute_type_id: 'biolink:support_graphs', value: ids }];
+  return {
+    query_graph: {
+      nodes: { sn: { categories: ['biolink:ChemicalEntity'] }, on: { categories: ['biolink:Disease'], ids: [DISEASE] } },
+      edges: { t_edge: { subject: 'sn', object: 'on', predicates: ['biolink:treats'], knowledge_type: 'inferred' } }
+    },
+    knowledge_graph: {
+      nodes: {
+        'CHEBI:6801': { name: 'metformin <"XR"> & co', categories: ['biolink:SmallMolecule'], attributes: [] },
+        'CHEBI:6802': { name: 'other drug', categories: ['biolink:SmallMolecule'], attributes: [] },
+        'NCBIGene:5562': { name: 'PRKAA1', categories: ['biolink:Gene'], attributes: [] },
+        [DISEASE]: { name: 'type 2 diabetes mellitus', categories: ['biolink:Disease'], attributes: [] }
+      },
+      edges: {
+        t0: { subject: 'CHEBI:6801', object: DISEASE, predicate: 'biolink:treats',
+              sources: sources('infores:aragorn'), attributes: supportGraphs(['sg0']) },
+        e0: { subject: 'CHEBI:6801', object: 'NCBIGene:5562', predicate: 'biolink:affects',
+              sources: sources('infores:ctd'),
+              attributes: [{ attribute_type_id: 'biolink:publications', value: ['PMID:1', 'PMID:2'] }] },
+        e1: { subject: 'NCBIGene:5562', object: DISEASE, predicate: 'biolink:gene_associated_with_condition',
+              sources: sources('infores:ctd'), attributes: [] },
+        t1: { subject: 'CHEBI:6802', object: DISEASE, predicate: 'biolink:treats',
+              sources: sources('infores:aragorn'), attributes: [] },
+        t2: { subject: 'CHEBI:6801', object: DISEASE, predicate: 'biolink:affects',
+              sources: sources('infores:drugcentral'), attributes: [] }
+      }
+    },
+    auxiliary_graphs: { sg0: { edges: ['e0', 'e1'] } },
+    results: [
+      {
+        node_bindings: { sn: [{ id: 'CHEBI:6801' }], on: [{ id: DISEASE }] },
+        analyses: [
+          { resource_id: 'infores:aragorn', edge_bindings: { t_edge: [{ id: 't0' }] } },
+          { resource_id: 'infores:arax', edge_bindings: { t_edge: [{ id: 't2' }] } }
+        ]
+      },
+      {
+        node_bindings: { sn: [{ id: 'CHEBI:6802' }], on: [{ id: DISEASE }] },
+        analyses: [{ resource_id: 'infores:aragorn', edge_bindings: { t_edge: [{ id: 't1' }] } }]
+      }
+    ]
+  };
+}
+
+async function makeSummary() {
+  const bundle = trapi.creativeAnswerToFragmentBundle({ agent: 'infores:aragorn', message: makeMessage() }, 3);
+  return trapi.fragmentBundlesToSummary(QID, [bundle]);
+}
+
+// The id of the summary edge between the nodes with the given predicate
+function edgeId(summary, subject, predicate, object) {
+  return Object.keys(summary.edges).find(eid => {
+    const edge = summary.edges[eid];
+    return edge.subject === subject && edge.predicate === predicate && edge.object === object;
+  });
+}
+
+function resultId(summary, drug) {
+  return summary.results.find(result => result.subject === drug).id;
+}
+
+// The ids of the edges of the summary, by the ids of the knowledge graph edges they stand for
+function edgeIds(summary) {
+  return {
+    t0: edgeId(summary, 'CHEBI:6801', 'treats', DISEASE),
+    e0: edgeId(summary, 'CHEBI:6801', 'affects', 'NCBIGene:5562'),
+    e1: edgeId(summary, 'NCBIGene:5562', 'gene associated with condition', DISEASE),
+    t1: edgeId(summary, 'CHEBI:6802', 'treats', DISEASE),
+    t2: edgeId(summary, 'CHEBI:6801', 'affects', DISEASE)
+  };
+}
+
+async function testSubgraph() {
+  const summary = await makeSummary();
+  const ids = edgeIds(summary);
+  // The edges of the paths supporting the treats edge are part of the result
+  const subgraph = summaryGraph.summaryToSubgraph(summary, resultId(summary, 'CHEBI:6801'));
+  assert.deepStrictEqual(new Set(subgraph.edges), new Set([ids.t0, ids.e0, ids.e1, ids.t2]));
+  assert.deepStrictEqual(new Set(subgraph.nodes), new Set(['CHEBI:6801', 'NCBIGene:5562', DISEASE]));
+
+  const all = summaryGraph.summaryToSubgraph(summary);
+  assert.deepStrictEqual(new Set(all.edges), new Set(Object.values(ids)));
+  assert.strictEqual(all.nodes.length, 4);
+  assert.strictEqual(summaryGraph.summaryToSubgraph(summary, 'nosuch'), null);
+}
+
+async function testGraphML() {
+  const summary = await makeSummary();
+  const ids = edgeIds(summary);
+  const graphML = summaryGraph.subgraphToGraphML(summary, summaryGraph.summaryToSubgraph(summary));
+  assert.ok(graphML.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n'));
+  assert.ok(graphML.includes(`<graph id="${QID}" edgedefault="directed">`));
+  assert.ok(graphML.includes('<data key="name">metformin &lt;&quot;XR&quot;&gt; &amp; co</data>'));
+  assert.ok(!graphML.includes('<"XR">'), 'Expected the name to be escaped');
+  assert.strictEqual(graphML.match(/<node /g).length, 4);
+  assert.strictEqual(graphML.match(/<edge /g).length, 5);
+  assert.ok(graphML.includes(`<edge id="${ids.e0}" source="CHEBI:6801" target="NCBIGene:5562">`));
+  // Lists are joined
+  assert.ok(graphML.includes('<data key="publications">PMID:1; PMID:2</data>'));
+  assert.ok(graphML.includes('<data key="aras">infores:aragorn; infores:arax</data>'));
+}
+
+async function testCytoscape() {
+  const summary = await makeSummary();
+  const ids = edgeIds(summary);
+  const subgraph = summaryGraph.summaryToSubgraph(summary, resultId(summary, 'CHEBI:6802'));
+  const cytoscape = summaryGraph.subgraphToCytoscape(summary, subgraph);
+  assert.deepStrictEqual(cytoscape.data, { name: QID });
+  assert.deepStrictEqual(cytoscape.elements.nodes.map(node => [node.data.id, node.data.name, node.data.category]).sort(), [
+    ['CHEBI:6802', 'other drug', 'biolink:SmallMolecule'],
+    [DISEASE, 'type 2 diabetes mellitus', 'biolink:Disease']
+  ]);
+  assert.strictEqual(cytoscape.elements.edges.length, 1);
+  assert.deepStrictEqual(cytoscape.elements.edges[0].data, {
+    id: ids.t1,
+    source: 'CHEBI:6802',
+    target: DISEASE,
+    predicate: 'treats',
+    knowledge_level: 'unknown',
+    aras: ['infores:aragorn'],
+    sources: ['ARAGORN'],
+    publications: []
+  });
+}
+
+async function testTrapi() {
+  const summary = await makeSummary();
+  const ids = edgeIds(summary);
+  const trapiFor = (edges) => summaryGraph.subgraphToTrapi([makeMessage()], { nodes: [], edges: edges }).message;
+  const sorted = (obj) => Object.keys(obj).sort();
+
+  const drug = trapiFor(summaryGraph.summaryToSubgraph(summary, resultId(summary, 'CHEBI:6801')).edges);
+  assert.deepStrictEqual(drug.query_graph, makeMessage().query_graph);
+  assert.deepStrictEqual(sorted(drug.knowledge_graph.edges), ['e0', 'e1', 't0', 't2']);
+  assert.deepStrictEqual(sorted(drug.knowledge_graph.nodes), [DISEASE, 'CHEBI:6801', 'NCBIGene:5562'].sort());
+  assert.deepStrictEqual(drug.auxiliary_graphs, { sg0: { edges: ['e0', 'e1'] } });
+  assert.deepStrictEqual(drug.results, [makeMessage().results[0]]);
+
+  // The aux graphs of a kept edge are kept whole, along with their edges
+  const treats = trapiFor([ids.t0]);
+  assert.deepStrictEqual(sorted(treats.knowledge_graph.edges), ['e0', 'e1', 't0']);
+  assert.deepStrictEqual(sorted(treats.auxiliary_graphs), ['sg0']);
+  // Only the analyses bound to kept edges are kept
+  assert.deepStrictEqual(treats.results.map(result => result.analyses.map(analysis => analysis.resource_id)),
+    [['infores:aragorn']]);
+
+  // Support on its own supports nothing
+  const support = trapiFor([ids.e0, ids.e1]);
+  assert.deepStrictEqual(sorted(support.knowledge_graph.edges), ['e0', 'e1']);
+  assert.deepStrictEqual(support.auxiliary_graphs, {});
+  assert.deepStrictEqual(support.results, []);
+}
+
+await loadSummarizationConfig();
+await testSubgraph();
+await testGraphML();
+await testCytoscape();
+await testTrapi();
+console.log('Summary graph tests passed');
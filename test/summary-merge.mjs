@@ -0,0 +1,88 @@
+'use strict'
+import * as assert from 'assert';
+import * as cmn from '../lib/common.mjs';
+import * as trapi from '../lib/trapi.mjs';
+import { loadSummarizationConfig } from './lib/setup.mjs';
+
+// A drug answer from a single ARA. The drug has no name, which is only found out while merging.
+function makeAnswer(agent, drug) {
+  const sources = [{ resource_id: agent, resource_role: 'primary_knowledge_source' }];
+  return {
+    agent: agent,
+    message: {
+      query_graph: {
+        nodes: {
+          sn: { categories: ['biolink:ChemicalEntity'] },
+          on: { categories: ['biolink:Disease'], ids: ['MONDO:0005148'] }
+        },
+        edges: {
+          t_edge: { subject: 'sn', object: 'on', predicates: ['biolink:treats'], knowledge_type: 'inferred' }
+        }
+      },
+      knowledge_graph: {
+        nodes: {
+          [drug]: { categories: ['biolink:SmallMolecule'], attributes: [] },
+          'MONDO:0005148': { name: 'type 2 diabetes mellitus', categories: ['biolink:Disease'], attributes: [] }
+        },
+        edges: {
+          e0: { subject: drug, object: 'MONDO:0005148', predicate: 'biolink:treats', sources: sources }
+        }
+      },
+      auxiliary_graphs: {},
+      results: [{
+        node_bindings: { sn: [{ id: drug }], on: [{ id: 'MONDO:0005148' }] },
+        analyses: [{ resource_id: agent, edge_bindings: { t_edge: [{ id: 'e0' }] } }]
+      }]
+    }
+  };
+}
+
+function makeBundles() {
+  return [
+    trapi.creativeAnswerToFragmentBundle(makeAnswer('infores:aragorn', 'CHEBI:6801'), 3,
+      { 'biothings-annotator': ['Failed to annotate 1 nodes'] }),
+    trapi.creativeAnswerToFragmentBundle(makeAnswer('infores:arax', 'CHEBI:6802'), 3)
+  ];
+}
+
+// Merging never changes the bundles, so merging them again gives the same summary
+async function testMergeAgain() {
+  const bundles = makeBundles();
+  const bundleErrors = cmn.deepCopy(bundles.map(bundle => bundle.errors));
+  const first = await trapi.fragmentBundlesToSummary('merge-test', bundles);
+  assert.strictEqual(first.errors['infores:aragorn'].length, 1, 'Expected an error for the drug without a name');
+  assert.strictEqual(first.errors['infores:arax'].length, 1);
+  assert.deepStrictEqual(first.errors['biothings-annotator'], ['Failed to annotate 1 nodes']);
+  assert.deepStrictEqual(bundles.map(bundle => bundle.errors), bundleErrors);
+
+  const second = await trapi.fragmentBundlesToSummary('merge-test', bundles);
+  assert.deepStrictEqual(second.errors, first.errors);
+  assert.deepStrictEqual(second.results, first.results);
+
+  // Merging a bundle on its own only reports its own errors
+  const single = await trapi.fragmentBundlesToSummary('merge-test', bundles.slice(1));
+  assert.deepStrictEqual(Object.keys(single.errors), ['infores:arax']);
+  assert.deepStrictEqual(bundles.map(bundle => bundle.errors), bundleErrors);
+}
+
+async function testConcurrentMerges() {
+  const bundles = makeBundles();
+  const expected = await trapi.fragmentBundlesToSummary('merge-test', makeBundles());
+  const summaries = await Promise.all([
+    trapi.fragmentBundlesToSummary('merge-test', bundles),
+    trapi.fragmentBundlesToSummary('merge-test', bundles),
+    trapi.fragmentBundlesToSummary('merge-test', [...bundles].reverse())
+  ]);
+
+  summaries.forEach(summary => {
+    Object.keys(expected.errors).forEach(agent => {
+      assert.deepStrictEqual([...summary.errors[agent]].sort(), [...expected.errors[agent]].sort());
+    });
+    assert.deepStrictEqual(Object.keys(summary.errors).sort(), Object.keys(expected.errors).sort());
+  });
+}
+
+await loadSummarizationConfig();
+await testMergeAgain();
+await testConcurrentMerges();
+console.log('Summary merge tests passed');
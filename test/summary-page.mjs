@@ -0,0 +1,165 @@
+'use strict'
+import * as assert from 'assert';
+import { QueryAPIController } from '../controllers/QueryAPIController.mjs';
+
+const QID = '6f0c6c57-4b2c-4e0b-9e51-6ad1d0c1c9a1';
+
+const RANKING = {
+  default_strategy: 'ara',
+  strategies: { ara: { ara_score: 1 } },
+  knowledge_level_weights: {}
+};
+
+function makeResult(id, drug, drugName, score, tags) {
+  return {
+    id: id,
+    subject: drug,
+    drug_name: drugName,
+    object: 'MONDO:1',
+    paths: [`p_${id}`],
+    scores: [{ normalized_score: score }],
+    tags: Object.fromEntries(tags.map(tag => [tag, null]))
+  };
+}
+
+function makeEdge(subject, object, support = [], publications = {}) {
+  return { subject: subject, object: object, predicate: 'treats', support: support, publications: publications };
+}
+
+/* Four one hop results in ARS order. The treats edge of the first is supported by a path through a
+ * gene, whose edges have the only referenced publication.
+ */
+function makeSummary() {
+  return {
+    meta: { qid: QID },
+    results: [
+      makeResult('r0', 'CHEBI:1', 'Metformin', 0.9, ['r/cc/drug', 'r/ara/infores:aragorn']),
+      makeResult('r1', 'CHEBI:2', 'Aspirin', 0.5, ['r/cc/drug', 'r/ara/infores:arax']),
+      makeResult('r2', 'CHEBI:3', 'Other thing', 0.2, ['r/cc/other', 'r/ara/infores:aragorn', 'r/ara/infores:arax']),
+      makeResult('r3', 'CHEBI:4', 'Zinc', 0.7, ['r/cc/other', 'r/ara/infores:arax'])
+    ],
+    paths: {
+      p_r0: { subgraph: ['CHEBI:1', 'e0', 'MONDO:1'], aras: ['infores:aragorn'], tags: {} },
+      p_gene: { subgraph: ['CHEBI:1', 'e0a', 'NCBIGene:1', 'e0b', 'MONDO:1'], aras: ['infores:aragorn'], tags: {} },
+      p_r1: { subgraph: ['CHEBI:2', 'e1', 'MONDO:1'], aras: ['infores:arax'], tags: {} },
+      p_r2: { subgraph: ['CHEBI:3', 'e2', 'MONDO:1'], aras: ['infores:aragorn', 'infores:arax'], tags: {} },
+      p_r3: { subgraph: ['CHEBI:4', 'e3', 'MONDO:1'], aras: ['infores:arax'], tags: {} }
+    },
+    nodes: {
+      'CHEBI:1': { names: ['metformin'], tags: {} },
+      'CHEBI:2': { names: ['aspirin', 'acetylsalicylic acid'], tags: {} },
+      'CHEBI:3': { names: ['other thing'], tags: {} },
+      'CHEBI:4': { names: ['zinc'], tags: {} },
+      'NCBIGene:1': { names: ['gene'], tags: {} },
+      'MONDO:1': { names: ['disease'], tags: {} }
+    },
+    edges: {
+      e0: makeEdge('CHEBI:1', 'MONDO:1', ['p_gene']),
+      e0a: makeEdge('CHEBI:1', 'NCBIGene:1', [], { trusted: [{ id: 'PMID:1' }] }),
+      e0b: makeEdge('NCBIGene:1', 'MONDO:1', [], { trusted: [{ id: 'PMID:1' }] }),
+      e1: makeEdge('CHEBI:2', 'MONDO:1', [], { unknown: [{ id: 'PMID:2' }] }),
+      e2: makeEdge('CHEBI:3', 'MONDO:1'),
+      e3: makeEdge('CHEBI:4', 'MONDO:1')
+    },
+    publications: { 'PMID:1': { type: 'PMID' }, 'PMID:2': { type: 'PMID' }, 'PMID:3': { type: 'PMID' } },
+    tags: {},
+    errors: {}
+  };
+}
+
+// The result of the query is always the summary above
+function makeController() {
+  const translatorService = { getQueryStatus: async (qid, filters) => ({}) };
+  const resultCache = {
+    makeFilterKey: (filters) => '',
+    makeKey: (msg) => 'key',
+    getResult: async (qid, cacheKey, filterKey) => ({ status: 'success', data: makeSummary() })
+  };
+  const userService = { updateUserQueryStatus: async (qid, status) => {} };
+  return new QueryAPIController({ ranking: RANKING, ars_endpoint: { use_ars_merging: true } }, translatorService, {},
+    resultCache, null, userService);
+}
+
+async function getResult(query) {
+  const res = {};
+  res.status = (code) => { res.code = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  await makeController().getQueryResult({ params: { qid: QID }, query: query }, res);
+  return res;
+}
+
+async function resultIds(query) {
+  const res = await getResult(query);
+  assert.strictEqual(res.code, 200, `Expected ${JSON.stringify(query)} to be fine`);
+  return res.body.data.results.map(result => result.id);
+}
+
+async function testFacets() {
+  const res = await getResult({});
+  assert.strictEqual(res.body.data.page, undefined, 'Expected no page without paging params');
+  assert.deepStrictEqual(res.body.data.facets, {
+    cc: { 'r/cc/drug': 2, 'r/cc/other': 2 },
+    ara: { 'r/ara/infores:aragorn': 2, 'r/ara/infores:arax': 3 }
+  });
+  // Facets are those of every result, not of the page
+  assert.deepStrictEqual((await getResult({ include_tags: 'r/cc/drug' })).body.data.facets, res.body.data.facets);
+}
+
+// Any tag of a family will do, and every family has to match
+async function testTags() {
+  assert.deepStrictEqual(await resultIds({ include_tags: 'r/ara/infores:aragorn,r/ara/infores:arax' }), ['r0', 'r1', 'r2', 'r3']);
+  assert.deepStrictEqual(await resultIds({ include_tags: 'r/cc/drug,r/ara/infores:aragorn' }), ['r0']);
+  assert.deepStrictEqual(await resultIds({ include_tags: 'r/cc/other', exclude_tags: 'r/ara/infores:aragorn' }), ['r3']);
+  assert.deepStrictEqual(await resultIds({ exclude_tags: 'r/cc/other,r/ara/infores:aragorn' }), ['r1']);
+}
+
+async function testText() {
+  assert.deepStrictEqual(await resultIds({ q: 'MET' }), ['r0']);
+  // Any name of the node the result is about will do
+  assert.deepStrictEqual(await resultIds({ q: 'salicyl' }), ['r1']);
+  assert.deepStrictEqual(await resultIds({ q: 'nosuch' }), []);
+}
+
+async function testMinScore() {
+  assert.strictEqual((await getResult({ min_score: '0.5' })).code, 400, 'Expected min_score to need a strategy');
+  assert.strictEqual((await getResult({ sort: 'ara', min_score: 'high' })).code, 400);
+  // Scores are relative to the best result
+  assert.deepStrictEqual(await resultIds({ sort: 'ara', min_score: '0.6' }), ['r0', 'r3']);
+}
+
+async function testPaging() {
+  let res = await getResult({ limit: '2', offset: '1' });
+  assert.deepStrictEqual(res.body.data.results.map(result => result.id), ['r1', 'r2']);
+  assert.deepStrictEqual(res.body.data.page, { offset: 1, limit: 2, total: 4, next_offset: 3 });
+
+  res = await getResult({ limit: '2', offset: '3' });
+  assert.deepStrictEqual(res.body.data.page, { offset: 3, limit: 2, total: 4, next_offset: null });
+  res = await getResult({ include_tags: 'r/cc/drug', offset: '1' });
+  assert.deepStrictEqual(res.body.data.page, { offset: 1, limit: null, total: 2, next_offset: null });
+  assert.deepStrictEqual(res.body.data.results.map(result => result.id), ['r1']);
+
+  for (const query of [{ limit: '0' }, { limit: 'all' }, { offset: '-1' }, { offset: '1.5' }]) {
+    assert.strictEqual((await getResult(query)).code, 400, `Expected ${JSON.stringify(query)} to be refused`);
+  }
+}
+
+// A page only has what its results refer to, including the paths supporting their edges
+async function testPruning() {
+  const page = (await getResult({ limit: '1' })).body.data;
+  assert.deepStrictEqual(Object.keys(page.paths).sort(), ['p_gene', 'p_r0']);
+  assert.deepStrictEqual(Object.keys(page.nodes).sort(), ['CHEBI:1', 'MONDO:1', 'NCBIGene:1']);
+  assert.deepStrictEqual(Object.keys(page.edges).sort(), ['e0', 'e0a', 'e0b']);
+  assert.deepStrictEqual(page.publications, { 'PMID:1': { type: 'PMID' } });
+
+  const other = (await getResult({ q: 'aspirin' })).body.data;
+  assert.deepStrictEqual(Object.keys(other.edges), ['e1']);
+  assert.deepStrictEqual(Object.keys(other.publications), ['PMID:2']);
+}
+
+await testFacets();
+await testTags();
+await testText();
+await testMinScore();
+await testPaging();
+await testPruning();
+console.log('Summary page tests passed');
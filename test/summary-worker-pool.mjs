@@ -0,0 +1,131 @@
+'use strict'
+import * as assert from 'assert';
+import * as cmn from '../lib/common.mjs';
+import { SummaryWorkerPool, SummaryPoolSaturatedError, SummaryWorkerDownError } from '../services/SummaryWorkerPool.mjs';
+
+const FAKE_WORKER = new URL('./lib/fake-summary-worker.mjs', import.meta.url);
+
+function makePool(workerCount, maxQueue, workerConfig = {}, maxRestarts = 3) {
+  const pool = new SummaryWorkerPool(workerCount, maxQueue, 7, workerConfig, maxRestarts, 20, 40, FAKE_WORKER);
+  pool.start();
+  return pool;
+}
+
+function makeMsg(pk, fields = {}) {
+  return Object.assign({ pk: pk, completed: [], skipped: [], filtered: [], meta: { timestamp: 't0' } }, fields);
+}
+
+// Polls until the condition holds, so tests wait on restarts without depending on exact timings
+async function waitFor(condition, timeoutMs = 5000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeoutMs) {
+      throw new Error('Timed out waiting for the pool');
+    }
+    await cmn.sleep(10);
+  }
+}
+
+async function testDeduplication() {
+  const pool = makePool(2, 8);
+  try {
+    const msg = makeMsg('pk-1', { delay_ms: 50 });
+    const [a, b] = await Promise.all([pool.queryResultsToFE(msg, 3), pool.queryResultsToFE(msg, 3)]);
+    assert.strictEqual(a, b, 'Expected an identical job to share the running one');
+    assert.strictEqual(pool.metrics().jobs.deduplicated, 1);
+    assert.strictEqual(pool.metrics().jobs.completed, 1);
+
+    // Different limits, or a finished job, run again
+    await Promise.all([pool.queryResultsToFE(msg, 2), pool.queryResultsToFE(msg, 3)]);
+    assert.strictEqual(pool.metrics().jobs.completed, 3);
+    assert.strictEqual(pool.running.size, 0);
+  } finally {
+    await pool.stop();
+  }
+}
+
+async function testSaturation() {
+  const pool = makePool(1, 2);
+  try {
+    const outcomes = await Promise.allSettled(['a', 'b', 'c'].map(pk => pool.queryResultsToFE(makeMsg(pk, { delay_ms: 30 }), 3)));
+    assert.deepStrictEqual(outcomes.map(outcome => outcome.status), ['fulfilled', 'fulfilled', 'rejected']);
+    assert.ok(outcomes[2].reason instanceof SummaryPoolSaturatedError);
+    assert.strictEqual(outcomes[2].reason.retryAfterSec, 7);
+    assert.strictEqual(pool.metrics().jobs.rejected, 1);
+
+    // Room is made as jobs finish
+    assert.deepStrictEqual(await pool.queryResultsToFE(makeMsg('c'), 3), { pk: 'c', method: 'queryResultsToFE' });
+  } finally {
+    await pool.stop();
+  }
+}
+
+async function testCrashRecovery() {
+  const pool = makePool(1, 8);
+  try {
+    const crashed = pool.queryResultsToFE(makeMsg('crash', { crash: true }), 3);
+    await assert.rejects(crashed, /exited with code 1/);
+    // Jobs are refused until the worker is back
+    await assert.rejects(pool.queryResultsToFE(makeMsg('waiting'), 3), err => {
+      return err instanceof SummaryWorkerDownError && err.retryAfterSec === 1;
+    });
+
+    await waitFor(() => pool.workers[0].thread !== null);
+    assert.deepStrictEqual(await pool.queryResultsToFE(makeMsg('after'), 3), { pk: 'after', method: 'queryResultsToFE' });
+    const metrics = pool.metrics();
+    assert.strictEqual(metrics.healthy, true);
+    assert.strictEqual(metrics.workers[0].restarts, 1);
+    // Finishing a job resets the delay
+    assert.strictEqual(metrics.workers[0].exits_in_a_row, 0);
+  } finally {
+    await pool.stop();
+  }
+}
+
+// A worker that can not start is restarted with growing delays, then left down
+async function testGivesUpRestarting() {
+  const pool = makePool(1, 8, { fail_at_start: true }, 2);
+  try {
+    const start = Date.now();
+    await waitFor(() => !pool.healthy);
+    // 20ms, then 40ms before the two restarts
+    assert.ok(Date.now() - start >= 60, 'Expected the restarts to be delayed');
+    const metrics = pool.metrics();
+    assert.deepStrictEqual(metrics.workers.map(worker => [worker.up, worker.restarts, worker.exits_in_a_row]), [[false, 2, 3]]);
+
+    await assert.rejects(pool.queryResultsToFE(makeMsg('down'), 3), err => {
+      return err instanceof SummaryWorkerDownError && err.retryAfterSec === null;
+    });
+    // Nothing is restarted anymore
+    await cmn.sleep(100);
+    assert.strictEqual(pool.workers[0].restarts, 2);
+    pool.forgetQuery('down');
+  } finally {
+    await pool.stop();
+  }
+}
+
+// The queries of a worker that is left down go to the others, rather than fail until the process restarts
+async function testRoutesAroundDownWorkers() {
+  const pool = makePool(2, 8, {}, 0);
+  try {
+    const qid = 'routed';
+    const down = pool._workerFor(qid);
+    await assert.rejects(pool.queryResultsToFE(makeMsg(qid, { crash: true }), 3), /exited with code 1/);
+    await waitFor(() => !pool.healthy);
+    assert.deepStrictEqual(pool.metrics().workers.map(worker => worker.retired), pool.workers.map(worker => worker === down));
+
+    assert.deepStrictEqual(await pool.queryResultsToFE(makeMsg(qid), 3), { pk: qid, method: 'queryResultsToFE' });
+    assert.notStrictEqual(pool._workerFor(qid), down);
+    pool.forgetQuery(qid);
+  } finally {
+    await pool.stop();
+  }
+}
+
+await testDeduplication();
+await testSaturation();
+await testCrashRecovery();
+await testGivesUpRestarting();
+await testRoutesAroundDownWorkers();
+console.log('Summary worker pool tests passed');
@@ -19,6 +19,7 @@ import * as cmn from '../lib/common.mjs';
 import * as tsmy from './lib/summarization.mjs';
 import { loadBiolink } from '../lib/biolink-model.mjs';
 import { loadChebi } from '../lib/chebi.mjs';
+import { loadQueryTemplates } from '../lib/query-templates.mjs';
 import { TranslatorServicexFEAdapter } from '../adapters/TranslatorServicexFEAdapter.mjs';
 
 // We have to do this because the 'before' hook does not seem to work
@@ -29,6 +30,7 @@ async function loadConfig() {
                     config.biolink.infores_catalog,
                     config.biolink.prefix_catalog);
   await loadChebi();
+  loadQueryTemplates(config.query_templates);
 }
 
 async function regressionTest(testFile) {
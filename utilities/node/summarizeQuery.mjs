@@ -8,6 +8,7 @@
 import * as cfg from '../../lib/config.mjs'
 import { loadBiolink } from '../../lib/biolink-model.mjs';
 import { loadChebi } from '../../lib/chebi.mjs';
+import { loadQueryTemplates } from '../../lib/query-templates.mjs';
 import { TranslatorServicexFEAdapter } from '../../adapters/TranslatorServicexFEAdapter.mjs'
 import { readJson } from '../../lib/common.mjs';
 
@@ -23,6 +24,7 @@ readJson(dataPath).then(async (data) => {
                     config.biolink.infores_catalog,
                     config.biolink.prefix_catalog);
   await loadChebi();
+  loadQueryTemplates(config.query_templates);
   const summaryMsg = await translatorAdapter.queryResultsToFE(data, maxHops);
   console.log(JSON.stringify(summaryMsg.data));
 });